@@ -0,0 +1,104 @@
+/**
+ * Virtual Factory AI Assistant - Node Engine Loader
+ * Loads the browser simulation scripts into Node so they can run headless
+ */
+
+// The js/ files are classic browser scripts that reference each other through globals
+// (CONFIG, SeededRandom, ...), so expose each one on `global` before the next is used.
+const CONFIG = require('../js/config.js');
+global.CONFIG = CONFIG;
+
+const SeededRandom = require('../js/random.js');
+global.SeededRandom = SeededRandom;
+
+const { RealTimeClock, VirtualClock } = require('../js/clock.js');
+global.RealTimeClock = RealTimeClock;
+global.VirtualClock = VirtualClock;
+
+const ThermalModel = require('../js/thermal-model.js');
+global.ThermalModel = ThermalModel;
+
+const HydraulicSystem = require('../js/hydraulic-system.js');
+global.HydraulicSystem = HydraulicSystem;
+
+const PowerSystem = require('../js/power-system.js');
+global.PowerSystem = PowerSystem;
+
+const EquipmentHealth = require('../js/equipment-health.js');
+global.EquipmentHealth = EquipmentHealth;
+
+const ProductionModel = require('../js/production.js');
+global.ProductionModel = ProductionModel;
+
+const StabilityEngine = require('../js/stability-engine.js');
+global.StabilityEngine = StabilityEngine;
+
+const SensorLayer = require('../js/sensor-layer.js');
+global.SensorLayer = SensorLayer;
+
+const SensorClassifier = require('../js/sensor-classifier.js');
+global.SensorClassifier = SensorClassifier;
+
+const ActionLog = require('../js/action-log.js');
+global.ActionLog = ActionLog;
+
+const Interlocks = require('../js/interlocks.js');
+global.Interlocks = Interlocks;
+
+const AlarmManager = require('../js/alarm-manager.js');
+global.AlarmManager = AlarmManager;
+
+const ActionManager = require('../js/action-manager.js');
+global.ActionManager = ActionManager;
+
+const LineStateMachine = require('../js/state-machine.js');
+global.LineStateMachine = LineStateMachine;
+
+const ScenarioPlayer = require('../js/scenario-player.js');
+global.ScenarioPlayer = ScenarioPlayer;
+
+const FactorySimulation = require('../js/simulation.js');
+global.FactorySimulation = FactorySimulation;
+
+// The AI side runs headless with the offline mock provider
+const { NapsterSpacesProvider, MockAIProvider, AI_PROVIDERS } = require('../js/ai-providers.js');
+global.NapsterSpacesProvider = NapsterSpacesProvider;
+global.MockAIProvider = MockAIProvider;
+global.AI_PROVIDERS = AI_PROVIDERS;
+
+const AlertDispatcher = require('../js/alert-dispatcher.js');
+global.AlertDispatcher = AlertDispatcher;
+
+const ContextBuilder = require('../js/context-builder.js');
+global.ContextBuilder = ContextBuilder;
+
+const AIIntegration = require('../js/ai-integration.js');
+global.AIIntegration = AIIntegration;
+
+module.exports = {
+    CONFIG,
+    SeededRandom,
+    RealTimeClock,
+    VirtualClock,
+    ThermalModel,
+    HydraulicSystem,
+    PowerSystem,
+    EquipmentHealth,
+    ProductionModel,
+    SensorLayer,
+    SensorClassifier,
+    LineStateMachine,
+    ActionManager,
+    Interlocks,
+    AlarmManager,
+    ActionLog,
+    StabilityEngine,
+    ScenarioPlayer,
+    FactorySimulation,
+    NapsterSpacesProvider,
+    MockAIProvider,
+    AI_PROVIDERS,
+    AlertDispatcher,
+    ContextBuilder,
+    AIIntegration
+};
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * Virtual Factory AI Assistant - Headless Simulation Runner
+ * Runs the factory simulation on a virtual clock and writes telemetry as JSON Lines
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, VirtualClock, SensorLayer, StabilityEngine, ScenarioPlayer, FactorySimulation } = require('./engine');
+
+const USAGE = `Usage: node cli/simulate.js [options]
+
+Options:
+  --seed <value>          PRNG seed, number or string (default: random, printed to stderr)
+  --duration <seconds>    Simulated time to run (default: 300)
+  --scenario <type>       Only run this scenario type (${Object.values(CONFIG.SCENARIOS).filter(s => s !== 'NONE' && s !== 'SCRIPTED').join(', ')})
+  --script <file>         Play a scenario script (.json, .yaml or .yml)
+  --action <sec>:<action> Execute an operator action at a simulated time, repeatable
+                          (e.g. --action 45:increase_cooling; cancel a job with --action 60:cancel_action:A-1;
+                          acknowledge, shelve or unshelve an alarm with --action 90:acknowledge_alarm:AL-2,
+                          or acknowledge every alarm with --action 90:acknowledge_alarm:all)
+  --sensor-fault <sec>:<sensor>[.<channel>]:<fault>[:<duration>]
+                          Break an instrument at a simulated time, repeatable
+                          (${Object.values(CONFIG.SENSOR_FAULTS.TYPES).join(', ')}; e.g. --sensor-fault 30:pressure.2:stuck:120)
+  --stability <strategy>  Stability scoring strategy (${Object.keys(StabilityEngine.strategies).join(', ')}; default ${CONFIG.STABILITY.STRATEGY})
+  --start-time <iso>      Simulated start time (default: 2024-01-01T00:00:00Z)
+  --out <file>            Write JSON Lines to a file instead of stdout
+  --verbose               Echo simulation logs to stderr
+  --help                  Show this message
+`;
+
+const DEFAULT_START_TIME = '2024-01-01T00:00:00Z';
+
+function fail(message) {
+    process.stderr.write(`❌ ${message}\n\n${USAGE}`);
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const options = {
+        seed: undefined,
+        duration: 300,
+        scenario: null,
+        script: null,
+        actions: [],
+        sensorFaults: [],
+        stabilityStrategy: undefined,
+        startTime: Date.parse(DEFAULT_START_TIME),
+        out: null,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) fail(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--seed':
+                options.seed = value();
+                break;
+            case '--duration':
+                options.duration = Number(value());
+                if (!Number.isFinite(options.duration) || options.duration <= 0) {
+                    fail('--duration must be a positive number of seconds');
+                }
+                break;
+            case '--scenario':
+                options.scenario = value().toUpperCase();
+                if (!CONFIG.SCENARIOS[options.scenario] ||
+                    options.scenario === CONFIG.SCENARIOS.NONE ||
+                    options.scenario === CONFIG.SCENARIOS.SCRIPTED) {
+                    fail(`Unknown scenario: ${options.scenario}`);
+                }
+                break;
+            case '--script':
+                options.script = value();
+                break;
+            case '--action': {
+                const match = /^(\d+(?:\.\d+)?):(\w+)(?::(A-\d+|AL-\d+|all))?$/.exec(value());
+                if (!match) fail('--action must look like <seconds>:<action>[:<job or alarm id>]');
+                const [, at, action, target] = match;
+                if (!Object.values(CONFIG.ACTIONS).includes(action)) fail(`Unknown action: ${action}`);
+
+                // Each targeted action names the kind of ID it takes; the rest take none
+                const targets = {
+                    [CONFIG.ACTIONS.CANCEL_ACTION]: /^A-\d+$/,
+                    [CONFIG.ACTIONS.ACKNOWLEDGE_ALARM]: /^(AL-\d+|all)$/,
+                    [CONFIG.ACTIONS.SHELVE_ALARM]: /^AL-\d+$/,
+                    [CONFIG.ACTIONS.UNSHELVE_ALARM]: /^AL-\d+$/
+                };
+                const pattern = targets[action];
+                if (pattern ? !pattern.test(target || '') : target !== undefined) {
+                    fail('--action takes a job id only with cancel_action (e.g. 60:cancel_action:A-1) and an alarm id only with the alarm actions (e.g. 90:shelve_alarm:AL-2)');
+                }
+                const isAlarm = pattern && action !== CONFIG.ACTIONS.CANCEL_ACTION;
+                options.actions.push({
+                    at: Number(at),
+                    action,
+                    jobId: isAlarm ? undefined : target,
+                    alarmId: isAlarm ? target : undefined
+                });
+                break;
+            }
+            case '--sensor-fault': {
+                const match = /^(\d+(?:\.\d+)?):(\w+)(?:\.(\d+))?:(\w+)(?::(\d+(?:\.\d+)?))?$/.exec(value());
+                if (!match) fail('--sensor-fault must look like <seconds>:<sensor>[.<channel>]:<fault>[:<duration>]');
+                const spec = { sensor: match[2], fault: match[4] };
+                if (match[3] !== undefined) spec.channel = Number(match[3]);
+                if (match[5] !== undefined) spec.duration = Number(match[5]);
+                const errors = SensorLayer.validateFault(spec);
+                if (errors.length > 0) fail(`Invalid --sensor-fault: ${errors.join('; ')}`);
+                options.sensorFaults.push({ at: Number(match[1]), spec });
+                break;
+            }
+            case '--stability':
+                options.stabilityStrategy = value();
+                if (!StabilityEngine.strategies[options.stabilityStrategy]) {
+                    fail(`Unknown stability strategy: ${options.stabilityStrategy}`);
+                }
+                break;
+            case '--start-time':
+                options.startTime = Date.parse(value());
+                if (Number.isNaN(options.startTime)) fail('--start-time must be an ISO date');
+                break;
+            case '--out':
+                options.out = value();
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--help':
+                process.stdout.write(USAGE);
+                process.exit(0);
+                break;
+            default:
+                fail(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.scenario && options.script) {
+        fail('--scenario and --script cannot be combined');
+    }
+
+    return options;
+}
+
+function loadScript(file) {
+    try {
+        const format = path.extname(file).slice(1).toLowerCase();
+        return ScenarioPlayer.validate(ScenarioPlayer.parse(fs.readFileSync(file, 'utf8'), format));
+    } catch (error) {
+        fail(`Could not load scenario script ${file}: ${error.message}`);
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const scenarioScript = options.script ? loadScript(options.script) : null;
+
+    // The engine logs to the console as it runs; keep stdout clean for the JSON Lines stream
+    console.log = options.verbose
+        ? (...args) => process.stderr.write(args.join(' ') + '\n')
+        : () => {};
+
+    // Piping into `head` and friends closes stdout early; that's not an error
+    process.stdout.on('error', (error) => {
+        if (error.code === 'EPIPE') process.exit(0);
+        throw error;
+    });
+
+    const output = options.out ? fs.createWriteStream(options.out) : process.stdout;
+    const clock = new VirtualClock(options.startTime);
+    const simulation = new FactorySimulation({
+        seed: options.seed,
+        clock,
+        scenarioTypes: options.scenario ? [options.scenario] : undefined,
+        scenarioScript,
+        stabilityStrategy: options.stabilityStrategy
+    });
+
+    let ticks = 0;
+    simulation.on('telemetry', (telemetry) => {
+        ticks++;
+        output.write(JSON.stringify(telemetry) + '\n');
+    });
+
+    // Scheduled before start() so an action at t runs ahead of the tick at t
+    for (const { at, action, jobId, alarmId } of options.actions) {
+        clock.setTimeout(() => {
+            const result = simulation.executeAction(action, { jobId, alarmId });
+            const job = result.job ? ` [${result.job.id}]` : '';
+            process.stderr.write(`🎯 t=${at}s ${action}${job}: ${result.message}\n`);
+        }, at * 1000);
+    }
+
+    // Actions that take time report back when they finish
+    const elapsed = () => Math.round((clock.now() - options.startTime) / 1000);
+    ['actionCompleted', 'actionFailed', 'actionCancelled'].forEach(type => {
+        simulation.on(type, (job) => {
+            if (job.endedAt === job.requestedAt) return; // already reported when it was requested
+            process.stderr.write(`🎯 t=${elapsed()}s ${job.action} [${job.id}] ${job.status}: ${job.message}\n`);
+        });
+    });
+
+    // Alarms are reported with their IDs so they can be acknowledged or shelved on a later run
+    simulation.on('alarmRaised', (alarm) => {
+        process.stderr.write(`🔔 t=${elapsed()}s ${alarm.id} ${alarm.point} raised [${alarm.priority}]: ${alarm.description}\n`);
+    });
+    simulation.on('alarmCleared', (alarm) => {
+        process.stderr.write(`🔕 t=${elapsed()}s ${alarm.id} ${alarm.point} cleared\n`);
+    });
+
+    for (const { at, spec } of options.sensorFaults) {
+        clock.setTimeout(() => {
+            const result = simulation.injectSensorFault(spec);
+            process.stderr.write(`🔌 t=${at}s ${spec.sensor}${spec.channel !== undefined ? `.${spec.channel}` : ''} ${spec.fault}: ${result.message}\n`);
+        }, at * 1000);
+    }
+
+    simulation.start();
+    clock.advance(options.duration * 1000);
+    simulation.stop();
+
+    if (simulation.scenarioPlayer) {
+        const status = simulation.scenarioPlayer.getStatus(clock.now());
+        for (const response of status.responses) {
+            process.stderr.write(`📜 ${status.name}: expected ${response.action} → ${response.status}\n`);
+        }
+    }
+
+    process.stderr.write(`✅ Simulated ${options.duration}s (${ticks} ticks, seed ${simulation.seed}, final state ${simulation.state})\n`);
+
+    if (output !== process.stdout) {
+        output.end();
+    }
+}
+
+main();
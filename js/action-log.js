@@ -0,0 +1,48 @@
+/**
+ * Virtual Factory AI Assistant - Action Log
+ * One record of every step an action goes through, whoever asked for it - requests,
+ * confirmations, interlock refusals, and how each job ended
+ */
+
+class ActionLog {
+    constructor(onRecord = () => {}) {
+        this.entries = []; // oldest first, up to CONFIG.ACTION_LOG.MAX_ENTRIES
+        this.nextId = 1;
+        this.onRecord = onRecord;
+    }
+
+    // Steps an entry can record
+    static STEPS = [
+        'confirmation_required', 'confirmed', 'declined', 'rejected', 'expired', // AI confirmation
+        'refused', 'queued', 'executed', 'completed', 'failed', 'cancelled'       // execution
+    ];
+
+    // entry: { timestamp, source, action, step, message, jobId? }
+    record(entry) {
+        if (!ActionLog.STEPS.includes(entry.step)) {
+            throw new Error(`Unknown action log step "${entry.step}" (expected one of ${ActionLog.STEPS.join(', ')})`);
+        }
+
+        const record = { id: this.nextId++, jobId: null, ...entry };
+        this.entries.push(record);
+        if (this.entries.length > CONFIG.ACTION_LOG.MAX_ENTRIES) {
+            this.entries.shift();
+        }
+        console.log(`📝 [${record.source}] ${record.action} ${record.step}: ${record.message}`);
+        this.onRecord({ ...record });
+        return record;
+    }
+
+    // Most recent entries, oldest first
+    getSnapshot(limit = this.entries.length) {
+        return this.entries.slice(-limit).map(entry => ({ ...entry }));
+    }
+}
+
+// Make action log globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.ActionLog = ActionLog;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActionLog;
+}
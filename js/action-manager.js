@@ -0,0 +1,200 @@
+/**
+ * Virtual Factory AI Assistant - Action Manager
+ * Runs operator actions as tracked jobs - each with an ID, progress, and an end
+ * (completed, failed or cancelled) - and decides what happens when actions conflict
+ *
+ * An action is defined once with define(). Its start() applies the command and returns
+ * { success, message }; its progress() is checked every tick until the effect shows
+ * ({ progress, done }) or goes wrong ({ failed, message }). Actions without progress()
+ * complete as soon as they start. Actions in the same group conflict, resolved by the
+ * group's rule: 'reject' the new one, 'queue' it behind the one in flight, or 'replace'
+ * the one in flight with it.
+ */
+
+class ActionManager {
+    constructor(onEvent = () => {}) {
+        this.definitions = {};
+        this.jobs = [];    // queued and running jobs, oldest first
+        this.history = []; // finished jobs, newest last
+        this.nextId = 1;
+        this.onEvent = onEvent; // (type, job) for actionStarted/Completed/Failed/Cancelled
+    }
+
+    static CONFLICTS = ['reject', 'queue', 'replace'];
+
+    // definition: { start(job), progress?(job, now), cancel?(job), group?, conflict?, timeout? (s),
+    // cancels? (groups whose jobs this action cancels) }
+    define(action, definition) {
+        if (typeof definition.start !== 'function') {
+            throw new Error(`Action "${action}" needs a start function`);
+        }
+        if (definition.group && !ActionManager.CONFLICTS.includes(definition.conflict)) {
+            throw new Error(`Action "${action}" conflict must be one of ${ActionManager.CONFLICTS.join(', ')}`);
+        }
+        this.definitions[action] = { cancels: [], ...definition };
+    }
+
+    request(action, now, { source = 'operator', params = {} } = {}) {
+        const definition = this.definitions[action];
+        if (!definition) {
+            return { success: false, message: 'Unknown action' };
+        }
+
+        const job = {
+            id: `A-${this.nextId++}`,
+            action,
+            source,
+            params: { ...params },
+            group: definition.group || null,
+            status: 'queued',
+            requestedAt: now,
+            startedAt: null,
+            endedAt: null,
+            progress: 0,
+            message: '',
+            data: {} // the definition's own bookkeeping, not part of the snapshot
+        };
+
+        const inFlight = job.group ? this.jobs.filter(other => other.group === job.group) : [];
+        if (inFlight.length > 0 && definition.conflict === 'reject') {
+            this.finish(job, 'failed', `${inFlight[0].action} already in progress (${inFlight[0].id})`, now);
+            return { success: false, message: job.message, job: this.copy(job) };
+        }
+        if (inFlight.length > 0 && definition.conflict === 'queue') {
+            this.jobs.push(job);
+            const message = `Queued behind ${inFlight[inFlight.length - 1].id} (${inFlight[inFlight.length - 1].action})`;
+            job.message = message;
+            console.log(`⏳ ${job.id} ${action}: ${message}`);
+            return { success: true, message, job: this.copy(job) };
+        }
+
+        const result = this.start(job, now);
+        if (result.success) {
+            // Replaced jobs only go once the new one has taken over
+            inFlight.forEach(other => this.finish(other, 'cancelled', `Replaced by ${job.id}`, now));
+            definition.cancels.forEach(group => this.cancelGroup(group, `Cancelled by ${job.id} (${action})`, now));
+        }
+        return result;
+    }
+
+    start(job, now) {
+        const definition = this.definitions[job.action];
+        job.status = 'running';
+        job.startedAt = now;
+
+        const result = definition.start(job);
+        if (!result.success) {
+            this.jobs = this.jobs.filter(other => other !== job);
+            this.finish(job, 'failed', result.message, now);
+            return { success: false, message: result.message, job: this.copy(job) };
+        }
+
+        job.message = result.message;
+        if (!this.jobs.includes(job)) {
+            this.jobs.push(job);
+        }
+        this.onEvent('actionStarted', this.copy(job));
+        if (!definition.progress) {
+            job.progress = 1;
+            this.finish(job, 'completed', result.message, now);
+        }
+        return { success: true, message: result.message, job: this.copy(job) };
+    }
+
+    // Check running jobs, then start queued ones whose group has come free
+    update(now) {
+        for (const job of this.jobs.filter(other => other.status === 'running')) {
+            const definition = this.definitions[job.action];
+            const status = definition.progress(job, now);
+            if (status.progress !== undefined) {
+                job.progress = Math.max(0, Math.min(1, status.progress));
+            }
+
+            if (status.failed) {
+                this.finish(job, 'failed', status.message, now);
+            } else if (status.done) {
+                job.progress = 1;
+                this.finish(job, 'completed', status.message || job.message, now);
+            } else if (definition.timeout && (now - job.startedAt) / 1000 >= definition.timeout) {
+                const detail = status.message ? ` - ${status.message}` : '';
+                this.finish(job, 'failed', `Timed out after ${definition.timeout}s${detail}`, now);
+            }
+        }
+        this.startQueued(now);
+    }
+
+    startQueued(now) {
+        for (const job of this.jobs.filter(other => other.status === 'queued')) {
+            const groupBusy = this.jobs.some(other => other.group === job.group && other.status === 'running');
+            if (!groupBusy) {
+                this.start(job, now);
+            }
+        }
+    }
+
+    cancel(id, now, reason = 'Cancelled by operator') {
+        const job = this.jobs.find(other => other.id === id);
+        if (!job) {
+            const finished = this.history.find(other => other.id === id);
+            return { success: false, message: finished ? `${id} already ${finished.status}` : `No action job ${id}` };
+        }
+
+        // A running action can refuse to stop (the definition says why)
+        const definition = this.definitions[job.action];
+        if (job.status === 'running' && definition.cancel) {
+            const result = definition.cancel(job);
+            if (!result.success) {
+                return { success: false, message: result.message, job: this.copy(job) };
+            }
+        }
+
+        this.finish(job, 'cancelled', reason, now);
+        this.startQueued(now);
+        return { success: true, message: `${id} (${job.action}) cancelled`, job: this.copy(job) };
+    }
+
+    // Newest first, so queued jobs are gone before the running one ends and can't start in its place
+    cancelGroup(group, reason, now) {
+        this.jobs.filter(job => job.group === group).reverse().forEach(job => this.cancel(job.id, now, reason));
+    }
+
+    finish(job, status, message, now) {
+        job.status = status;
+        job.message = message;
+        job.endedAt = now;
+        this.jobs = this.jobs.filter(other => other !== job);
+        this.history.push(job);
+        if (this.history.length > CONFIG.ACTION_JOBS.HISTORY) {
+            this.history.shift();
+        }
+
+        const icon = { completed: '✅', failed: '❌', cancelled: '🚫' }[status];
+        console.log(`${icon} ${job.id} ${job.action} ${status}: ${message}`);
+        const type = { completed: 'actionCompleted', failed: 'actionFailed', cancelled: 'actionCancelled' }[status];
+        this.onEvent(type, this.copy(job));
+    }
+
+    copy(job) {
+        const { data, ...rest } = job;
+        return { ...rest, params: { ...job.params } };
+    }
+
+    // A job by ID, in flight or recently finished (null if unknown)
+    getJob(id) {
+        const job = this.jobs.find(other => other.id === id) || this.history.find(other => other.id === id);
+        return job ? this.copy(job) : null;
+    }
+
+    // In-flight jobs
+    getSnapshot() {
+        return this.jobs.map(job => this.copy(job));
+    }
+}
+
+// Make action manager globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.ActionManager = ActionManager;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActionManager;
+}
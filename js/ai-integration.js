@@ -1,105 +1,232 @@
 /**
  * Virtual Factory AI Assistant - AI Integration
- * Handles communication with Napster Spaces AI SDK
+ * Handles communication with the AI assistant through a provider (js/ai-providers.js), and the
+ * functions it can call (factory_control and the read-only queries, registered below the class)
  */
 
 class AIIntegration {
-    constructor(simulation) {
+    constructor(simulation, onConnectionChange = () => {}) {
         this.simulation = simulation;
-        this.spacesInstance = null;
+        this.provider = null;
         this.telemetryInterval = null;
-        this.lastAIHash = null;
-        this.messageCount = 0;
+        this.contextInterval = null;
+        this.context = new ContextBuilder();
         this.avatarReadyPromise = null;
         this.avatarReadyResolve = null;
 
-        // State tracking for AI response triggering
-        this.lastState = 'NORMAL';
-        this.lastAlertKey = 'false-false-false-false-false-false'; // Initialize to normal state key
-        this.lastStability = 100;
+        // Connection lifecycle: the simulation never waits on the assistant for longer than
+        // READY_TIMEOUT - it runs with the AI offline and reconnects with backoff
+        this.providerName = null;
+        this.online = false;
+        this.connection = { status: 'connecting', reason: null, attempt: 0, retryIn: null };
+        this.onConnectionChange = onConnectionChange; // ({ status, reason, attempt, retryIn })
+        this.readyTimer = null;
+        this.reconnectTimer = null;
+        this.replayOnReady = false; // the avatar missed something while it was away
+
+        // State tracking for AI response triggering (the line state arrives as transitions)
+        this.lastState = simulation.state;
+        this.simulation.on('stateChanged', (change) => this.sendStateAlert(change));
+
+        // Everything the AI is told goes through one queue - most urgent first, several at once
+        // folded into one message, and never faster than CONFIG.AI.ALERTS.MIN_INTERVAL
+        this.alerts = new AlertDispatcher((message) => this.provider.sendMessage(message));
+
+        // Every action step goes in the message feed; the AI hears when one of its jobs fails
+        this.simulation.on('actionLogged', (entry) => this.addActionToFeed(entry));
+        this.simulation.on('actionFailed', (job) => this.reportActionJob(job));
+
+        // High-risk actions wait for a second call with the challenge phrase (action -> challenge)
+        this.pendingConfirmations = new Map();
+        this.confirmationRandom = simulation.random.fork('confirmations');
 
         // Initialize sensor status tracking as NOMINAL (prevents false alerts on startup)
         this.lastSensorStatus = { power: 'NOMINAL', pressure: 'NOMINAL', temperature: 'NOMINAL' };
+        this.lastSensorSide = { power: null, pressure: null, temperature: null };
+
+        // Components already flagged as due for service (cleared once serviced)
+        this.equipmentAlerted = new Set();
+
+        // Measurement -> when its instruments last looked wrong (spikes come and go, so an alert
+        // is only repeated after the instruments have looked healthy for a while)
+        this.instrumentAlerted = new Map();
 
         // Skip first few telemetry sends to let system stabilize
         this.telemetrySendCount = 0;
         this.minTelemetryBeforeAlert = 5; // Skip first 5 telemetry sends (10 seconds) for avatar to load
     }
 
-    async init() {
-        try {
-            if (!window.napsterSpacesSDK) {
-                console.error('❌ Napster Spaces SDK not loaded');
-                return;
-            }
+    async init(providerName = CONFIG.AI.PROVIDER) {
+        // Resolves when the avatar is ready or the first attempt fails - whichever comes first
+        this.avatarReadyPromise = new Promise((resolve) => {
+            this.avatarReadyResolve = resolve;
+        });
 
-            console.log('🤖 Initializing AI Assistant...');
+        if (!AI_PROVIDERS[providerName]) {
+            console.error(`❌ Unknown AI provider "${providerName}" (expected one of ${Object.keys(AI_PROVIDERS).join(', ')})`);
+            this.setConnection('offline', `unknown AI provider "${providerName}"`);
+            this.avatarReadyResolve();
+            return;
+        }
 
-            // Create a promise that resolves when avatar is ready
-            this.avatarReadyPromise = new Promise((resolve) => {
-                this.avatarReadyResolve = resolve;
-            });
+        this.providerName = providerName;
+        await this.connect();
+    }
 
-            this.spacesInstance = await window.napsterSpacesSDK.init({
-                experienceId: CONFIG.AI.EXPERIENCE_ID,
-                container: '#avatar-sdk-container',
-                startWithoutPreview: true,
-                functionsLibraryId: CONFIG.AI.FUNCTIONS_LIBRARY_ID,
-                functions: [CONFIG.AI.FUNCTION_NAME],
-                features: {
-                    backgroundRemoval: { enabled: true },
-                    waveform: { enabled: true, color: '#3b82f6' },
-                    inactiveTimeout: { enabled: true, duration: 10 * 60 * 1000 },
-                    disclaimer: { enabled: true, text: 'AI-powered factory assistant' }
-                },
-                onReady: () => {
-                    console.log('✅ AI Assistant ready (SDK initialized, waiting for avatar...)');
-                },
-                onError: (error) => {
-                    console.error('❌ AI Error:', error);
-                },
-                onData: (data) => this.handleOnData(data)
-            });
+    // One connection attempt: the provider has READY_TIMEOUT to get ready
+    async connect() {
+        const { READY_TIMEOUT } = CONFIG.AI.CONNECTION;
+        this.reconnectTimer = null;
+        this.setConnection(this.connection.attempt === 0 ? 'connecting' : 'reconnecting');
+        console.log(`🤖 Initializing AI Assistant (${this.providerName}${this.connection.attempt > 0 ? `, attempt ${this.connection.attempt + 1}` : ''})...`);
+
+        // Set before init - the SDK can call functions while it's still starting up. Events from
+        // a provider that has since been replaced are ignored.
+        const provider = new AI_PROVIDERS[this.providerName]({
+            onReady: () => {
+                if (provider === this.provider) this.handleReady();
+            },
+            onFunctionCall: (call) => {
+                if (provider === this.provider) this.handleFunctionCall(call);
+            },
+            onDisconnect: (reason) => {
+                if (provider === this.provider) this.handleDisconnect(reason);
+            },
+            onError: (error) => {
+                console.error('❌ AI Error:', error);
+                if (provider === this.provider) this.handleDisconnect(error?.message || String(error));
+            }
+        });
+        this.provider = provider;
+        this.readyTimer = setTimeout(() => this.handleDisconnect(`not ready after ${READY_TIMEOUT / 1000}s`), READY_TIMEOUT);
 
+        try {
+            await provider.init('#avatar-sdk-container', Object.keys(AIIntegration.FUNCTIONS));
             console.log('✅ AI Integration initialized');
         } catch (error) {
             console.error('❌ Failed to initialize AI:', error);
-            // Resolve anyway so app doesn't hang
-            if (this.avatarReadyResolve) {
-                this.avatarReadyResolve();
-            }
+            if (provider === this.provider) this.handleDisconnect(error.message);
+        }
+    }
+
+    handleReady() {
+        clearTimeout(this.readyTimer);
+        console.log('✅ Avatar ready - resolving promise...');
+        this.online = true;
+        this.connection.attempt = 0;
+        this.setConnection('online');
+        this.avatarReadyResolve();
+
+        if (this.replayOnReady) {
+            this.replayOnReady = false;
+            this.replayContext();
+        }
+    }
+
+    // The session dropped, errored or never got ready - run without the AI and try again later
+    handleDisconnect(reason) {
+        clearTimeout(this.readyTimer);
+        this.closeProvider();
+        this.replayOnReady = true;
+
+        const { INITIAL_DELAY, FACTOR, MAX_DELAY } = CONFIG.AI.CONNECTION.RECONNECT;
+        this.connection.attempt++;
+        const delay = Math.min(INITIAL_DELAY * FACTOR ** (this.connection.attempt - 1), MAX_DELAY);
+        console.warn(`🔌 AI assistant offline (${reason}) - reconnecting in ${delay / 1000}s`);
+        this.setConnection('offline', reason, delay);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+
+        // Don't hold up the simulation
+        this.avatarReadyResolve();
+    }
+
+    // Events from the closed provider are ignored from here on (see connect)
+    closeProvider() {
+        const provider = this.provider;
+        this.provider = null;
+        this.online = false;
+        try {
+            provider?.close();
+        } catch (error) {
+            console.error('❌ Failed to close AI session:', error);
         }
     }
 
+    setConnection(status, reason = null, retryIn = null) {
+        this.connection = { status, reason, attempt: this.connection.attempt, retryIn };
+        this.onConnectionChange({ ...this.connection });
+    }
+
     async waitForAvatarReady() {
         if (this.avatarReadyPromise) {
-            console.log('⏳ Waiting for avatar to be ready (no timeout)...');
+            console.log(`⏳ Waiting for avatar to be ready (up to ${CONFIG.AI.CONNECTION.READY_TIMEOUT / 1000}s)...`);
             return this.avatarReadyPromise;
         }
         return Promise.resolve();
     }
-    
+
+    // A new session starts with no memory of the line - tell it where things stand, and ask it
+    // to respond if an alarm is unacknowledged
+    replayContext() {
+        const telemetry = this.simulation.getAITelemetrySnapshot();
+        const unacknowledged = telemetry.alarms.active.some(alarm => !alarm.acknowledged);
+        const message = `🔄 RECONNECTED - where things stand:\n${this.context.build(telemetry, this.simulation.sensorHistory)}` +
+            (unacknowledged ? '\nRecommend: brief the operator on the unacknowledged alarms.' : '');
+        console.log(`🔄 REPLAY: ${message}`);
+
+        // The context covers the current sensor statuses - only alert on changes from here
+        SensorClassifier.SENSORS.forEach(sensor => {
+            this.lastSensorStatus[sensor] = this.getSensorStatus(telemetry, sensor);
+            this.lastSensorSide[sensor] = telemetry.sensorStatus[sensor].side;
+        });
+        this.lastState = telemetry.state;
+        this.alerts.clear();
+
+        this.provider.sendMessage({
+            text: message,
+            triggerResponse: unacknowledged,
+            role: 'user'
+        });
+    }
+
     startTelemetry() {
         // Fixed interval for avatar updates
         this.telemetryInterval = setInterval(() => {
             this.sendTelemetry();
         }, CONFIG.AI.TELEMETRY_INTERVAL);
         console.log('📡 Telemetry started (every 3 seconds)');
+
+        // A structured snapshot now and then, so follow-up questions get current answers
+        this.contextInterval = setInterval(() => {
+            this.sendContext();
+        }, CONFIG.AI.CONTEXT.INTERVAL);
+    }
+
+    // Silent context - the AI takes it in without replying
+    sendContext() {
+        if (!this.online || this.telemetrySendCount <= this.minTelemetryBeforeAlert) return;
+
+        const text = this.context.build(this.simulation.getAITelemetrySnapshot(), this.simulation.sensorHistory);
+
+        console.log(`📋 CONTEXT: ${text.length} chars`);
+        this.provider.sendMessage({
+            text,
+            triggerResponse: false,
+            role: 'user'
+        });
     }
 
     sendTelemetry() {
-        if (!this.spacesInstance) return;
+        if (!this.online) return;
 
         this.telemetrySendCount++;
-        const telemetry = this.simulation.getTelemetrySnapshot();
+        const telemetry = this.simulation.getAITelemetrySnapshot();
 
         // Skip triggering AI response for the first few telemetry sends to let system stabilize
         const isStartupPhase = this.telemetrySendCount <= this.minTelemetryBeforeAlert;
 
         if (isStartupPhase) {
             // During startup, just track state but don't trigger
-            this.lastState = telemetry.state;
-            this.lastStability = telemetry.stability;
             console.log(`📡 Startup telemetry ${this.telemetrySendCount}/${this.minTelemetryBeforeAlert} - state: ${telemetry.state}, stability: ${telemetry.stability}`);
             return;
         }
@@ -109,287 +236,471 @@ class AIIntegration {
         const pressure = telemetry.sensors.pressure;
         const temp = telemetry.sensors.temperature;
 
-        const powerStatus = this.getSensorStatus('power', power);
-        const pressureStatus = this.getSensorStatus('pressure', pressure);
-        const tempStatus = this.getSensorStatus('temperature', temp);
+        const powerStatus = this.getSensorStatus(telemetry, 'power');
+        const pressureStatus = this.getSensorStatus(telemetry, 'pressure');
+        const tempStatus = this.getSensorStatus(telemetry, 'temperature');
 
-        // Check for status changes
-        const powerChanged = powerStatus !== this.lastSensorStatus.power;
-        const pressureChanged = pressureStatus !== this.lastSensorStatus.pressure;
-        const tempChanged = tempStatus !== this.lastSensorStatus.temperature;
+        // Check for status changes - including a reading that went straight from one side's
+        // limits to the other's (low to high pressure), which needs the opposite fix
+        const sides = { power: telemetry.sensorStatus.power.side, pressure: telemetry.sensorStatus.pressure.side, temperature: telemetry.sensorStatus.temperature.side };
+        const flipped = (sensor) => sides[sensor] !== null && this.lastSensorSide[sensor] !== null && sides[sensor] !== this.lastSensorSide[sensor];
+        const powerChanged = powerStatus !== this.lastSensorStatus.power || flipped('power');
+        const pressureChanged = pressureStatus !== this.lastSensorStatus.pressure || flipped('pressure');
+        const tempChanged = tempStatus !== this.lastSensorStatus.temperature || flipped('temperature');
+
+        // Already on backup means the backup battery is running out - go back to main
+        const powerFix = telemetry.backupPower ? 'switch to main power' : 'switch to backup power';
+        // Pressure can now fail either way - over-pressure needs the setpoint lowered
+        const pressureFix = telemetry.sensorStatus.pressure.side === 'high' ? 'decrease pressure' : 'increase pressure';
 
         // Only alert if status changed (to WARNING/CRITICAL or back to NOMINAL)
+        // A sensor with no reading can't justify a process action - have it checked first
+        const fixFor = (status, fix, sensorName) => status === 'NO SIGNAL' ? `check the ${sensorName} sensor before acting on it` : fix;
+        // Which side of its limits the reading is on, and how fast it is moving
+        const motion = (sensorName) => {
+            const { side, rate, rateAlarm } = telemetry.sensorStatus[sensorName];
+            return { side, rate, rateAlarm };
+        };
         const sensors = [
-            { name: 'POWER', value: power, unit: 'kW', status: powerStatus, fix: 'switch to backup power', changed: powerChanged, lastStatus: this.lastSensorStatus.power },
-            { name: 'PRESSURE', value: pressure, unit: 'bar', status: pressureStatus, fix: 'increase pressure', changed: pressureChanged, lastStatus: this.lastSensorStatus.pressure },
-            { name: 'TEMPERATURE', value: temp, unit: '°C', status: tempStatus, fix: 'increase cooling', changed: tempChanged, lastStatus: this.lastSensorStatus.temperature }
+            { name: 'POWER', value: power, unit: 'kW', status: powerStatus, fix: fixFor(powerStatus, powerFix, 'power'), changed: powerChanged, flipped: flipped('power'), lastStatus: this.lastSensorStatus.power, ...motion('power') },
+            { name: 'PRESSURE', value: pressure, unit: 'bar', status: pressureStatus, fix: fixFor(pressureStatus, pressureFix, 'pressure'), changed: pressureChanged, flipped: flipped('pressure'), lastStatus: this.lastSensorStatus.pressure, ...motion('pressure') },
+            { name: 'TEMPERATURE', value: temp, unit: '°C', status: tempStatus, fix: fixFor(tempStatus, 'increase cooling', 'temperature'), changed: tempChanged, flipped: flipped('temperature'), lastStatus: this.lastSensorStatus.temperature, ...motion('temperature') }
         ];
 
-        let alertSent = false;
+        // Every sensor that changed gets its alert - the dispatcher decides what goes out first
+        const rank = { NOMINAL: 0, WARNING: 1, 'NO SIGNAL': 1, CRITICAL: 2 };
         for (const sensor of sensors) {
-            const isAlert = sensor.status !== 'NOMINAL';
-            const wasAlert = sensor.lastStatus !== 'NOMINAL';
-            const recoveredToNominal = sensor.changed && !isAlert && wasAlert;  // Was bad, now good
-            const shouldAlert = sensor.changed && (isAlert || recoveredToNominal);
-
-            if (shouldAlert) {
-                let message;
-                if (recoveredToNominal) {
-                    // Recovery message
-                    message = `✅ ${sensor.name}: ${sensor.value.toFixed(0)}${sensor.unit} has returned to NOMINAL.`;
-                    console.log(`✅ RECOVERED: ${message}`);
-                } else {
-                    // Alert message
-                    message = `⚠️ ${sensor.name}: ${sensor.value.toFixed(0)}${sensor.unit} is ${sensor.status}. Recommend: ${sensor.fix}.`;
-                    console.log(`🚨 ALERT (status changed): ${message}`);
+            if (!sensor.changed) {
+                if (sensor.status !== 'NOMINAL') {
+                    console.log(`📡 ${sensor.name}: ${this.formatReading(sensor.value, sensor.unit)} still ${sensor.status} (no change, skipping alert)`);
                 }
+                continue;
+            }
 
-                this.spacesInstance.sendMessage({
-                    text: message,
-                    triggerResponse: true,
-                    role: 'user'
-                });
-                alertSent = true;
-
-                // Only send one alert at a time
-                break;
-            } else if (isAlert) {
-                console.log(`📡 ${sensor.name}: ${sensor.value.toFixed(0)}${sensor.unit} still ${sensor.status} (no change, skipping alert)`);
+            const recovered = sensor.status === 'NOMINAL';
+            let message;
+            if (recovered) {
+                // Recovery message
+                message = `✅ ${sensor.name}: ${this.formatReading(sensor.value, sensor.unit)} has returned to NOMINAL.`;
+                console.log(`✅ RECOVERED: ${message}`);
+            } else {
+                // Alert message
+                // A fast-moving reading is worth mentioning - it won't stay at this value for long
+                const rate = sensor.rateAlarm ? ` and ${sensor.rateAlarm} ${Math.abs(sensor.rate).toFixed(1)} ${sensor.unit}/s` : '';
+                const side = sensor.flipped ? ` on the ${sensor.side.toUpperCase()} side now` : '';
+                message = `⚠️ ${sensor.name}: ${this.formatReading(sensor.value, sensor.unit)} is ${sensor.status}${side}${rate}. Recommend: ${sensor.fix}.`;
+                console.log(`🚨 ALERT (status changed): ${message}`);
             }
+
+            this.alerts.enqueue({
+                key: `sensor:${sensor.name}`,
+                severity: recovered ? 'normal' : (sensor.status === 'CRITICAL' ? 'critical' : 'warning'),
+                worsening: rank[sensor.status] > rank[sensor.lastStatus] || sensor.flipped,
+                text: message,
+                triggerResponse: true,
+                from: sensor.flipped ? `${sensor.lastStatus} ${this.lastSensorSide[sensor.name.toLowerCase()].toUpperCase()}` : sensor.lastStatus,
+                to: sensor.flipped ? `${sensor.status} ${sensor.side.toUpperCase()}` : sensor.status
+            });
         }
 
         // Update last status tracking
         this.lastSensorStatus.power = powerStatus;
         this.lastSensorStatus.pressure = pressureStatus;
         this.lastSensorStatus.temperature = tempStatus;
+        this.lastSensorSide = sides;
 
-        // If no alerts sent, send silent status update (no triggerResponse)
-        if (!alertSent) {
-            const hasAnyAlert = powerStatus !== 'NOMINAL' || pressureStatus !== 'NOMINAL' || tempStatus !== 'NOMINAL';
-            if (!hasAnyAlert) {
-                console.log(`📡 All sensors NOMINAL`);
-            }
-            // Don't flood AI with silent messages - only send occasionally or skip entirely
+        // Instrument problems - the AI should doubt a reading before acting on it - and equipment wear
+        this.queueInstrumentAlerts(telemetry);
+        this.queueEquipmentAlerts(telemetry);
+
+        if (powerStatus === 'NOMINAL' && pressureStatus === 'NOMINAL' && tempStatus === 'NOMINAL') {
+            console.log(`📡 All sensors NOMINAL`);
         }
 
-        // Update state tracking
-        this.lastState = telemetry.state;
-        this.lastStability = telemetry.stability;
+        this.alerts.flush(Date.now());
     }
 
-    shouldTriggerAIResponse(telemetry) {
-        // Check if state changed
-        if (this.lastState !== telemetry.state) {
-            this.lastState = telemetry.state;
-            // Trigger on state changes to DEGRADED, CRITICAL, or PAUSED
-            if (telemetry.state !== 'NORMAL') {
-                return true;
-            }
-        }
+    // Tell the AI when the line changes state. An automatic stop needs a response; the other
+    // transitions either follow an alert it has already had or an action it took, so they're context.
+    sendStateAlert(change) {
+        this.lastState = change.to;
+        if (!this.online || this.telemetrySendCount <= this.minTelemetryBeforeAlert) return;
+
+        const urgent = change.to === CONFIG.STATES.E_STOP;
+        const recommend = urgent ? ' Recommend: find the cause, then resume the line once no sensor is critical.' : '';
+        const message = `🚦 LINE STATE: ${change.from} → ${change.to} (${change.reason}).${recommend}`;
+        console.log(`🚦 STATE: ${message}`);
+
+        const severity = (state) => {
+            if ([CONFIG.STATES.E_STOP, CONFIG.STATES.CRITICAL].includes(state)) return 'critical';
+            if ([CONFIG.STATES.DEGRADED, CONFIG.STATES.PAUSED].includes(state)) return 'warning';
+            return 'normal';
+        };
+        const { SEVERITY_RANK } = AlertDispatcher;
+        this.alerts.enqueue({
+            key: 'state',
+            severity: severity(change.to),
+            worsening: SEVERITY_RANK[severity(change.to)] < SEVERITY_RANK[severity(change.from)],
+            text: message,
+            triggerResponse: urgent,
+            from: change.from,
+            to: change.to
+        });
+        this.alerts.flush(Date.now());
+    }
 
-        // Check for critical sensor values
-        const power = telemetry.sensors.power;
-        const pressure = telemetry.sensors.pressure;
-        const temp = telemetry.sensors.temperature;
+    // Tell the AI when a measurement's redundant channels disagree or one stops behaving like an instrument
+    queueInstrumentAlerts(telemetry) {
+        const channels = telemetry.instrumentation.channels;
 
-        // Power critical: <32 (only LOW - scenarios drop power)
-        const powerCritical = power < CONFIG.SENSORS.POWER.CRITICAL_LOW;
-        // Pressure critical: <125 (only LOW - scenarios drop pressure)
-        const pressureCritical = pressure < CONFIG.SENSORS.PRESSURE.CRITICAL_LOW;
-        // Temp critical: >85 (only HIGH - scenarios raise temp)
-        const tempCritical = temp > CONFIG.SENSORS.TEMPERATURE.CRITICAL_THRESHOLD;
-
-        // Power warning: <38
-        const powerWarning = power < CONFIG.SENSORS.POWER.WARNING_LOW;
-        // Pressure warning: <135
-        const pressureWarning = pressure < CONFIG.SENSORS.PRESSURE.WARNING_LOW;
-        // Temp warning: >75
-        const tempWarning = temp > CONFIG.SENSORS.TEMPERATURE.WARNING_THRESHOLD;
-
-        // Trigger on ANY warning or critical - AI needs to respond every time
-        const hasAlert = powerCritical || pressureCritical || tempCritical || powerWarning || pressureWarning || tempWarning;
-
-        if (hasAlert) {
-            console.log(`🚨 Alert detected: pW=${powerWarning}, pC=${powerCritical}, prW=${pressureWarning}, prC=${pressureCritical}, tW=${tempWarning}, tC=${tempCritical}`);
-            return true;
+        for (const [sensor, channel] of Object.entries(channels)) {
+            const unhealthy = channel.health.some(health => health !== 'ok');
+            if (!channel.discrepancy && !unhealthy) continue;
+
+            const lastSeen = this.instrumentAlerted.get(sensor);
+            this.instrumentAlerted.set(sensor, telemetry.timestamp);
+            if (lastSeen !== undefined && telemetry.timestamp - lastSeen < CONFIG.SENSOR_FAULTS.ALERT_QUIET_PERIOD * 1000) continue;
+
+            const unit = CONFIG.SENSORS[sensor.toUpperCase()].UNIT;
+            const readings = channel.readings
+                .map((reading, i) => `ch${i + 1} ${this.formatReading(reading, '')} (${channel.health[i]})`)
+                .join(', ');
+            const problem = channel.discrepancy ? 'channels disagree' : 'instrument fault suspected';
+            const message = `⚖️ ${sensor.toUpperCase()} SENSOR: ${problem} - ${readings} ${unit}; validated ${this.formatReading(telemetry.sensors[sensor], unit)}. Recommend: check the ${sensor} instruments before acting on this reading.`;
+            console.log(`⚖️ INSTRUMENT: ${message}`);
+
+            this.alerts.enqueue({ key: `instrument:${sensor}`, severity: 'warning', worsening: true, text: message, triggerResponse: true });
         }
+    }
 
-        // Trigger if stability drops significantly
-        if (this.lastStability !== undefined && telemetry.stability < this.lastStability - 10) {
-            this.lastStability = telemetry.stability;
-            return true;
+    // Tell the AI once when a component drops below the service threshold, with its remaining life
+    queueEquipmentAlerts(telemetry) {
+        const components = telemetry.equipment.components;
+
+        for (const [name, component] of Object.entries(components)) {
+            if (component.health >= CONFIG.EQUIPMENT.SERVICE_THRESHOLD) {
+                this.equipmentAlerted.delete(name);
+                continue;
+            }
+            if (this.equipmentAlerted.has(name)) continue;
+
+            this.equipmentAlerted.add(name);
+            const label = name.replace(/([A-Z])/g, ' $1').toUpperCase();
+            const life = component.remainingLife !== null
+                ? `about ${Math.round(component.remainingLife / 60)} min of useful life left`
+                : 'not currently wearing';
+            const message = `🛠️ ${label}: ${component.health.toFixed(0)}% health, ${life}. Recommend: schedule maintenance.`;
+            console.log(`🛠️ EQUIPMENT: ${message}`);
+
+            // Wear is slower news than anything the sensors say
+            this.alerts.enqueue({ key: `equipment:${name}`, severity: 'info', worsening: true, text: message, triggerResponse: true });
         }
-        this.lastStability = telemetry.stability;
+    }
 
-        return false;
+    // The shared (debounced) sensor status, in the words the AI is prompted with
+    getSensorStatus(telemetry, sensorName) {
+        const labels = { normal: 'NOMINAL', warning: 'WARNING', critical: 'CRITICAL', fault: 'NO SIGNAL' };
+        return labels[telemetry.sensorStatus[sensorName].status];
     }
     
-    formatTelemetryMessage(telemetry, isAlert = false) {
-        const power = telemetry.sensors.power;
-        const pressure = telemetry.sensors.pressure;
-        const temp = telemetry.sensors.temperature;
+    formatReading(value, unit) {
+        return value === null ? 'no reading' : `${value.toFixed(0)}${unit}`;
+    }
 
-        const powerStatus = this.getSensorStatus('power', power);
-        const pressureStatus = this.getSensorStatus('pressure', pressure);
-        const tempStatus = this.getSensorStatus('temperature', temp);
-
-        // Build alert list for problematic sensors
-        const alerts = [];
-        if (powerStatus !== 'NOMINAL') alerts.push(`Power: ${power.toFixed(0)} kW is ${powerStatus}`);
-        if (pressureStatus !== 'NOMINAL') alerts.push(`Pressure: ${pressure.toFixed(0)} bar is ${pressureStatus}`);
-        if (tempStatus !== 'NOMINAL') alerts.push(`Temperature: ${temp.toFixed(0)}°C is ${tempStatus}`);
-
-        if (alerts.length > 0) {
-            // Alert format - highlight the problem
-            return `⚠️ ALERT: ${alerts.join(', ')}. Please respond with recommendation.`;
-        } else {
-            // Normal telemetry
-            return `TELEMETRY | Power: ${power.toFixed(0)} kW | Pressure: ${pressure.toFixed(0)} bar | Temp: ${temp.toFixed(0)}°C | All NOMINAL`;
-        }
+    // Functions the AI can call: name -> { description, parameters, handler }. parameters maps each
+    // argument to { type ('string', 'number', 'integer' or 'boolean'), description, required?,
+    // default?, enum?, min?, max?, pattern? }; handler(args) runs with the integration as `this`
+    // and returns the JSON result. Registered below the class with registerFunction().
+    static FUNCTIONS = {};
+
+    static registerFunction(name, definition) {
+        AIIntegration.FUNCTIONS[name] = { parameters: {}, ...definition };
     }
 
-    getSensorStatus(sensorName, value) {
-        const config = CONFIG.SENSORS[sensorName.toUpperCase()];
+    // { args, errors }: args with defaults filled in, and numbers and booleans sent as strings converted
+    static validateArguments(name, args) {
+        const { parameters } = AIIntegration.FUNCTIONS[name];
+        const input = args && typeof args === 'object' ? args : {};
+        const clean = {};
+        const errors = [];
 
-        if (sensorName === 'temperature') {
-            if (value >= config.CRITICAL_THRESHOLD) return 'CRITICAL';
-            if (value >= config.WARNING_THRESHOLD) return 'WARNING';
-            return 'NOMINAL';
-        } else {
-            if (value <= config.CRITICAL_LOW) return 'CRITICAL';
-            if (value <= config.WARNING_LOW) return 'WARNING';
-            return 'NOMINAL';
+        const unknown = Object.keys(input).filter(key => !parameters[key]);
+        if (unknown.length > 0) {
+            console.warn(`⚠️ ${name}: ignoring unknown arguments ${unknown.join(', ')}`);
         }
+
+        for (const [key, spec] of Object.entries(parameters)) {
+            let value = input[key];
+            if (value === undefined || value === null || value === '') {
+                if (spec.required) errors.push(`${key}: required`);
+                else if (spec.default !== undefined) clean[key] = spec.default;
+                continue;
+            }
+
+            if ((spec.type === 'number' || spec.type === 'integer') && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+                value = Number(value);
+            } else if (spec.type === 'boolean' && (value === 'true' || value === 'false')) {
+                value = value === 'true';
+            }
+            const typeOk = {
+                string: typeof value === 'string',
+                number: typeof value === 'number' && Number.isFinite(value),
+                integer: Number.isInteger(value),
+                boolean: typeof value === 'boolean'
+            }[spec.type];
+            if (!typeOk) {
+                errors.push(`${key}: must be ${spec.type === 'integer' ? 'an' : 'a'} ${spec.type}`);
+                continue;
+            }
+            if (spec.enum && !spec.enum.includes(value)) errors.push(`${key}: must be one of ${spec.enum.join(', ')}`);
+            if (spec.min !== undefined && value < spec.min) errors.push(`${key}: must be at least ${spec.min}`);
+            if (spec.max !== undefined && value > spec.max) errors.push(`${key}: must be at most ${spec.max}`);
+            if (spec.pattern && !spec.pattern.test(value)) errors.push(`${key}: doesn't look like ${spec.example || spec.pattern}`);
+            clean[key] = value;
+        }
+
+        return { args: clean, errors };
     }
-    
-    formatDelta(delta) {
-        if (Math.abs(delta) < 0.1) return '→';
-        return delta > 0 ? `+${delta.toFixed(1)}` : delta.toFixed(1);
+
+    // JSON-schema definitions for registering the functions in the Napster Spaces functions library
+    static getFunctionSchemas() {
+        return Object.entries(AIIntegration.FUNCTIONS).map(([name, definition]) => {
+            const properties = {};
+            Object.entries(definition.parameters).forEach(([key, spec]) => {
+                properties[key] = { type: spec.type, description: spec.description };
+                if (spec.enum) properties[key].enum = spec.enum;
+                if (spec.min !== undefined) properties[key].minimum = spec.min;
+                if (spec.max !== undefined) properties[key].maximum = spec.max;
+                if (spec.default !== undefined) properties[key].default = spec.default;
+            });
+            const required = Object.keys(definition.parameters).filter(key => definition.parameters[key].required);
+            return { name, description: definition.description, parameters: { type: 'object', properties, required } };
+        });
     }
-    
-    handleOnData(data) {
-        console.log('🔵 AI Data received:', JSON.stringify(data, null, 2));
 
-        // Check for avatar ready state in various possible structures
-        const jsonStr = JSON.stringify(data);
-        const hasAvatarStateChanged = jsonStr.includes('avatar_state_changed');
-        const hasReadyState = jsonStr.includes('"state"') && jsonStr.includes('"ready"');
+    // A function call from the provider: { name, arguments, callId }
+    handleFunctionCall(call) {
+        const { name, arguments: args, callId } = call;
 
-        console.log('🔍 Avatar check:', { hasAvatarStateChanged, hasReadyState, hasResolver: !!this.avatarReadyResolve });
+        console.log('📞 Function call received:', { name, args, callId });
 
-        if (hasAvatarStateChanged && hasReadyState && this.avatarReadyResolve) {
-            console.log('✅ Avatar ready detected! Resolving promise...');
-            // Resolve the avatar ready promise
-            this.avatarReadyResolve();
-            this.avatarReadyResolve = null;
+        const definition = AIIntegration.FUNCTIONS[name];
+        if (!definition) {
+            console.warn('⚠️ Unknown function name:', name, 'expected one of:', Object.keys(AIIntegration.FUNCTIONS).join(', '));
+            this.sendFunctionOutput(callId, {
+                success: false,
+                status: 'unknown_function',
+                error: `Unknown function ${name} - available: ${Object.keys(AIIntegration.FUNCTIONS).join(', ')}`
+            });
             return;
         }
 
-        // Check for function calls - standard format
-        if (data?.type === 'NAPSTER_SPACES_FUNCTION_CALL') {
-            console.log('🟢 Function call detected (standard format)');
-            this.handleFunctionCall(data);
-            return;
-        }
-        
-        // Check for function calls via DATA_MESSAGES format
-        if (data?.type === 'NAPSTER_SPACES_DATA_MESSAGES' &&
-            data?.payload?.data?.message?.type === 'function_call') {
-            console.log('🟢 Function call detected (DATA_MESSAGES format)');
-            const message = data.payload.data.message;
-            
-            let args = {};
-            try {
-                if (message.arguments && typeof message.arguments === 'object') {
-                    args = message.arguments;
-                } else if (message.content && typeof message.content === 'string') {
-                    args = JSON.parse(message.content);
-                } else if (message.content && typeof message.content === 'object') {
-                    args = message.content;
-                }
-            } catch (e) {
-                console.error('Failed to parse function args:', e);
-            }
-            
-            const functionName = message.name || CONFIG.AI.FUNCTION_NAME;
-            
-            this.handleFunctionCall({
-                payload: {
-                    name: functionName,
-                    arguments: args,
-                    callId: message.call_id
-                }
+        const { args: clean, errors } = AIIntegration.validateArguments(name, args);
+        if (errors.length > 0) {
+            console.error(`❌ Invalid ${name} arguments: ${errors.join('; ')}`);
+            this.sendFunctionOutput(callId, {
+                success: false,
+                status: 'invalid_arguments',
+                function: name,
+                error: `Invalid ${name} arguments:\n  - ${errors.join('\n  - ')}`,
+                errors
             });
             return;
         }
-    }
-    
-    handleFunctionCall(data) {
-        const { name, arguments: args, callId } = data.payload || {};
 
-        console.log('📞 Function call received:', { name, args, callId });
-        console.log('📞 Full data:', JSON.stringify(data, null, 2));
-
-        if (name === CONFIG.AI.FUNCTION_NAME) {
-            this.processControlAction(args, callId);
-        } else {
-            console.warn('⚠️ Unknown function name:', name, 'expected:', CONFIG.AI.FUNCTION_NAME);
+        let output;
+        try {
+            output = definition.handler.call(this, clean);
+        } catch (error) {
+            console.error(`❌ ${name} failed:`, error);
+            output = { success: false, status: 'failed', function: name, error: error.message };
         }
+        this.sendFunctionOutput(callId, output);
     }
 
-    processControlAction(args, callId) {
-        const { action, confirmed, confirmation_phrase } = args || {};
+    processControlAction(args) {
+        const { action, confirmed, confirmation_phrase, job_id, override_phrase, alarm_id, shelve_duration } = args;
 
         console.log('🔧 Processing control action:', { action, confirmed, confirmation_phrase });
-        console.log('🔧 Current simulation state before action:', {
-            cooling: this.simulation.cooling,
-            temperature: this.simulation.sensors.temperature,
-            scenario: this.simulation.activeScenario
+
+        // High-risk actions, and any interlock override, take two calls: the first gets a challenge
+        // phrase back, the second runs the action only if it repeats that phrase, with the same
+        // arguments, before the challenge expires
+        if (this.requiresConfirmation(action) || override_phrase) {
+            const target = { job_id, override_phrase, alarm_id, shelve_duration };
+            const response = this.checkConfirmation(action, confirmed, confirmation_phrase, target);
+            if (response) {
+                return response;
+            }
+        }
+
+        console.log(`🎯 Executing action: ${action}`);
+
+        // An interlock refusal comes back with the rules that tripped; the AI can only get past an
+        // overridable one with the override phrase from the refusal, once the operator confirms it
+        const result = this.simulation.executeAction(action, {
+            source: 'ai',
+            jobId: job_id,
+            override: override_phrase,
+            alarmId: alarm_id,
+            duration: shelve_duration
         });
 
-        if (!action) {
-            console.error('❌ No action specified in function call');
-            if (this.spacesInstance && callId) {
-                this.spacesInstance.sendFunctionOutput(callId, {
+        return {
+            success: result.success,
+            status: result.success ? 'executed' : (result.refusals ? 'refused' : 'failed'),
+            action: action,
+            message: result.refusals ? this.describeRefusal(result) : result.message,
+            job: result.job || null,
+            refusals: result.refusals || null,
+            overridePhrase: result.overridePhrase || null,
+            inFlightActions: this.simulation.actions.getSnapshot(),
+            activeAlarms: this.simulation.alarms.getActive(),
+            newState: this.simulation.getAITelemetrySnapshot(),
+            timestamp: Date.now()
+        };
+    }
+
+    // Per-tick readings over the last `window` seconds, oldest first
+    getRecentHistory(window) {
+        const now = this.simulation.clock.now();
+        return this.simulation.sensorHistory.filter(entry => entry.time >= now - window * 1000);
+    }
+
+    // An interlock refusal in the AI's words: an override is the operator's call, so it goes
+    // through the same confirmation challenge as a high-risk action
+    describeRefusal(result) {
+        const hint = result.overridePhrase
+            ? ` - if the operator agrees, call again with override_phrase "${result.overridePhrase}" and they will be asked to confirm`
+            : '';
+        return `Interlock: ${Interlocks.describe(result.refusals)}${hint}`;
+    }
+
+    requiresConfirmation(action) {
+        const { RISK, CONFIRM_RISKS } = CONFIG.AI.CONFIRMATION;
+        return CONFIRM_RISKS.includes(RISK[action] || 'low');
+    }
+
+    // Returns the response for a call that can't run yet, or null once the action is confirmed.
+    // target is the call's other arguments - a challenge only confirms the action it was issued
+    // for (the alarm, the duration, the override), so a second call that changes them gets a new one
+    checkConfirmation(action, confirmed, phrase, target = {}) {
+        const now = Date.now();
+        const pending = this.pendingConfirmations.get(action);
+        if (pending && now > pending.expiresAt) {
+            this.pendingConfirmations.delete(action);
+            this.logConfirmationStep(action, 'expired', `Challenge "${pending.phrase}" expired unanswered`);
+        }
+        const challenge = this.pendingConfirmations.get(action);
+
+        // The operator said no - drop the challenge
+        if (challenge && confirmed === false) {
+            this.pendingConfirmations.delete(action);
+            this.logConfirmationStep(action, 'declined', 'Operator declined');
+            return { success: false, status: 'declined', action, message: `${this.formatActionLabel(action)} cancelled - the operator declined` };
+        }
+
+        if (challenge && typeof phrase === 'string' && phrase.trim() !== '') {
+            if (phrase.trim().toUpperCase() !== challenge.phrase) {
+                this.logConfirmationStep(action, 'rejected', `Phrase "${phrase}" doesn't match the challenge`);
+                return {
                     success: false,
-                    error: 'No action specified'
-                });
+                    status: 'confirmation_invalid',
+                    action,
+                    message: `That phrase doesn't match. Call again with confirmation_phrase "${challenge.phrase}" within ${Math.ceil((challenge.expiresAt - now) / 1000)}s.`
+                };
             }
-            return;
+            this.pendingConfirmations.delete(action);
+            if (JSON.stringify(target) !== JSON.stringify(challenge.target)) {
+                this.logConfirmationStep(action, 'rejected', `Phrase "${challenge.phrase}" was for ${this.describeTarget(action, challenge.target)}, not ${this.describeTarget(action, target)}`);
+                return this.issueChallenge(action, target, now,
+                    `The operator confirmed ${this.describeTarget(action, challenge.target)}, not ${this.describeTarget(action, target)}. `);
+            }
+            this.logConfirmationStep(action, 'confirmed', `Confirmed with "${challenge.phrase}"`);
+            return null;
         }
 
-        console.log(`🎯 Executing action: ${action} (confirmed: ${confirmed}, phrase: "${confirmation_phrase}")`);
+        // First call (or the last challenge expired) - issue a fresh challenge
+        return this.issueChallenge(action, target, now);
+    }
 
-        // Execute the action on the simulation
-        const result = this.simulation.executeAction(action);
+    issueChallenge(action, target, now, reason = '') {
+        // An interlock override is high-risk whatever the action
+        const risk = target.override_phrase ? 'high' : CONFIG.AI.CONFIRMATION.RISK[action];
+        const code = Math.floor(1000 + this.confirmationRandom.next() * 9000);
+        const issued = {
+            phrase: `${this.formatActionLabel(action).toUpperCase()} ${code}`,
+            target,
+            expiresAt: now + CONFIG.AI.CONFIRMATION.TIMEOUT
+        };
+        this.pendingConfirmations.set(action, issued);
+        const seconds = CONFIG.AI.CONFIRMATION.TIMEOUT / 1000;
+        this.logConfirmationStep(action, 'confirmation_required', `Challenge "${issued.phrase}" issued for ${this.describeTarget(action, target)} (${seconds}s to confirm)`);
+        const why = target.override_phrase
+            ? 'Overriding an interlock is the operator\'s call'
+            : `${this.formatActionLabel(action)} is a ${risk}-risk action`;
+        return {
+            success: false,
+            status: 'confirmation_required',
+            action,
+            risk,
+            challenge: issued.phrase,
+            expiresIn: seconds,
+            message: `${reason}${why}. Ask the operator to confirm ${this.describeTarget(action, target)}, then call again with the same arguments and confirmation_phrase "${issued.phrase}" within ${seconds}s.`
+        };
+    }
+
+    // "Shelve Alarm AL-3 for 60s" - what a challenge is for, in words the operator can check
+    describeTarget(action, target) {
+        const parts = [
+            this.formatActionLabel(action),
+            target.alarm_id,
+            target.shelve_duration && `for ${target.shelve_duration}s`,
+            target.job_id && `job ${target.job_id}`,
+            target.override_phrase && `overriding with "${target.override_phrase}"`
+        ].filter(Boolean);
+        return parts.join(' ');
+    }
 
-        console.log('🔧 Simulation state after action:', {
-            cooling: this.simulation.cooling,
-            temperature: this.simulation.sensors.temperature,
-            scenario: this.simulation.activeScenario
+    logConfirmationStep(action, step, message) {
+        this.simulation.actionLog.record({
+            timestamp: this.simulation.clock.now(),
+            source: 'ai',
+            action,
+            step,
+            message
         });
+    }
 
-        // Log the action to the message feed
-        this.addActionToFeed(action, result);
-
-        // Send response back to AI
-        if (this.spacesInstance && callId) {
-            this.spacesInstance.sendFunctionOutput(callId, {
-                success: result.success,
-                action: action,
-                message: result.message,
-                newState: this.simulation.getTelemetrySnapshot(),
-                timestamp: Date.now()
-            });
+    sendFunctionOutput(callId, output) {
+        if (this.provider && callId) {
+            this.provider.sendFunctionOutput(callId, output);
         }
     }
 
-    addActionToFeed(action, result) {
+    // The AI hears when one of its jobs fails after it was started - the action didn't have
+    // the effect it expected
+    reportActionJob(job) {
+        if (job.source !== 'ai' || job.endedAt === job.requestedAt || !this.online) return;
+
+        const message = `❌ ACTION ${job.id} ${this.formatActionLabel(job.action).toUpperCase()} FAILED: ${job.message}. Recommend: check why it had no effect before repeating it.`;
+        console.log(`❌ ACTION: ${message}`);
+        this.alerts.enqueue({ key: `action:${job.id}`, severity: 'warning', worsening: true, text: message, triggerResponse: true });
+        this.alerts.flush(Date.now());
+    }
+
+    // One action log entry in the message feed (there's none headless)
+    addActionToFeed(entry) {
+        if (typeof document === 'undefined') return;
         const feed = document.getElementById('messages-feed');
         if (!feed) return;
 
+        const styles = {
+            executed: 'action-success', completed: 'action-success', confirmed: 'action-success',
+            confirmation_required: 'warning', queued: 'warning'
+        };
         const messageEl = document.createElement('div');
-        messageEl.className = `message-item ${result.success ? 'action-success' : 'action-failed'}`;
+        messageEl.className = `message-item ${styles[entry.step] || 'action-failed'}`;
 
         const timeEl = document.createElement('div');
         timeEl.className = 'message-time';
@@ -397,7 +708,8 @@ class AIIntegration {
 
         const textEl = document.createElement('div');
         textEl.className = 'message-text';
-        textEl.textContent = `[ACTION] ${this.formatActionLabel(action)}: ${result.message}`;
+        const job = entry.jobId ? ` ${entry.jobId}` : '';
+        textEl.textContent = `[${entry.source.toUpperCase()}${job}] ${this.formatActionLabel(entry.action)} ${entry.step.replace('_', ' ')}: ${entry.message}`;
 
         messageEl.appendChild(timeEl);
         messageEl.appendChild(textEl);
@@ -409,8 +721,6 @@ class AIIntegration {
         while (feed.children.length > 10) {
             feed.removeChild(feed.lastChild);
         }
-
-        this.messageCount++;
     }
 
     formatActionLabel(action) {
@@ -424,9 +734,191 @@ class AIIntegration {
             clearInterval(this.telemetryInterval);
             this.telemetryInterval = null;
         }
+        if (this.contextInterval) {
+            clearInterval(this.contextInterval);
+            this.contextInterval = null;
+        }
+
+        // No more connection attempts, and the session is torn down
+        clearTimeout(this.readyTimer);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.closeProvider();
+        this.setConnection('offline', 'stopped');
     }
 }
 
-// Make AI integration globally available
-window.AIIntegration = AIIntegration;
+// Run an operator action (with confirmation for high-risk ones and interlock checks)
+AIIntegration.registerFunction(CONFIG.AI.FUNCTION_NAME, {
+    description: 'Run an operator action on the welding line',
+    parameters: {
+        action: {
+            type: 'string',
+            required: true,
+            enum: Object.values(CONFIG.ACTIONS).filter(action => !CONFIG.AI.OPERATOR_ONLY.includes(action)),
+            description: 'The action to run'
+        },
+        confirmed: { type: 'boolean', description: 'false when the operator declined a confirmation challenge' },
+        confirmation_phrase: { type: 'string', description: 'The challenge phrase, repeated to confirm a high-risk action' },
+        job_id: { type: 'string', pattern: /^A-\d+$/, example: 'A-3', description: 'The job to cancel (cancel_action)' },
+        override_phrase: { type: 'string', description: 'The override phrase from an interlock refusal, once the operator agrees' },
+        alarm_id: { type: 'string', pattern: /^(AL-\d+|all)$/, example: 'AL-2 or all', description: 'The alarm to acknowledge, shelve or unshelve' },
+        shelve_duration: { type: 'number', min: 1, max: CONFIG.ALARMS.SHELVE_MAX, description: 'Seconds to shelve an alarm for' }
+    },
+    handler(args) {
+        return this.processControlAction(args);
+    }
+});
+
+AIIntegration.registerFunction('get_sensor_history', {
+    description: 'Readings of a sensor over the last few minutes, with min, max, mean and trend',
+    parameters: {
+        sensor: { type: 'string', required: true, enum: SensorClassifier.SENSORS, description: 'Which sensor' },
+        window: {
+            type: 'number',
+            default: CONFIG.AI.QUERIES.HISTORY_WINDOW,
+            min: 1,
+            max: CONFIG.CHARTS.MAX_DATA_POINTS * CONFIG.SIMULATION.TICK_INTERVAL / 1000,
+            description: 'Seconds of history'
+        }
+    },
+    handler({ sensor, window }) {
+        const now = this.simulation.clock.now();
+        const history = this.getRecentHistory(window);
+        const values = history.map(entry => entry[sensor]).filter(value => value !== null);
+        const trend = ContextBuilder.getTrend(history, sensor);
+        const round = (value) => Math.round(value * 10) / 10;
+
+        return {
+            success: true,
+            sensor,
+            unit: CONFIG.SENSORS[sensor.toUpperCase()].UNIT,
+            window,
+            status: this.simulation.getSensorStatus(sensor),
+            points: history.map(entry => ({ secondsAgo: Math.round((now - entry.time) / 1000), value: entry[sensor] === null ? null : round(entry[sensor]), state: entry.state })),
+            stats: values.length === 0 ? null : {
+                min: round(Math.min(...values)),
+                max: round(Math.max(...values)),
+                mean: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+                change: round(values[values.length - 1] - values[0]),
+                missingReadings: history.length - values.length
+            },
+            trendPerMinute: trend === null ? null : round(trend)
+        };
+    }
+});
+
+AIIntegration.registerFunction('explain_stability', {
+    description: 'Why the stability score is what it is: each penalty, its sensors, and the state thresholds',
+    handler() {
+        const telemetry = this.simulation.getAITelemetrySnapshot();
+        const breakdown = telemetry.stabilityBreakdown;
+        const factors = breakdown.factors.map(factor => ({ ...factor, penalty: Math.round(factor.penalty * 10) / 10 }));
+
+        return {
+            success: true,
+            stability: Math.round(telemetry.stability),
+            strategy: breakdown.strategy,
+            factors,
+            summary: factors.length === 0
+                ? `Stability ${Math.round(telemetry.stability)} - no penalties`
+                : `Stability ${Math.round(telemetry.stability)}: ${factors.map(factor => `-${Math.round(factor.penalty)} ${factor.factor} (${factor.sensors.join(', ')}): ${factor.detail}`).join('; ')}`,
+            thresholds: { normal: CONFIG.STABILITY.THRESHOLD_NORMAL, degraded: CONFIG.STABILITY.THRESHOLD_DEGRADED },
+            state: telemetry.stateMachine
+        };
+    }
+});
+
+// A straight line through the recent trend - no knowledge of scenarios or what the operator will do
+AIIntegration.registerFunction('forecast_sensor', {
+    description: 'Where a sensor is heading if its recent trend continues, and when it would cross a limit',
+    parameters: {
+        sensor: { type: 'string', required: true, enum: SensorClassifier.SENSORS, description: 'Which sensor' },
+        horizon: { type: 'number', default: CONFIG.AI.QUERIES.FORECAST_HORIZON, min: 1, max: CONFIG.AI.QUERIES.FORECAST_MAX_HORIZON, description: 'Seconds ahead' }
+    },
+    handler({ sensor, horizon }) {
+        const current = this.simulation.readings[sensor];
+        if (current === null) {
+            return { success: false, sensor, status: 'no_reading', error: `No ${sensor} reading to forecast from - the sensor is faulted` };
+        }
+
+        const config = CONFIG.SENSORS[sensor.toUpperCase()];
+        const window = CONFIG.AI.CONTEXT.TREND_TICKS * CONFIG.SIMULATION.TICK_INTERVAL / 1000;
+        const slope = ContextBuilder.getTrend(this.getRecentHistory(window), sensor); // per minute
+        const perSecond = slope === null ? 0 : slope / 60;
+        const predicted = current + perSecond * horizon;
+        const round = (value) => Math.round(value * 10) / 10;
+
+        // When the trend line reaches each limit ahead of it, and what that does to the status -
+        // a falling temperature crossing 75°C is a recovery, not a warning
+        const limits = [config.CRITICAL_LOW, config.WARNING_LOW, config.WARNING_HIGH ?? config.WARNING_THRESHOLD, config.CRITICAL_HIGH ?? config.CRITICAL_THRESHOLD]
+            .filter(limit => limit !== undefined);
+        const step = Math.sign(perSecond) * 0.001;
+        const crossings = perSecond === 0 ? [] : limits
+            .map(limit => {
+                const from = SensorClassifier.classify(sensor, limit - step);
+                const to = SensorClassifier.classify(sensor, limit + step);
+                const direction = SensorClassifier.SEVERITY[to] > SensorClassifier.SEVERITY[from] ? 'worsening' : 'recovering';
+                return { limit, from, to, direction, inSeconds: Math.round((limit - current) / perSecond) };
+            })
+            .filter(crossing => crossing.inSeconds > 0)
+            .sort((a, b) => a.inSeconds - b.inSeconds);
+
+        return {
+            success: true,
+            sensor,
+            unit: config.UNIT,
+            horizon,
+            current: round(current),
+            trendPerMinute: slope === null ? null : round(slope),
+            predicted: round(predicted),
+            predictedStatus: SensorClassifier.classify(sensor, predicted),
+            crossings,
+            basis: `linear fit over the last ${window}s; doesn't allow for scenarios ending or actions taking effect, and a recovery only shows once the reading is ${config.DEADBAND}${config.UNIT} past the limit`
+        };
+    }
+});
+
+AIIntegration.registerFunction('list_alarms', {
+    description: 'Open and shelved alarms with the alarm KPIs, optionally with recently closed alarms',
+    parameters: {
+        include_history: { type: 'boolean', default: false, description: 'Also list recently closed alarms' },
+        limit: { type: 'integer', default: 10, min: 1, max: CONFIG.ALARMS.HISTORY, description: 'How many closed alarms' }
+    },
+    handler({ include_history, limit }) {
+        const alarms = this.simulation.alarms.getSnapshot(this.simulation.clock.now());
+        return {
+            success: true,
+            active: alarms.active,
+            shelved: alarms.shelved,
+            suppressed: alarms.suppressed,
+            kpis: alarms.kpis,
+            history: include_history ? this.simulation.alarms.getHistory(limit) : null
+        };
+    }
+});
+
+AIIntegration.registerFunction('get_action_status', {
+    description: 'Progress of an action job, or every job in flight when no ID is given',
+    parameters: {
+        id: { type: 'string', pattern: /^A-\d+$/, example: 'A-3', description: 'The job ID from the action result' }
+    },
+    handler({ id }) {
+        if (id === undefined) {
+            return { success: true, inFlightActions: this.simulation.actions.getSnapshot() };
+        }
+        const job = this.simulation.actions.getJob(id);
+        return job
+            ? { success: true, job }
+            : { success: false, status: 'not_found', error: `No action job ${id} (only the last ${CONFIG.ACTION_JOBS.HISTORY} finished jobs are kept)` };
+    }
+});
+
+// Make AI integration globally available (browser) / exportable (Node - with the mock provider)
+if (typeof window !== 'undefined') {
+    window.AIIntegration = AIIntegration;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIIntegration;
+}
 
@@ -0,0 +1,327 @@
+/**
+ * Virtual Factory AI Assistant - AI Providers
+ * Where the assistant's voice comes from: the Napster Spaces avatar, or a local rule-based
+ * mock that needs no network
+ *
+ * Every provider has the same shape:
+ *   constructor(events)        events: { onReady(), onFunctionCall({ name, arguments, callId }),
+ *                              onDisconnect(reason), onError(error) }
+ *   async init(container, functions)
+ *                              connect and render into the container selector, offering the
+ *                              named functions; onReady fires once the assistant can talk,
+ *                              onDisconnect if the session drops after that
+ *   sendMessage({ text, triggerResponse, role })
+ *   sendFunctionOutput(callId, output)
+ *   close()                    tear the session down (a reconnect makes a new provider)
+ * Providers are picked by name from AI_PROVIDERS (CONFIG.AI.PROVIDER, or ?ai= in the app).
+ */
+
+// The Napster Spaces SDK avatar (loaded as window.napsterSpacesSDK). The SDK doesn't say when
+// it ends a session for inactivity, so the provider keeps the same inactivity timer itself.
+class NapsterSpacesProvider {
+    constructor(events = {}) {
+        this.events = { onReady: () => {}, onFunctionCall: () => {}, onDisconnect: () => {}, onError: () => {}, ...events };
+        this.instance = null;
+        this.ready = false;
+        this.closed = false;
+        this.inactiveTimer = null;
+    }
+
+    async init(container, functions = [CONFIG.AI.FUNCTION_NAME]) {
+        if (typeof window === 'undefined' || !window.napsterSpacesSDK) {
+            throw new Error('Napster Spaces SDK not loaded');
+        }
+
+        const instance = await window.napsterSpacesSDK.init({
+            experienceId: CONFIG.AI.EXPERIENCE_ID,
+            container,
+            startWithoutPreview: true,
+            functionsLibraryId: CONFIG.AI.FUNCTIONS_LIBRARY_ID,
+            functions,
+            features: {
+                backgroundRemoval: { enabled: true },
+                waveform: { enabled: true, color: '#3b82f6' },
+                inactiveTimeout: { enabled: true, duration: CONFIG.AI.CONNECTION.INACTIVE_TIMEOUT },
+                disclaimer: { enabled: true, text: 'AI-powered factory assistant' }
+            },
+            onReady: () => {
+                console.log('✅ AI Assistant ready (SDK initialized, waiting for avatar...)');
+            },
+            onError: (error) => this.events.onError(error),
+            onData: (data) => this.handleOnData(data)
+        });
+
+        // Closed while the SDK was starting (the ready timeout gave up on it) - don't leave a
+        // second avatar in the container for the next attempt to render next to
+        if (this.closed) {
+            instance.destroy();
+            return;
+        }
+        this.instance = instance;
+    }
+
+    sendMessage(message) {
+        this.instance.sendMessage(message);
+    }
+
+    sendFunctionOutput(callId, output) {
+        this.instance.sendFunctionOutput(callId, output);
+    }
+
+    close() {
+        clearTimeout(this.inactiveTimer);
+        this.ready = false;
+        this.closed = true;
+        if (this.instance) {
+            this.instance.destroy();
+            this.instance = null;
+        }
+    }
+
+    // SDK data -> { type: 'ready' | 'talkState' | 'sessionStarted' | 'functionCall' | 'other', ... }
+    static parseEvent(data) {
+        const payload = data?.payload || {};
+
+        switch (data?.type) {
+            case 'NAPSTER_SPACES_FUNCTION_CALL':
+                return { type: 'functionCall', call: { name: payload.name, arguments: payload.arguments, callId: payload.callId } };
+            case 'NAPSTER_SPACES_TALK_STATES':
+                return { type: 'talkState', state: payload.state };
+            case 'NAPSTER_SPACES_SESSION_STARTED':
+                return { type: 'sessionStarted', sessionId: payload.sessionId };
+            case 'NAPSTER_SPACES_DATA_MESSAGES':
+                if (payload.event === 'avatar_state_changed' && payload.data?.state === 'ready') {
+                    return { type: 'ready' };
+                }
+                if (payload.data?.message?.type === 'function_call') {
+                    const message = payload.data.message;
+                    return {
+                        type: 'functionCall',
+                        call: {
+                            name: message.name || CONFIG.AI.FUNCTION_NAME,
+                            arguments: NapsterSpacesProvider.parseArguments(message),
+                            callId: message.call_id
+                        }
+                    };
+                }
+                return { type: 'other', event: payload.event };
+            default:
+                return { type: 'other', event: data?.type };
+        }
+    }
+
+    static parseArguments(message) {
+        try {
+            if (message.arguments && typeof message.arguments === 'object') {
+                return message.arguments;
+            } else if (message.content && typeof message.content === 'string') {
+                return JSON.parse(message.content);
+            } else if (message.content && typeof message.content === 'object') {
+                return message.content;
+            }
+        } catch (e) {
+            console.error('Failed to parse function args:', e);
+        }
+        return {};
+    }
+
+    handleOnData(data) {
+        const event = NapsterSpacesProvider.parseEvent(data);
+
+        switch (event.type) {
+            case 'ready':
+                if (!this.ready) {
+                    console.log('✅ Avatar ready detected!');
+                    this.ready = true;
+                    this.touch();
+                    this.events.onReady();
+                }
+                break;
+            case 'sessionStarted':
+                console.log(`🔵 AI session started: ${event.sessionId}`);
+                break;
+            case 'talkState':
+                this.touch();
+                break;
+            case 'functionCall':
+                console.log('🟢 Function call detected');
+                this.touch();
+                this.events.onFunctionCall(event.call);
+                break;
+            default:
+                console.log('🔵 AI Data received:', event.event);
+        }
+    }
+
+    // The SDK ends the session after INACTIVE_TIMEOUT without the avatar talking
+    touch() {
+        if (!this.ready) return;
+
+        clearTimeout(this.inactiveTimer);
+        this.inactiveTimer = setTimeout(() => {
+            this.ready = false;
+            this.events.onDisconnect('inactive timeout');
+        }, CONFIG.AI.CONNECTION.INACTIVE_TIMEOUT);
+    }
+}
+
+// A local stand-in for the avatar: it reads the "Recommend: ..." in each alert, answers in a
+// text transcript and calls factory_control just as the real assistant would - including the
+// second call a confirmation challenge needs. No network, so it works for development, demos
+// and automated runs. Without a DOM it works the same, minus the transcript.
+class MockAIProvider {
+    constructor(events = {}) {
+        this.events = { onReady: () => {}, onFunctionCall: () => {}, onDisconnect: () => {}, onError: () => {}, ...events };
+        this.transcript = null;
+        this.nextCallId = 1;
+        this.calls = new Map(); // callId -> arguments, to answer a confirmation challenge
+        this.timers = new Set();
+    }
+
+    async init(container) {
+        if (typeof document !== 'undefined') {
+            const host = document.querySelector(container);
+            if (host) {
+                this.transcript = document.createElement('div');
+                this.transcript.className = 'mock-assistant';
+                host.appendChild(this.transcript);
+            }
+        }
+
+        // READY_DELAY null never gets ready - to try the readiness timeout
+        console.log('🧪 Mock AI assistant (offline)');
+        if (CONFIG.AI.MOCK.READY_DELAY === null) return;
+        this.later(CONFIG.AI.MOCK.READY_DELAY, () => {
+            this.say('assistant', 'Mock assistant online - no network needed. I\'ll act on the recommendation in each alert.');
+            this.events.onReady();
+        });
+    }
+
+    sendMessage({ text, triggerResponse, role }) {
+        this.say(role || 'user', text);
+        if (!triggerResponse) return;
+
+        this.later(CONFIG.AI.MOCK.RESPONSE_DELAY, () => this.respond(text));
+    }
+
+    // Drop the session as the avatar's would - to try reconnecting
+    drop(reason = 'session dropped') {
+        this.say('assistant', `Disconnected (${reason}).`);
+        this.events.onDisconnect(reason);
+    }
+
+    close() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        if (this.transcript) {
+            this.transcript.remove();
+            this.transcript = null;
+        }
+    }
+
+    later(delay, callback) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    // Alerts end in "Recommend: <fix>." (a batch of alerts has one per line) - each fix in
+    // MOCK.RULES becomes a function call, once per action
+    respond(text) {
+        const fixes = [...text.matchAll(/Recommend: ([^.]+)\./g)].map(match => match[1].toLowerCase());
+        if (fixes.length === 0) {
+            this.say('assistant', 'Noted.');
+            return;
+        }
+
+        const called = new Set();
+        fixes.forEach(fix => {
+            const rule = Object.keys(CONFIG.AI.MOCK.RULES).find(phrase => fix.startsWith(phrase));
+            if (!rule) {
+                this.say('assistant', `Noted - I'd ${fix}, but that's one for the operator.`);
+                return;
+            }
+
+            const action = CONFIG.AI.MOCK.RULES[rule];
+            if (called.has(action)) return;
+            called.add(action);
+            this.say('assistant', `I'd ${rule} - calling ${action}.`);
+            this.call({ action });
+        });
+    }
+
+    call(args) {
+        const callId = `mock-${this.nextCallId++}`;
+        this.calls.set(callId, args);
+        this.events.onFunctionCall({ name: CONFIG.AI.FUNCTION_NAME, arguments: args, callId });
+    }
+
+    sendFunctionOutput(callId, output) {
+        const args = this.calls.get(callId);
+        this.calls.delete(callId);
+        this.say('function', `${output.action || 'factory_control'}: ${output.status || (output.success ? 'ok' : 'error')} - ${output.message || output.error}`);
+
+        // A challenge needs the operator: in the browser they confirm or decline in the
+        // transcript, headless the mock confirms it (CONFIG.AI.MOCK.AUTO_CONFIRM)
+        if (output.status === 'confirmation_required' && args) {
+            const confirm = () => this.call({ ...args, confirmation_phrase: output.challenge });
+            const decline = () => this.call({ ...args, confirmed: false });
+            if (CONFIG.AI.MOCK.AUTO_CONFIRM || !this.transcript) {
+                this.say('assistant', `Confirming with "${output.challenge}".`);
+                confirm();
+            } else {
+                this.ask(`${output.message}`, { Confirm: confirm, Decline: decline });
+            }
+        } else if (output.status === 'refused') {
+            this.say('assistant', output.overridePhrase
+                ? `Refused by an interlock. An operator can override it with "${output.overridePhrase}" - I won't.`
+                : 'Refused by an interlock that can\'t be overridden.');
+        }
+    }
+
+    say(role, text) {
+        console.log(`🧪 [${role}] ${text}`);
+        if (!this.transcript) return;
+
+        const line = document.createElement('div');
+        line.className = `mock-line ${role}`;
+        line.textContent = text;
+        this.transcript.appendChild(line);
+        this.transcript.scrollTop = this.transcript.scrollHeight;
+    }
+
+    // A question with one button per choice; the buttons go once one is picked
+    ask(text, choices) {
+        this.say('assistant', text);
+        const buttons = document.createElement('div');
+        buttons.className = 'mock-line choices';
+        Object.entries(choices).forEach(([label, choose]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                buttons.remove();
+                this.say('operator', label);
+                choose();
+            });
+            buttons.appendChild(button);
+        });
+        this.transcript.appendChild(buttons);
+    }
+}
+
+const AI_PROVIDERS = {
+    napster: NapsterSpacesProvider,
+    mock: MockAIProvider
+};
+
+// Make AI providers globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.NapsterSpacesProvider = NapsterSpacesProvider;
+    window.MockAIProvider = MockAIProvider;
+    window.AI_PROVIDERS = AI_PROVIDERS;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NapsterSpacesProvider, MockAIProvider, AI_PROVIDERS };
+}
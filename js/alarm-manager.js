@@ -0,0 +1,265 @@
+/**
+ * Virtual Factory AI Assistant - Alarm Manager
+ * Alarm records with priority, raise and clear times, acknowledgement, shelving and KPIs,
+ * after the alarm states of ISA-18.2
+ *
+ * Each point in CONFIG.ALARMS.POINTS is evaluated every tick. When its conditions hold it raises
+ * an alarm (active, unacknowledged); when they stop holding the alarm clears. An alarm stays open
+ * until it is both cleared and acknowledged - one that clears unacknowledged and comes back is the
+ * same alarm raised again. Shelving hides an open alarm for a while; while the line is in one of
+ * CONFIG.ALARMS.SUPPRESS_STATES no new alarms are raised.
+ */
+
+class AlarmManager {
+    constructor(points = CONFIG.ALARMS.POINTS, onEvent = () => {}) {
+        AlarmManager.validate(points);
+        this.points = points;
+        this.open = [];    // open alarms, oldest first (at most one per point)
+        this.history = []; // closed alarms, newest last
+        this.raises = [];  // { point, at } for every annunciated raise, kept for the KPIs
+        this.suppressed = false;
+        this.nextId = 1;
+        this.onEvent = onEvent; // (type, alarm) for alarmRaised/Cleared/Acknowledged/Shelved/Unshelved
+    }
+
+    static validate(points) {
+        const errors = [];
+
+        Object.entries(points).forEach(([id, point]) => {
+            if (!Array.isArray(point.WHEN) || point.WHEN.length === 0) {
+                errors.push(`${id}: WHEN must be a non-empty array of [field, operator, limit]`);
+            } else {
+                point.WHEN.forEach(([field, operator, limit], i) => {
+                    if (typeof field !== 'string') errors.push(`${id}: condition ${i + 1} needs a field name`);
+                    if (!Interlocks.OPERATORS[operator]) errors.push(`${id}: condition ${i + 1} operator must be one of ${Object.keys(Interlocks.OPERATORS).join(' ')}`);
+                    if (operator === 'in' && !Array.isArray(limit)) errors.push(`${id}: condition ${i + 1} "in" needs an array`);
+                });
+            }
+            if (!CONFIG.ALARMS.PRIORITIES.includes(point.PRIORITY)) {
+                errors.push(`${id}: PRIORITY must be one of ${CONFIG.ALARMS.PRIORITIES.join(', ')}`);
+            }
+            if (typeof point.DESCRIPTION !== 'string' || point.DESCRIPTION.trim() === '') {
+                errors.push(`${id}: DESCRIPTION is required`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid alarm points:\n  - ${errors.join('\n  - ')}`);
+        }
+    }
+
+    // Raise and clear alarms from the current plant values, and bring back expired shelves
+    update(context, now, suppressed = false) {
+        this.suppressed = suppressed;
+
+        this.open.filter(alarm => alarm.shelvedUntil !== null && alarm.shelvedUntil <= now)
+            .forEach(alarm => this.unshelve(alarm.id, now, 'shelve expired'));
+
+        for (const [id, point] of Object.entries(this.points)) {
+            const holds = point.WHEN.every(([field, operator, limit]) => Interlocks.OPERATORS[operator](context[field], limit));
+            const alarm = this.open.find(other => other.point === id);
+
+            if (holds && !(alarm && alarm.active)) {
+                if (suppressed) continue;
+                const conditions = point.WHEN.map(([field, operator, limit]) => ({ field, value: context[field], operator, limit }));
+                this.raise(alarm || this.create(id, point, now), conditions, now);
+            } else if (!holds && alarm && alarm.active) {
+                this.clear(alarm, now);
+            }
+        }
+
+        // Raises older than both KPI windows aren't needed any more
+        const keep = Math.max(CONFIG.ALARMS.KPI_WINDOW, CONFIG.ALARMS.CHATTERING.WINDOW) * 1000;
+        this.raises = this.raises.filter(raise => now - raise.at < keep);
+    }
+
+    create(id, point, now) {
+        const alarm = {
+            id: `AL-${this.nextId++}`,
+            point: id,
+            priority: point.PRIORITY,
+            description: point.DESCRIPTION,
+            conditions: [],
+            active: false,
+            acknowledged: false,
+            raisedAt: now,      // first raise
+            activeSince: null,  // latest raise
+            clearedAt: null,
+            raiseCount: 0,
+            chattering: false,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            shelvedUntil: null,
+            shelvedBy: null,
+            closedAt: null
+        };
+        this.open.push(alarm);
+        return alarm;
+    }
+
+    raise(alarm, conditions, now) {
+        alarm.active = true;
+        alarm.activeSince = now;
+        alarm.clearedAt = null;
+        alarm.conditions = conditions;
+        alarm.raiseCount++;
+
+        // A shelved alarm comes and goes without being annunciated
+        if (alarm.shelvedUntil !== null) return;
+
+        this.raises.push({ point: alarm.point, at: now });
+        alarm.chattering = this.isChattering(alarm.point, now);
+        const again = alarm.raiseCount > 1 ? ` again (${alarm.raiseCount}x${alarm.chattering ? ', chattering' : ''})` : '';
+        console.log(`🔔 ${alarm.id} ${alarm.point} raised${again} [${alarm.priority}]: ${alarm.description}`);
+        this.onEvent('alarmRaised', this.copy(alarm));
+    }
+
+    clear(alarm, now) {
+        alarm.active = false;
+        alarm.clearedAt = now;
+        if (alarm.shelvedUntil !== null) return;
+
+        console.log(`🔕 ${alarm.id} ${alarm.point} cleared${alarm.acknowledged ? '' : ' (unacknowledged)'}`);
+        this.onEvent('alarmCleared', this.copy(alarm));
+        if (alarm.acknowledged) {
+            this.close(alarm, now);
+        }
+    }
+
+    // id is an alarm ID, or 'all' for every unacknowledged alarm on display
+    acknowledge(id, now, by = 'operator') {
+        if (id === 'all') {
+            const pending = this.getActive().filter(alarm => !alarm.acknowledged);
+            if (pending.length === 0) {
+                return { success: false, message: 'No unacknowledged alarms' };
+            }
+            pending.forEach(alarm => this.acknowledge(alarm.id, now, by));
+            return { success: true, message: `${pending.length} alarm${pending.length === 1 ? '' : 's'} acknowledged` };
+        }
+
+        const alarm = this.open.find(other => other.id === id);
+        if (!alarm) {
+            return { success: false, message: this.history.some(other => other.id === id) ? `${id} already closed` : `No alarm ${id}` };
+        }
+        if (alarm.acknowledged) {
+            return { success: false, message: `${id} already acknowledged by ${alarm.acknowledgedBy}` };
+        }
+
+        alarm.acknowledged = true;
+        alarm.acknowledgedAt = now;
+        alarm.acknowledgedBy = by;
+        console.log(`✔️ ${alarm.id} ${alarm.point} acknowledged by ${by}`);
+        this.onEvent('alarmAcknowledged', this.copy(alarm));
+        if (!alarm.active) {
+            this.close(alarm, now);
+        }
+        return { success: true, message: `${id} (${alarm.point}) acknowledged` };
+    }
+
+    // Hide an alarm for duration seconds; it comes back by itself when the shelve expires
+    shelve(id, now, by = 'operator', duration = CONFIG.ALARMS.SHELVE_DURATION) {
+        const alarm = this.open.find(other => other.id === id);
+        if (!alarm) {
+            return { success: false, message: `No open alarm ${id}` };
+        }
+        if (!(duration > 0) || duration > CONFIG.ALARMS.SHELVE_MAX) {
+            return { success: false, message: `Shelve duration must be between 1 and ${CONFIG.ALARMS.SHELVE_MAX}s` };
+        }
+
+        alarm.shelvedUntil = now + duration * 1000;
+        alarm.shelvedBy = by;
+        console.log(`🗄️ ${alarm.id} ${alarm.point} shelved by ${by} for ${duration}s`);
+        this.onEvent('alarmShelved', this.copy(alarm));
+        return { success: true, message: `${id} (${alarm.point}) shelved for ${duration}s` };
+    }
+
+    // A shelved alarm that cleared meanwhile closes; one that's still active is shown again
+    unshelve(id, now, reason = 'unshelved by operator') {
+        const alarm = this.open.find(other => other.id === id);
+        if (!alarm || alarm.shelvedUntil === null) {
+            return { success: false, message: `No shelved alarm ${id}` };
+        }
+
+        alarm.shelvedUntil = null;
+        alarm.shelvedBy = null;
+        console.log(`🗄️ ${alarm.id} ${alarm.point} ${reason}`);
+        this.onEvent('alarmUnshelved', this.copy(alarm));
+        if (!alarm.active) {
+            this.close(alarm, now);
+        }
+        return { success: true, message: `${id} (${alarm.point}) ${reason}` };
+    }
+
+    close(alarm, now) {
+        alarm.closedAt = now;
+        this.open = this.open.filter(other => other !== alarm);
+        this.history.push(alarm);
+        if (this.history.length > CONFIG.ALARMS.HISTORY) {
+            this.history.shift();
+        }
+    }
+
+    isChattering(point, now) {
+        const since = now - CONFIG.ALARMS.CHATTERING.WINDOW * 1000;
+        return this.raises.filter(raise => raise.point === point && raise.at >= since).length >= CONFIG.ALARMS.CHATTERING.COUNT;
+    }
+
+    copy(alarm) {
+        return { ...alarm, conditions: alarm.conditions.map(condition => ({ ...condition })) };
+    }
+
+    // Open alarms on display, most urgent first, then newest first
+    getActive() {
+        const rank = (alarm) => CONFIG.ALARMS.PRIORITIES.indexOf(alarm.priority);
+        return this.open
+            .filter(alarm => alarm.shelvedUntil === null)
+            .sort((a, b) => rank(a) - rank(b) || b.activeSince - a.activeSince)
+            .map(alarm => this.copy(alarm));
+    }
+
+    getShelved() {
+        return this.open.filter(alarm => alarm.shelvedUntil !== null).map(alarm => this.copy(alarm));
+    }
+
+    // An alarm by ID, open or closed (null if unknown)
+    getAlarm(id) {
+        const alarm = this.open.find(other => other.id === id) || this.history.find(other => other.id === id);
+        return alarm ? this.copy(alarm) : null;
+    }
+
+    // Closed alarms, newest last
+    getHistory(limit = this.history.length) {
+        return this.history.slice(-limit).map(alarm => this.copy(alarm));
+    }
+
+    getKpis(now) {
+        const windowStart = now - CONFIG.ALARMS.KPI_WINDOW * 1000;
+        const visible = this.open.filter(alarm => alarm.shelvedUntil === null);
+        const points = [...new Set(this.raises.map(raise => raise.point))];
+        return {
+            alarmsPerHour: this.raises.filter(raise => raise.at >= windowStart).length * 3600 / CONFIG.ALARMS.KPI_WINDOW,
+            active: visible.filter(alarm => alarm.active).length,
+            unacknowledged: visible.filter(alarm => !alarm.acknowledged).length,
+            standing: visible.filter(alarm => alarm.active && now - alarm.activeSince >= CONFIG.ALARMS.STANDING_AFTER * 1000).length,
+            chattering: points.filter(point => this.isChattering(point, now)),
+            shelved: this.open.length - visible.length
+        };
+    }
+
+    getSnapshot(now) {
+        return {
+            active: this.getActive(),
+            shelved: this.getShelved(),
+            suppressed: this.suppressed,
+            kpis: this.getKpis(now)
+        };
+    }
+}
+
+// Make alarm manager globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.AlarmManager = AlarmManager;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlarmManager;
+}
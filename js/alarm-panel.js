@@ -0,0 +1,108 @@
+/**
+ * Virtual Factory AI Assistant - Alarm Panel
+ * The active alarm list - most urgent first - with acknowledge and shelve buttons,
+ * shelved alarms, and the alarm KPIs
+ */
+
+class AlarmPanel {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.container = null;
+        this.alarmList = null;
+        this.shelvedList = null;
+        this.kpis = null;
+    }
+
+    init() {
+        const panel = document.getElementById('operator-panel');
+        if (!panel) return;
+
+        this.container = document.createElement('div');
+        this.container.className = 'panel-section alarms-section';
+        this.container.innerHTML = `
+            <div class="section-header">
+                <h3>Alarms</h3>
+                <button id="alarm-ack-all">Acknowledge all</button>
+            </div>
+            <div class="alarm-kpis" id="alarm-kpis"></div>
+            <ul class="alarm-list" id="alarm-list"></ul>
+            <ul class="alarm-list shelved" id="alarm-shelved"></ul>
+        `;
+        // Alarms sit above everything else the operator acts on
+        const messages = panel.querySelector('.messages-section');
+        panel.insertBefore(this.container, messages);
+
+        this.alarmList = this.container.querySelector('#alarm-list');
+        this.shelvedList = this.container.querySelector('#alarm-shelved');
+        this.kpis = this.container.querySelector('#alarm-kpis');
+        this.container.querySelector('#alarm-ack-all').addEventListener('click', () => {
+            this.execute(CONFIG.ACTIONS.ACKNOWLEDGE_ALARM, { alarmId: 'all' });
+        });
+
+        this.simulation.on('telemetry', (telemetry) => this.render(telemetry.alarms));
+        // Acknowledging or shelving shows straight away, not on the next tick
+        ['alarmAcknowledged', 'alarmShelved', 'alarmUnshelved'].forEach(type => {
+            this.simulation.on(type, () => this.render(this.simulation.alarms.getSnapshot(this.simulation.clock.now())));
+        });
+        this.render(this.simulation.alarms.getSnapshot(this.simulation.clock.now()));
+
+        console.log('🔔 Alarm panel enabled');
+    }
+
+    execute(action, options) {
+        this.simulation.executeAction(action, { source: 'operator', ...options });
+    }
+
+    render(alarms) {
+        if (!this.alarmList) return;
+
+        const { kpis } = alarms;
+        const chattering = kpis.chattering.length > 0 ? ` · chattering: ${kpis.chattering.join(', ')}` : '';
+        this.kpis.textContent = `${kpis.active} active · ${kpis.unacknowledged} unacknowledged · ${kpis.standing} standing · ${kpis.shelved} shelved · ${kpis.alarmsPerHour.toFixed(0)}/h${chattering}${alarms.suppressed ? ' · suppressed while paused' : ''}`;
+
+        this.alarmList.innerHTML = '';
+        if (alarms.active.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'alarm-empty';
+            empty.textContent = 'No alarms';
+            this.alarmList.appendChild(empty);
+        }
+        alarms.active.forEach(alarm => {
+            const item = document.createElement('li');
+            item.className = `alarm-${alarm.priority}${alarm.active ? '' : ' cleared'}${alarm.acknowledged ? ' acknowledged' : ''}`;
+
+            const label = document.createElement('span');
+            const status = `${alarm.active ? 'ACTIVE' : 'CLEARED'}${alarm.acknowledged ? '' : ', UNACK'}`;
+            const repeats = alarm.raiseCount > 1 ? ` ×${alarm.raiseCount}${alarm.chattering ? ' chattering' : ''}` : '';
+            label.textContent = `${new Date(alarm.activeSince).toLocaleTimeString()} ${alarm.priority.toUpperCase()} ${alarm.point} (${status})${repeats}`;
+            label.title = `${alarm.id}: ${alarm.description}${alarm.acknowledged ? ` - acknowledged by ${alarm.acknowledgedBy}` : ''}`;
+            item.appendChild(label);
+
+            if (!alarm.acknowledged) {
+                item.appendChild(this.button('Ack', () => this.execute(CONFIG.ACTIONS.ACKNOWLEDGE_ALARM, { alarmId: alarm.id })));
+            }
+            item.appendChild(this.button('Shelve', () => this.execute(CONFIG.ACTIONS.SHELVE_ALARM, { alarmId: alarm.id })));
+            this.alarmList.appendChild(item);
+        });
+
+        this.shelvedList.innerHTML = '';
+        alarms.shelved.forEach(alarm => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `Shelved ${alarm.point} until ${new Date(alarm.shelvedUntil).toLocaleTimeString()} (${alarm.shelvedBy})`;
+            item.appendChild(label);
+            item.appendChild(this.button('Unshelve', () => this.execute(CONFIG.ACTIONS.UNSHELVE_ALARM, { alarmId: alarm.id })));
+            this.shelvedList.appendChild(item);
+        });
+    }
+
+    button(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+// Make alarm panel globally available
+window.AlarmPanel = AlarmPanel;
@@ -0,0 +1,87 @@
+/**
+ * Virtual Factory AI Assistant - Alert Dispatcher
+ * Queues the alerts meant for the AI, sends the most urgent first, folds simultaneous ones into a
+ * single message and keeps the avatar from being flooded
+ *
+ * An alert is { key, severity, worsening, text, triggerResponse, from?, to? }: severity is
+ * 'critical', 'warning', 'normal' (a recovery) or 'info'. Alerts wait in the queue until flush()
+ * may send - at most one message every CONFIG.AI.ALERTS.MIN_INTERVAL ms, with up to MAX_ITEMS
+ * alerts in it; the rest stay queued for the next message. An alert for a key that is already
+ * queued (the same sensor changing again) replaces it but keeps the statuses it passed through,
+ * so no change is lost.
+ */
+
+class AlertDispatcher {
+    constructor(send = () => {}) {
+        this.queue = [];
+        this.lastSentAt = null;
+        this.send = send; // ({ text, triggerResponse, role })
+    }
+
+    static SEVERITY_RANK = { critical: 0, warning: 1, normal: 2, info: 3 };
+
+    enqueue(alert) {
+        const queued = this.queue.find(other => other.key === alert.key);
+        if (!queued) {
+            this.queue.push({ ...alert, via: [] });
+            return;
+        }
+
+        // The same thing changed again before it was sent - keep where it started and what it passed through
+        const via = queued.to !== undefined ? [...queued.via, queued.to] : queued.via;
+        Object.assign(queued, alert, {
+            from: queued.from,
+            via,
+            triggerResponse: queued.triggerResponse || alert.triggerResponse
+        });
+    }
+
+    // Most urgent first: by severity, then worsening before recovering, then oldest first
+    static compare(a, b) {
+        const { SEVERITY_RANK } = AlertDispatcher;
+        return SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity] || Number(b.worsening) - Number(a.worsening);
+    }
+
+    // Send what may be sent now; returns the message sent, or null
+    flush(now) {
+        if (this.queue.length === 0) return null;
+        if (this.lastSentAt !== null && now - this.lastSentAt < CONFIG.AI.ALERTS.MIN_INTERVAL) return null;
+
+        // Array.prototype.sort is stable, so equal alerts keep their queue order
+        this.queue.sort(AlertDispatcher.compare);
+        const batch = this.queue.splice(0, CONFIG.AI.ALERTS.MAX_ITEMS);
+        const lines = batch.map(alert => AlertDispatcher.describe(alert));
+        const more = this.queue.length > 0 ? `\n(${this.queue.length} more to follow)` : '';
+        const text = batch.length === 1 && !more
+            ? lines[0]
+            : `🚨 ${batch.length} ALERTS, most urgent first:\n${lines.map((line, i) => `${i + 1}. ${line}`).join('\n')}${more}`;
+        const message = { text, triggerResponse: batch.some(alert => alert.triggerResponse), role: 'user' };
+
+        this.lastSentAt = now;
+        console.log(`📨 ALERT: ${batch.length} sent${this.queue.length > 0 ? `, ${this.queue.length} queued` : ''}`);
+        this.send(message);
+        return message;
+    }
+
+    // An alert's text, plus the statuses it went through if it changed more than once while queued
+    static describe(alert) {
+        if (alert.via.length === 0) return alert.text;
+        return `${alert.text} (${[alert.from, ...alert.via, alert.to].join(' → ')} since the last update)`;
+    }
+
+    clear() {
+        this.queue = [];
+    }
+
+    getQueue() {
+        return this.queue.map(alert => ({ ...alert, via: [...alert.via] }));
+    }
+}
+
+// Make alert dispatcher globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.AlertDispatcher = AlertDispatcher;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlertDispatcher;
+}
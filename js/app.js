@@ -9,33 +9,75 @@ class FactoryApp {
         this.sceneManager = null;
         this.chartsManager = null;
         this.aiIntegration = null;
+        this.alarmPanel = null;
+        this.operatorPanel = null;
+        this.debugPanel = null;
     }
     
     async init() {
         console.log('🏭 Virtual Factory AI Assistant - Starting...');
 
+        // One seeded PRNG for the whole run; scene and charts get their own derived streams
+        const random = new SeededRandom(this.getSeed());
+        console.log(`🎲 Simulation seed: ${random.seed} (open with ?seed=${random.seed} to replay this run)`);
+
+        // Real time by default; any other speed runs the simulation on a virtual clock
+        const speed = this.getSpeed();
+        let clock;
+        if (speed === 1) {
+            clock = new RealTimeClock();
+        } else {
+            clock = new VirtualClock();
+            clock.run(speed);
+            console.log(`⏩ Simulation running at ${speed}x`);
+        }
+
         // Initialize simulation (but don't start yet)
-        this.simulation = new FactorySimulation();
+        // (welds for production counts and equipment wear are reported by the 3D scene, which
+        // animates in real time - at any other speed the simulation derives them from its own clock)
+        const robotCycles = speed === 1 ? 'scene' : 'simulated';
+        this.simulation = new FactorySimulation({ random, clock, robotCycles });
+
+        // Scripted scenario replaces the random picker when one is configured
+        await this.loadScenarioScript();
 
         // Initialize 3D scene
-        this.sceneManager = new SceneManager('threejs-canvas');
+        this.sceneManager = new SceneManager('threejs-canvas', {
+            random: random.fork('scene'),
+            onWeldStart: robotCycles === 'scene' ? () => this.simulation.recordPartStarted() : undefined,
+            onWeldCycle: robotCycles === 'scene' ? () => this.simulation.recordRobotCycle() : undefined
+        });
         this.sceneManager.init();
 
         // Initialize charts
-        this.chartsManager = new ChartsManager();
+        this.chartsManager = new ChartsManager({ random: random.fork('charts') });
         this.chartsManager.init();
 
         // Initialize AI integration
-        this.aiIntegration = new AIIntegration(this.simulation);
-        await this.aiIntegration.init();
+        this.aiIntegration = new AIIntegration(this.simulation, (connection) => this.updateAIStatus(connection));
+        await this.aiIntegration.init(this.getAIProvider());
+
+        // Active alarms, then manual controls, so the station works without the AI
+        this.alarmPanel = new AlarmPanel(this.simulation);
+        this.alarmPanel.init();
+
+        this.operatorPanel = new OperatorPanel(this.simulation);
+        this.operatorPanel.init();
+
+        // Instrument fault injection for trainers (?debug=1)
+        if (new URLSearchParams(window.location.search).get('debug') === '1') {
+            this.debugPanel = new DebugPanel(this.simulation);
+            this.debugPanel.init();
+        }
 
         // Set up event listeners
         this.setupEventListeners();
 
-        // Wait for avatar to be ready before starting simulation
+        // Wait for avatar to be ready before starting simulation (or for it to time out - the
+        // line then runs with the AI offline until it reconnects)
         console.log('⏳ Waiting for AI Avatar to be ready...');
         await this.aiIntegration.waitForAvatarReady();
-        console.log('🎉 Avatar ready promise resolved! Hiding loading overlay...');
+        console.log(`🎉 Avatar wait over (AI ${this.aiIntegration.connection.status})! Hiding loading overlay...`);
 
         // Hide the full page loading overlay
         const appLoadingOverlay = document.getElementById('app-loading-overlay');
@@ -54,7 +96,70 @@ class FactoryApp {
         console.log('✅ Virtual Factory AI Assistant - Ready!');
     }
     
+    // Seed precedence: ?seed= URL parameter, then CONFIG.SIMULATION.SEED, then a fresh one
+    getSeed() {
+        const urlSeed = new URLSearchParams(window.location.search).get('seed');
+        if (urlSeed !== null && urlSeed.trim() !== '') {
+            return urlSeed;
+        }
+        return CONFIG.SIMULATION.SEED;
+    }
+
+    // Script precedence: ?scenario= URL parameter, then CONFIG.SIMULATION.SCENARIO_SCRIPT
+    async loadScenarioScript() {
+        const scriptPath = new URLSearchParams(window.location.search).get('scenario') || CONFIG.SIMULATION.SCENARIO_SCRIPT;
+        if (!scriptPath) return;
+
+        try {
+            const response = await fetch(scriptPath);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const format = scriptPath.split('.').pop().toLowerCase();
+            this.simulation.loadScenarioScript(ScenarioPlayer.parse(await response.text(), format));
+        } catch (error) {
+            console.error(`❌ Failed to load scenario script ${scriptPath} - using random scenarios:`, error);
+        }
+    }
+
+    getSpeed() {
+        const urlSpeed = parseFloat(new URLSearchParams(window.location.search).get('speed'));
+        if (Number.isFinite(urlSpeed) && urlSpeed > 0) {
+            return urlSpeed;
+        }
+        return CONFIG.SIMULATION.SPEED;
+    }
+
+    // Provider precedence: ?ai= URL parameter (e.g. ?ai=mock to run offline), then CONFIG.AI.PROVIDER
+    getAIProvider() {
+        return new URLSearchParams(window.location.search).get('ai') || CONFIG.AI.PROVIDER;
+    }
+
+    // The banner over the avatar says when the line is running without the AI
+    updateAIStatus(connection) {
+        const banner = document.getElementById('ai-status-banner');
+        if (!banner) return;
+
+        banner.className = `ai-status-banner ${connection.status}`;
+        switch (connection.status) {
+            case 'offline':
+                banner.textContent = connection.retryIn !== null
+                    ? `AI assistant offline (${connection.reason}) - the line runs without it. Reconnecting in ${Math.round(connection.retryIn / 1000)}s (attempt ${connection.attempt + 1}).`
+                    : `AI assistant offline (${connection.reason}) - the line runs without it.`;
+                break;
+            case 'reconnecting':
+                banner.textContent = `Reconnecting to the AI assistant (attempt ${connection.attempt + 1})...`;
+                break;
+            default:
+                banner.classList.add('hidden');
+        }
+    }
+
     setupEventListeners() {
+        // The beacon, robot speed and LEDs change with the line state, so they follow transitions
+        this.applyState({ to: this.simulation.state, reason: 'initial state' });
+        window.addEventListener('stateChanged', (event) => this.applyState(event.detail));
+
         // Listen for telemetry updates
         window.addEventListener('telemetry', (event) => {
             const telemetry = event.detail;
@@ -65,9 +170,6 @@ class FactoryApp {
             // Update UI elements
             this.updateUI(telemetry);
 
-            // Update 3D scene state
-            this.sceneManager.updateState(telemetry.state);
-
             // Update infrastructure visuals
             if (this.sceneManager.setBackupPowerVisual) {
                 this.sceneManager.setBackupPowerVisual(telemetry.backupPower);
@@ -80,23 +182,22 @@ class FactoryApp {
                     telemetry.backupPower
                 );
             }
+            // The scene's dial gauges are local mechanical gauges - they read the process directly,
+            // so they keep telling the truth when a transmitter fails
+            const process = telemetry.instrumentation.processValues;
             if (this.sceneManager.updateTemperatureGauge) {
-                this.sceneManager.updateTemperatureGauge(telemetry.sensors.temperature);
+                this.sceneManager.updateTemperatureGauge(process.temperature);
             }
             if (this.sceneManager.updatePressureGauge) {
-                this.sceneManager.updatePressureGauge(telemetry.sensors.pressure);
+                this.sceneManager.updatePressureGauge(process.pressure);
             }
-            // Update LED status based on factory state
-            if (this.sceneManager.updateLEDStatus) {
-                this.sceneManager.updateLEDStatus(telemetry.state);
-            }
-            // Update status lights based on sensor readings
+            // Update status lights from the battery levels and the shared sensor statuses
             if (this.sceneManager.updateStatusLights) {
                 this.sceneManager.updateStatusLights({
                     powerLevel: telemetry.mainBatteryLevel,
                     backupLevel: telemetry.backupBatteryLevel,
-                    oilTemp: telemetry.sensors.temperature,
-                    pressure: telemetry.sensors.pressure
+                    oilStatus: telemetry.sensorStatus.temperature.status,
+                    pressureStatus: telemetry.sensorStatus.pressure.status
                 });
             }
         });
@@ -109,12 +210,43 @@ class FactoryApp {
             scoreEl.textContent = Math.round(telemetry.stability);
             scoreEl.style.color = this.getStabilityColor(telemetry.stability);
         }
-        
-        // Update beacon
-        this.updateBeacon(telemetry.state);
+        // Hover the score to see what is pulling it down
+        const stabilityDisplay = document.getElementById('stability-display');
+        if (stabilityDisplay) {
+            const breakdown = telemetry.stabilityBreakdown;
+            const factors = breakdown.factors.map(factor =>
+                `-${Math.round(factor.penalty)} ${factor.factor} (${factor.sensors.join(', ')}): ${factor.detail}`);
+            stabilityDisplay.title = `Stability (${breakdown.strategy} scoring)\n${factors.length > 0 ? factors.join('\n') : 'No penalties'}`;
+        }
+
+        // Update OEE and part counts
+        const production = telemetry.production;
+        const oeeEl = document.getElementById('oee-score');
+        if (oeeEl) {
+            oeeEl.textContent = `${Math.round(production.oee * 100)}%`;
+            oeeEl.style.color = this.getOEEColor(production.oee);
+        }
+        const oeeDetailEl = document.getElementById('oee-detail');
+        if (oeeDetailEl) {
+            oeeDetailEl.textContent = `${production.partsCompleted} parts · ${production.defects} defects`;
+        }
+        const oeeDisplay = document.getElementById('oee-display');
+        if (oeeDisplay) {
+            const percent = (value) => `${Math.round(value * 100)}%`;
+            oeeDisplay.title = `OEE = availability ${percent(production.availability)} × performance ${percent(production.performance)} × quality ${percent(production.quality)}`;
+        }
+    }
+
+    // A state transition ({ from, to, reason }) - update the beacon and the 3D scene
+    applyState(change) {
+        this.updateBeacon(change.to, change.reason);
+        this.sceneManager.updateState(change.to);
+        if (this.sceneManager.updateLEDStatus) {
+            this.sceneManager.updateLEDStatus(change.to);
+        }
     }
     
-    updateBeacon(state) {
+    updateBeacon(state, reason) {
         const beacon = document.getElementById('beacon');
         const label = document.getElementById('beacon-label');
         
@@ -122,8 +254,14 @@ class FactoryApp {
         
         // Remove all classes
         beacon.className = 'beacon';
+        // Hover the beacon to see why the line is in this state
+        label.title = reason || '';
         
         switch (state) {
+            case CONFIG.STATES.STARTING:
+                beacon.classList.add('amber');
+                label.textContent = 'STARTING';
+                break;
             case CONFIG.STATES.NORMAL:
                 label.textContent = 'NORMAL';
                 break;
@@ -139,9 +277,27 @@ class FactoryApp {
                 beacon.classList.add('red', 'flashing');
                 label.textContent = 'PAUSED';
                 break;
+            case CONFIG.STATES.E_STOP:
+                beacon.classList.add('red', 'flashing');
+                label.textContent = 'E-STOP';
+                break;
+            case CONFIG.STATES.MAINTENANCE:
+                beacon.classList.add('amber', 'flashing');
+                label.textContent = 'MAINTENANCE';
+                break;
         }
     }
     
+    getOEEColor(oee) {
+        if (oee >= CONFIG.PRODUCTION.OEE_TARGET) {
+            return CONFIG.COLORS.NORMAL;
+        } else if (oee >= CONFIG.PRODUCTION.OEE_WARNING) {
+            return CONFIG.COLORS.DEGRADED;
+        } else {
+            return CONFIG.COLORS.CRITICAL;
+        }
+    }
+
     getStabilityColor(stability) {
         if (stability >= CONFIG.STABILITY.THRESHOLD_NORMAL) {
             return CONFIG.COLORS.NORMAL;
@@ -4,7 +4,8 @@
  */
 
 class ChartsManager {
-    constructor() {
+    constructor(options = {}) {
+        this.random = options.random || new SeededRandom();
         this.charts = {};
         this.dataPoints = {
             power: [],
@@ -37,9 +38,9 @@ class ChartsManager {
         for (let i = 0; i < 10; i++) {
             const time = new Date(Date.now() - (10 - i) * 1000);
             this.labels.push(time.toLocaleTimeString());
-            this.dataPoints.power.push(nominalData.power + (Math.random() - 0.5) * 2);
-            this.dataPoints.pressure.push(nominalData.pressure + (Math.random() - 0.5) * 2);
-            this.dataPoints.temperature.push(nominalData.temperature + (Math.random() - 0.5) * 1);
+            this.dataPoints.power.push(nominalData.power + this.random.range(-1, 1));
+            this.dataPoints.pressure.push(nominalData.pressure + this.random.range(-1, 1));
+            this.dataPoints.temperature.push(nominalData.temperature + this.random.range(-0.5, 0.5));
         }
 
         // Update all charts
@@ -160,12 +161,15 @@ class ChartsManager {
         const pressureCard = document.getElementById('pressure-card');
         const tempCard = document.getElementById('temperature-card');
 
-        const powerStatus = this.getStatusClass('power', telemetry.sensors.power);
-        const pressureStatus = this.getStatusClass('pressure', telemetry.sensors.pressure);
-        const tempStatus = this.getStatusClass('temperature', telemetry.sensors.temperature);
+        const powerStatus = this.getStatusClass(telemetry.sensorStatus.power.status);
+        const pressureStatus = this.getStatusClass(telemetry.sensorStatus.pressure.status);
+        const tempStatus = this.getStatusClass(telemetry.sensorStatus.temperature.status);
+
+        // A dropped-out sensor reports null - show it as missing rather than a value
+        const format = (value, unit) => value === null ? `-- ${unit}` : `${value.toFixed(1)} ${unit}`;
 
         if (powerEl) {
-            powerEl.textContent = `${telemetry.sensors.power.toFixed(1)} kW`;
+            powerEl.textContent = format(telemetry.sensors.power, 'kW');
             powerEl.className = 'chart-value ' + powerStatus;
         }
         if (powerCard) {
@@ -173,7 +177,7 @@ class ChartsManager {
         }
 
         if (pressureEl) {
-            pressureEl.textContent = `${telemetry.sensors.pressure.toFixed(1)} bar`;
+            pressureEl.textContent = format(telemetry.sensors.pressure, 'bar');
             pressureEl.className = 'chart-value ' + pressureStatus;
         }
         if (pressureCard) {
@@ -181,26 +185,37 @@ class ChartsManager {
         }
 
         if (tempEl) {
-            tempEl.textContent = `${telemetry.sensors.temperature.toFixed(1)} °C`;
+            tempEl.textContent = format(telemetry.sensors.temperature, '°C');
             tempEl.className = 'chart-value ' + tempStatus;
         }
         if (tempCard) {
             tempCard.className = 'chart-card ' + (tempStatus !== 'normal' ? tempStatus : '');
         }
+
+        // Hover a value for its redundant channels; disagreeing channels and fast-moving readings
+        // are marked on the value
+        const channels = telemetry.instrumentation.channels;
+        [[powerEl, 'power'], [pressureEl, 'pressure'], [tempEl, 'temperature']].forEach(([el, sensor]) => {
+            if (!el) return;
+            const channel = channels[sensor];
+            const status = telemetry.sensorStatus[sensor];
+            const rate = status.rate === null ? '--' : `${status.rate >= 0 ? '+' : ''}${status.rate.toFixed(2)}`;
+            el.title = channel.readings
+                .map((reading, i) => `Channel ${i + 1}: ${reading === null ? '--' : reading.toFixed(1)} (${channel.health[i]})`)
+                .join('\n') + `\nVoting: ${channel.voting}\nRate: ${rate} ${CONFIG.SENSORS[sensor.toUpperCase()].UNIT}/s${status.rateAlarm ? ` (${status.rateAlarm} fast)` : ''}`;
+            if (channel.discrepancy) {
+                el.classList.add('discrepancy');
+            }
+            if (status.rateAlarm) {
+                el.classList.add(`rate-${status.rateAlarm}`);
+            }
+        });
     }
     
-    getStatusClass(sensorName, value) {
-        const config = CONFIG.SENSORS[sensorName.toUpperCase()];
-        
-        if (sensorName === 'temperature') {
-            if (value >= config.CRITICAL_THRESHOLD) return 'critical';
-            if (value >= config.WARNING_THRESHOLD) return 'warning';
-            return 'normal';
-        } else {
-            if (value <= config.CRITICAL_LOW || value >= config.CRITICAL_HIGH) return 'critical';
-            if (value <= config.WARNING_LOW || value >= config.WARNING_HIGH) return 'warning';
-            return 'normal';
-        }
+    // CSS class for a sensor status (see js/sensor-classifier.js)
+    getStatusClass(status) {
+        // No signal: flag it, but don't claim the process is critical
+        return status === 'fault' ? 'warning' : status;
     }
 }
 
@@ -0,0 +1,136 @@
+/**
+ * Virtual Factory AI Assistant - Simulation Clocks
+ * All simulation timing goes through a clock so runs can be stepped, sped up or run headless
+ */
+
+// Wall-clock time - today's behavior
+class RealTimeClock {
+    now() {
+        return Date.now();
+    }
+
+    setTimeout(callback, delay) {
+        return setTimeout(callback, delay);
+    }
+
+    clearTimeout(id) {
+        clearTimeout(id);
+    }
+
+    setInterval(callback, interval) {
+        return setInterval(callback, interval);
+    }
+
+    clearInterval(id) {
+        clearInterval(id);
+    }
+}
+
+// Manually driven time - step it with advance(), or let run() drive it at N x real time
+class VirtualClock {
+    constructor(startTime = Date.now()) {
+        this.currentTime = startTime;
+        this.timers = [];
+        this.nextTimerId = 1;
+        this.speed = 1;
+        this.driver = null;
+        this.driverInterval = 50; // real ms between advances while running
+    }
+
+    now() {
+        return this.currentTime;
+    }
+
+    setTimeout(callback, delay = 0) {
+        return this.schedule(callback, delay, null);
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    setInterval(callback, interval) {
+        // A zero interval would fire forever within a single advance()
+        return this.schedule(callback, interval, Math.max(1, interval));
+    }
+
+    clearInterval(id) {
+        this.clearTimeout(id);
+    }
+
+    schedule(callback, delay, interval) {
+        const id = this.nextTimerId++;
+        this.timers.push({ id, callback, interval, time: this.currentTime + Math.max(0, delay || 0) });
+        return id;
+    }
+
+    // Move time forward by ms, firing every due timer in time order (ties fire in creation order)
+    advance(ms) {
+        const target = this.currentTime + ms;
+
+        let timer = this.nextDueTimer(target);
+        while (timer) {
+            this.currentTime = timer.time;
+            if (timer.interval) {
+                timer.time += timer.interval;
+            } else {
+                this.timers = this.timers.filter(t => t !== timer);
+            }
+            timer.callback();
+            timer = this.nextDueTimer(target);
+        }
+
+        this.currentTime = target;
+    }
+
+    // Jump straight to the next pending timer and fire it; returns false when nothing is scheduled
+    advanceToNext() {
+        const timer = this.nextDueTimer(Infinity);
+        if (!timer) return false;
+        this.advance(timer.time - this.currentTime);
+        return true;
+    }
+
+    nextDueTimer(limit) {
+        let next = null;
+        for (const timer of this.timers) {
+            if (timer.time > limit) continue;
+            if (!next || timer.time < next.time || (timer.time === next.time && timer.id < next.id)) {
+                next = timer;
+            }
+        }
+        return next;
+    }
+
+    // Drive virtual time from a real interval at `speed` x real time (10 = 10x, 100 = 100x)
+    run(speed = this.speed) {
+        this.pause();
+        this.speed = speed;
+        let lastReal = Date.now();
+        this.driver = setInterval(() => {
+            const realNow = Date.now();
+            this.advance((realNow - lastReal) * this.speed);
+            lastReal = realNow;
+        }, this.driverInterval);
+    }
+
+    pause() {
+        if (this.driver) {
+            clearInterval(this.driver);
+            this.driver = null;
+        }
+    }
+
+    isRunning() {
+        return this.driver !== null;
+    }
+}
+
+// Make clocks globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.RealTimeClock = RealTimeClock;
+    window.VirtualClock = VirtualClock;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RealTimeClock, VirtualClock };
+}
@@ -9,36 +9,167 @@ const CONFIG = {
         EXPERIENCE_ID: 'YWIzZGI5ZWItMWIxOC00MzVlLTkxN2UtYTgzZjJiNDVmM2I1OjVkOTI0YjZjLWU1ZjgtNGQ1Yi1hNjFhLTM5ODM5MzI2ZmE5NQ==',
         FUNCTIONS_LIBRARY_ID: '1e26cc14-28bd-4c18-811a-15e8d74989a8',
         FUNCTION_NAME: 'factory_control',
+        PROVIDER: 'napster', // js/ai-providers.js: 'napster' (Napster Spaces avatar) or 'mock' (offline; ?ai= overrides)
         TELEMETRY_INTERVAL: 3000, // 3 seconds - fixed interval for avatar updates
+        // Two-step confirmation: actions whose risk is in CONFIRM_RISKS are only run by the AI
+        // when a second call repeats the challenge phrase from the first within the timeout
+        CONFIRMATION: {
+            RISK: {
+                switch_backup_power: 'high',
+                switch_main_power: 'high',
+                pause_line: 'high',
+                emergency_stop: 'high', // Operator only (OPERATOR_ONLY) - the AI can't call it at all
+                resume_line: 'medium',
+                schedule_maintenance: 'medium',
+                increase_pressure: 'low',
+                decrease_pressure: 'low',
+                increase_cooling: 'low',
+                cancel_action: 'low',
+                acknowledge_alarm: 'low',
+                shelve_alarm: 'high', // Hides an alarm from the operator
+                unshelve_alarm: 'low'
+            },
+            CONFIRM_RISKS: ['high'],
+            TIMEOUT: 30000 // ms (wall clock - it's a conversation, not simulated time)
+        },
+        // Actions the AI can't call at all - only the operator at the station
+        OPERATOR_ONLY: ['emergency_stop'],
+        // Alert dispatcher (js/alert-dispatcher.js): alerts queue up and go out most urgent first,
+        // up to MAX_ITEMS in one message and at most one message every MIN_INTERVAL
+        ALERTS: {
+            MIN_INTERVAL: 8000, // ms (wall clock, like the conversation)
+            MAX_ITEMS: 4
+        },
+        // Silent context snapshots (js/context-builder.js): VERBOSITY 'minimal' (line and sensors),
+        // 'standard' (+ alarms, actions, scenario, power, stability breakdown) or 'detailed'
+        // (+ production); trends are fitted over the last TREND_TICKS ticks
+        CONTEXT: {
+            INTERVAL: 30000,   // ms between snapshots
+            VERBOSITY: 'standard',
+            TOKEN_BUDGET: 300, // approx tokens per snapshot - the least important lines go first
+            TREND_TICKS: 10
+        },
+        // Query functions the AI can call besides factory_control (js/ai-integration.js)
+        QUERIES: {
+            HISTORY_WINDOW: 120,      // s of readings get_sensor_history returns by default
+            FORECAST_HORIZON: 60,     // s ahead forecast_sensor looks by default
+            FORECAST_MAX_HORIZON: 600 // s - a straight-line trend means little further out
+        },
+        // Connection lifecycle (js/ai-integration.js): the simulation starts without the AI if it
+        // isn't ready within READY_TIMEOUT; dropped sessions reconnect after INITIAL_DELAY, growing
+        // by FACTOR per failed attempt up to MAX_DELAY
+        CONNECTION: {
+            READY_TIMEOUT: 30000,             // ms
+            INACTIVE_TIMEOUT: 10 * 60 * 1000, // ms without the avatar talking before the SDK ends the session
+            RECONNECT: {
+                INITIAL_DELAY: 2000, // ms
+                FACTOR: 2,
+                MAX_DELAY: 60000     // ms
+            }
+        },
+        // Offline mock assistant: acts on the "Recommend: ..." in each alert by calling
+        // factory_control with the action its RULES map the recommendation to
+        MOCK: {
+            READY_DELAY: 500,    // ms before the mock reports ready (null = never, to try READY_TIMEOUT)
+            RESPONSE_DELAY: 800, // ms between an alert and the mock's reply
+            AUTO_CONFIRM: false, // answer confirmation challenges itself (always, with no DOM)
+            RULES: {
+                'switch to backup power': 'switch_backup_power',
+                'switch to main power': 'switch_main_power',
+                'increase pressure': 'increase_pressure',
+                'decrease pressure': 'decrease_pressure',
+                'increase cooling': 'increase_cooling',
+                'schedule maintenance': 'schedule_maintenance'
+            }
+        }
     },
 
     // Simulation Parameters
     SIMULATION: {
         TICK_INTERVAL: 6000, // 6 seconds - slow ticks for avatar processing
         STARTUP_STABLE_DURATION: 15000, // 15 seconds before first scenario
-        SCENARIO_DELAY: 10000, // 10 seconds between scenarios
+        SCENARIO_DELAY: 10000, // 10 seconds between scenarios, at least (see FAULTS.START_PROBABILITY)
+        SEED: null, // Fixed PRNG seed for reproducible runs (null = new seed each load, ?seed= overrides)
+        SPEED: 1, // Simulation speed multiplier (1 = real time, 10 = 10x; ?speed= overrides)
+        SCENARIO_SCRIPT: null, // Path to a scenario script, e.g. 'scenarios/hydraulic-leak.json' (?scenario= overrides)
     },
 
     // Sensor Nominal Ranges
+    // Redundant channels (optional): CHANNELS instruments per measurement, combined by VOTING
+    // ('average', 'median', 'high' or 'low' select); channels further apart than DISCREPANCY raise
+    // a discrepancy alarm. CHANNEL_NOISE is each instrument's own ± measurement noise.
+    // Status (js/sensor-classifier.js): a reading must be DEADBAND clear of a limit before its status
+    // drops back; one changing faster than RATE_OF_CHANGE units/s raises a rate alarm.
     SENSORS: {
         POWER: {
             NOMINAL_MIN: 38,
             WARNING_LOW: 38,
             CRITICAL_LOW: 32,
-            UNIT: 'kW'
+            UNIT: 'kW',
+            DEADBAND: 1,
+            RATE_OF_CHANGE: 0.5,
+            CHANNELS: 1,
+            VOTING: 'average',
+            DISCREPANCY: 4,
+            CHANNEL_NOISE: 0.1
         },
         PRESSURE: {
             NOMINAL_MIN: 135,
+            NOMINAL_MAX: 150,
             WARNING_LOW: 135,
             CRITICAL_LOW: 125,
+            WARNING_HIGH: 150,
+            CRITICAL_HIGH: 160,
             UNIT: 'bar',
-            ADJUSTMENT_STEP: 5
+            ADJUSTMENT_STEP: 5, // Setpoint change per increase/decrease_pressure
+            DEADBAND: 2,
+            RATE_OF_CHANGE: 1.5,
+            CHANNELS: 3,        // 2-out-of-3 transmitters: the median outvotes one bad channel
+            VOTING: 'median',
+            DISCREPANCY: 5,
+            CHANNEL_NOISE: 0.3
         },
         TEMPERATURE: {
             NOMINAL_MAX: 75,
             WARNING_THRESHOLD: 75,
             CRITICAL_THRESHOLD: 85,
-            UNIT: '°C'
+            UNIT: '°C',
+            DEADBAND: 1,
+            RATE_OF_CHANGE: 0.3,
+            CHANNELS: 2,        // Two probes, high select - the hotter reading wins
+            VOTING: 'high',
+            DISCREPANCY: 3,
+            CHANNEL_NOISE: 0.2
+        }
+    },
+
+    // Sensor Status Debounce (js/sensor-classifier.js) - how long a new status must hold before
+    // it takes effect. Escalation is immediate by default; recovery needs two ticks inside the limits.
+    SENSOR_STATUS: {
+        ON_DELAY: 0,   // s before a worse status takes effect
+        OFF_DELAY: 12  // s before a better status takes effect (and a rate alarm clears)
+    },
+
+    // Instrument Faults (injected from scenario scripts or the ?debug=1 panel)
+    // The process keeps running on its true values; only what the instruments report goes wrong
+    SENSOR_FAULTS: {
+        TYPES: {
+            STUCK: 'stuck',       // Reading frozen at its last value (or a given "value")
+            DRIFT: 'drift',       // Calibration walks off at "rate" units/s, plus an optional "offset"
+            SPIKE: 'spike',       // Random ±"magnitude" spikes on a "probability" share of ticks
+            DROPOUT: 'dropout',   // No reading (null) on a "probability" share of ticks
+            LATENCY: 'latency'    // Reading lags the process by "delay" seconds
+        },
+        SPIKE_PROBABILITY: 0.3,
+        DROPOUT_PROBABILITY: 1,   // A dead transmitter by default
+        LATENCY_DELAY: 30,        // s
+        HISTORY_SECONDS: 120,     // s of process values kept for latency faults
+        FROZEN_TICKS: 5,          // Ticks a channel's reading must sit unchanged to be flagged frozen
+        ALERT_QUIET_PERIOD: 60,   // s instruments must look healthy before the AI is alerted about them again
+        DEFAULTS: {
+            POWER: { DRIFT_RATE: -0.05, SPIKE_MAGNITUDE: 12 },      // kW/s, kW
+            PRESSURE: { DRIFT_RATE: -0.1, SPIKE_MAGNITUDE: 20 },    // bar/s, bar
+            TEMPERATURE: { DRIFT_RATE: 0.05, SPIKE_MAGNITUDE: 15 }  // °C/s, °C
         }
     },
 
@@ -48,14 +179,135 @@ const CONFIG = {
         MIN: 0,
         MAX: 100,
         INCREMENT: 35,  // Larger increment so fewer calls needed (30->65->100)
-        EFFECTIVENESS: 7.0 // °C per 100% cooling (needs to overcome 2-3.5°C rise significantly)
+        EFFECTIVENESS: 0.5 // kW/°C the oil cooler removes at 100% cooling
+    },
+
+    // Oil Thermal Model (first order: settles at AMBIENT + heat load / conductance)
+    // Tuned so 30% cooling holds ~70°C at full duty; an overheat needs 100% to get back below 75°C
+    THERMAL: {
+        AMBIENT: 25,               // °C
+        THERMAL_MASS: 22,          // kJ/°C - time constant ~110s at 30% cooling, ~40s at 100%
+        AMBIENT_CONDUCTANCE: 0.05, // kW/°C lost to the room with the cooler off
+        IDLE_HEAT_LOAD: 1.0,       // kW from pumps and friction, even when the robot is stopped
+        WELD_HEAT_LOAD: 8.0,       // kW at 100% robot duty cycle
+        OVERHEAT_HEAT_LOAD: 11.0,  // kW of extra heat during an OVERHEAT fault
+        OVERHEAT_HEAT_RAMP: 0.5    // kW/s the fault heat builds up (and bleeds away)
+    },
+
+    // Hydraulic Pressure Loop (underdamped: setpoint steps overshoot by ~30% before settling)
+    HYDRAULICS: {
+        SETPOINT: 140,             // bar - default setpoint
+        SETPOINT_MIN: 110,
+        SETPOINT_MAX: 170,
+        NATURAL_FREQUENCY: 0.15,   // rad/s - settles within ~30s
+        DAMPING: 0.35,
+        SUBSTEP: 0.5,              // s - integration step inside each tick
+        RELIEF_PRESSURE: 165,      // bar - relief valve cracks open above this
+        RELIEF_TIME_CONSTANT: 1.0, // s - how fast the relief valve vents the excess
+        PUMP_SAG_DROP: 30,         // bar lost with the pump fully starved of power
+        LEAK_RATE: 0.5,            // bar/s a PRESSURE_DRIFT leak grows
+        LEAK_MAX: 12,              // bar - worst leak (needs two setpoint steps to compensate)
+        BIAS_RATE: 0.5,            // bar/s an OVER_PRESSURE regulator fault builds up
+        OVER_PRESSURE_BIAS: 18     // bar - worst regulator offset
+    },
+
+    // Power System (main feed + backup generator, each with a battery bank)
+    // A sag takes the main feed below the line's draw; its battery bridges part of the gap for a few minutes
+    POWER: {
+        SOURCES: {
+            MAIN: 'main',
+            BACKUP: 'backup'
+        },
+        LOAD: {
+            BASE: 30,              // kW - drives, controls, pumps (drawn even when the robot is stopped)
+            ROBOT: 12              // kW extra at 100% robot duty cycle
+        },
+        MAIN_FEED: 44,             // kW the main feed can supply
+        SAG_DEPTH: 20,             // kW lost from the main feed at the worst of a POWER_SAG
+        SAG_RATE: 0.5,             // kW/s the sag deepens
+        GENERATOR: {
+            CAPACITY: 36,          // kW - sized for critical loads, not the full line
+            START_DELAY: 15        // s before the generator picks up load
+        },
+        BATTERIES: {
+            MAIN: { CAPACITY: 0.25, MAX_DISCHARGE: 4 },   // kWh, kW - bridges short sags
+            BACKUP: { CAPACITY: 0.5, MAX_DISCHARGE: 45 }  // kWh, kW - carries the line while the generator starts
+        },
+        CHARGER_POWER: 3,          // kW per battery, drawn from spare main feed capacity
+        CHARGE_EFFICIENCY: 0.9,
+        SUBSTEP: 1,                // s - integration step inside each tick
+        AUTO_TRANSFER: {
+            ENABLED: true,
+            THRESHOLD: 25,         // kW - main bus considered lost at or below this
+            DELAY: 5               // s it must stay there before the switch transfers to backup
+        }
+    },
+
+    // Production & Weld Quality
+    // Each weld starts from a 1% defect rate; out-of-range conditions and a worn tip add to it
+    PRODUCTION: {
+        IDEAL_CYCLE_TIME: 5,          // s per part at full robot speed (headless runs count cycles from this)
+        BASE_DEFECT_RATE: 0.01,
+        DEFECT_PER_BAR_LOW: 0.02,     // per bar below the pressure nominal range
+        DEFECT_PER_KW_LOW: 0.03,      // per kW below the power nominal range
+        DEFECT_PER_DEGREE_HIGH: 0.015, // per °C above the temperature nominal range
+        DEFECT_TIP_WEAR: 0.15,        // extra defect rate with a fully worn welding tip
+        MAX_DEFECT_RATE: 0.9,
+        CYCLE_TIME_SMOOTHING: 0.2,    // Weight of the latest part in the cycle-time average
+        OEE_TARGET: 0.85,             // World-class OEE - shown green at or above
+        OEE_WARNING: 0.6,             // Shown amber at or above, red below
+        PLANNED_DOWNTIME: 'MAINTENANCE' // Downtime cause excluded from OEE availability
+    },
+
+    // Equipment Wear & Predictive Maintenance
+    // Lifetimes are at nominal conditions; heat, over-pressure and a starved supply shorten them
+    EQUIPMENT: {
+        FAILURE_HEALTH: 10,           // % - remaining life counts down to this
+        SERVICE_THRESHOLD: 80,        // % - schedule_maintenance services every component below this
+        MAINTENANCE_DURATION: 60000,  // ms the line is down while the crew services equipment
+        FAULT_SENSITIVITY: 3,         // Fault chance multiplier per unit of wear (a pump at 50% → 2.5x)
+        RATE_SMOOTHING: 0.1,          // Weight of the latest tick in the wear-rate estimate
+        DEEP_DISCHARGE_LEVEL: 20,     // % - discharging a battery below this wears its cells faster
+        DEEP_DISCHARGE_STRESS: 3,
+        CELL_CAPACITY_FLOOR: 0.6,     // Worn-out cells still hold 60% of rated capacity
+        COMPONENTS: {
+            WELDING_TIP: { LIFETIME: 1500, FAULTS: [] },                                  // weld cycles
+            HYDRAULIC_PUMP: { LIFETIME: 14400, FAULTS: ['PRESSURE_DRIFT', 'OVER_PRESSURE'] }, // s running
+            COOLING_PUMP: { LIFETIME: 7200, FAULTS: ['OVERHEAT'] },                       // s at 100% cooling
+            BATTERY_CELLS: { LIFETIME: 40, FAULTS: [] }                                   // full charge cycles
+        }
+    },
+
+    // Pumps (cooling and hydraulic) slow down when the supply sags
+    PUMPS: {
+        RATED_POWER: 42,           // kW supply at which the pumps run at full speed
+        MIN_SPEED_FACTOR: 0.5      // Pumps never drop below half speed
     },
 
     // Stability Score Thresholds
     STABILITY: {
+        // Scoring strategy (see js/stability-engine.js):
+        //   legacy       - flat penalties: one for any warning, one for any critical, one for any worsening trend
+        //   weighted     - each affected sensor adds its own penalty × its weight
+        //   proportional - penalty grows with how far past the warning threshold each reading is
+        //   time_decay   - penalty grows the longer a sensor stays in alarm
+        STRATEGY: 'legacy',
         PENALTY_WARNING: 10,
         PENALTY_CRITICAL: 25,
         PENALTY_TREND: 5,
+        WEIGHTS: {
+            POWER: 1.0,
+            PRESSURE: 1.0,
+            TEMPERATURE: 1.0
+        },
+        PROPORTIONAL: {
+            MAX_MULTIPLIER: 2   // Cap, in critical penalties, however far past the threshold a reading goes
+        },
+        TIME_DECAY: {
+            TIME_CONSTANT: 60,  // s in alarm that doubles a sensor's penalty
+            MAX_MULTIPLIER: 3,
+            HALF_LIFE: 30       // s for accumulated alarm time to halve once the sensor is back to normal
+        },
         THRESHOLD_NORMAL: 86,
         THRESHOLD_DEGRADED: 71,
         THRESHOLD_CRITICAL: 0
@@ -63,10 +315,22 @@ const CONFIG = {
 
     // System States
     STATES: {
+        STARTING: 'STARTING',
         NORMAL: 'NORMAL',
         DEGRADED: 'DEGRADED',
         CRITICAL: 'CRITICAL',
-        PAUSED: 'PAUSED'
+        PAUSED: 'PAUSED',
+        E_STOP: 'E_STOP',
+        MAINTENANCE: 'MAINTENANCE'
+    },
+
+    // State Machine (js/state-machine.js)
+    STATE_MACHINE: {
+        HYSTERESIS: 5, // Stability points above a threshold before the line counts as recovered
+        MIN_DWELL: {   // Seconds in a state before stability can move the line to a better one
+            DEGRADED: 12,
+            CRITICAL: 12
+        }
     },
 
     // Scenario Types
@@ -74,14 +338,40 @@ const CONFIG = {
         NONE: 'NONE',
         POWER_SAG: 'POWER_SAG',
         PRESSURE_DRIFT: 'PRESSURE_DRIFT',
-        OVERHEAT: 'OVERHEAT'
+        OVERHEAT: 'OVERHEAT',
+        OVER_PRESSURE: 'OVER_PRESSURE',
+        SCRIPTED: 'SCRIPTED' // Played from a scenario script (see scenarios/)
     },
 
     // Scenario Weights (for random selection)
     SCENARIO_WEIGHTS: {
-        POWER_SAG: 0.40,
-        PRESSURE_DRIFT: 0.35,
-        OVERHEAT: 0.25
+        POWER_SAG: 0.35,
+        PRESSURE_DRIFT: 0.25,
+        OVERHEAT: 0.25,
+        OVER_PRESSURE: 0.15
+    },
+
+    // Concurrent & Cascading Faults
+    FAULTS: {
+        MAX_CONCURRENT: 3,
+        // Chances below are for new equipment; wear scales them up (EQUIPMENT.FAULT_SENSITIVITY)
+        START_PROBABILITY: 0.5,       // Per tick chance a fault starts once SCENARIO_DELAY has passed with none active
+        CONCURRENT_PROBABILITY: 0.03, // Per tick chance an unrelated fault starts while others are active
+        // Per tick chance an active fault triggers a linked one while it lasts
+        CASCADES: {
+            POWER_SAG: { OVERHEAT: 0.12, PRESSURE_DRIFT: 0.06 }, // Sagging supply slows the cooling and hydraulic pumps
+            PRESSURE_DRIFT: { OVERHEAT: 0.04 },                 // Low pressure makes the pump work harder
+            OVER_PRESSURE: { OVERHEAT: 0.04 },                  // So does pumping against the relief valve
+            OVERHEAT: {}
+        },
+        // Sensor each fault drives; restoring that sensor resolves the fault
+        SENSORS: {
+            POWER_SAG: 'power',
+            PRESSURE_DRIFT: 'pressure',
+            OVERHEAT: 'temperature',
+            OVER_PRESSURE: 'pressure'
+        },
+        RECOVERY_TICKS: 3 // Ticks a sensor must hold normal after the operator's response to clear its fault
     },
 
     // Robot Animation Speeds
@@ -89,7 +379,10 @@ const CONFIG = {
         SPEED_NORMAL: 1.0,
         SPEED_DEGRADED: 0.8,
         SPEED_CRITICAL: 0.0,
-        SPEED_PAUSED: 0.0
+        SPEED_PAUSED: 0.0,
+        SPEED_STARTING: 1.0, // Warm-up runs at full speed; scenarios are held off until it ends
+        SPEED_E_STOP: 0.0,
+        SPEED_MAINTENANCE: 0.0
     },
 
     // Conveyor Settings
@@ -115,11 +408,203 @@ const CONFIG = {
     // Action Types
     ACTIONS: {
         SWITCH_BACKUP_POWER: 'switch_backup_power',
+        SWITCH_MAIN_POWER: 'switch_main_power',
+        SCHEDULE_MAINTENANCE: 'schedule_maintenance',
         INCREASE_PRESSURE: 'increase_pressure',
         DECREASE_PRESSURE: 'decrease_pressure',
         INCREASE_COOLING: 'increase_cooling',
         PAUSE_LINE: 'pause_line',
-        RESUME_LINE: 'resume_line'
+        EMERGENCY_STOP: 'emergency_stop',
+        RESUME_LINE: 'resume_line',
+        CANCEL_ACTION: 'cancel_action',
+        ACKNOWLEDGE_ALARM: 'acknowledge_alarm',
+        SHELVE_ALARM: 'shelve_alarm',
+        UNSHELVE_ALARM: 'unshelve_alarm'
+    },
+
+    // Safety Interlocks (js/interlocks.js) - an action is refused while any rule guarding it trips.
+    // A rule trips when all its WHEN conditions ([field, operator, limit]) hold; fields are listed
+    // in FactorySimulation.getInterlockContext(). Adjust the rules per site; OVERRIDABLE ones can
+    // be bypassed with the override phrase returned in the refusal.
+    INTERLOCKS: {
+        ENABLED: true,
+        RULES: {
+            BACKUP_BATTERY_DEPLETED: {
+                ACTIONS: ['switch_backup_power'],
+                WHEN: [['backupBatteryLevel', '<', 15]],
+                DESCRIPTION: 'Backup battery too low to carry the line until the generator is up',
+                OVERRIDABLE: true
+            },
+            MAIN_FEED_SAGGING: {
+                ACTIONS: ['switch_main_power'],
+                WHEN: [['mainFeed', '<', 38]],
+                DESCRIPTION: 'Main feed too weak to carry the line',
+                OVERRIDABLE: true
+            },
+            LINE_STOPPED: {
+                ACTIONS: ['increase_pressure', 'decrease_pressure', 'increase_cooling'],
+                WHEN: [['state', 'in', ['PAUSED', 'E_STOP']]],
+                DESCRIPTION: 'Line is stopped - setpoint changes would act on an idle process',
+                OVERRIDABLE: true
+            },
+            MAINTENANCE_LOCKOUT: {
+                ACTIONS: ['switch_backup_power', 'switch_main_power', 'increase_pressure', 'decrease_pressure', 'increase_cooling'],
+                WHEN: [['state', '==', 'MAINTENANCE']],
+                DESCRIPTION: 'Maintenance crew working on the line',
+                OVERRIDABLE: false
+            },
+            PRESSURE_ALREADY_HIGH: {
+                ACTIONS: ['increase_pressure'],
+                WHEN: [['pressure', '>=', 150]],
+                DESCRIPTION: 'Pressure already at or above its warning limit',
+                OVERRIDABLE: true
+            },
+            PRESSURE_ALREADY_LOW: {
+                ACTIONS: ['decrease_pressure'],
+                WHEN: [['pressure', '<=', 135]],
+                DESCRIPTION: 'Pressure already at or below its warning limit',
+                OVERRIDABLE: true
+            },
+            NO_PRESSURE_READING: {
+                ACTIONS: ['increase_pressure', 'decrease_pressure'],
+                WHEN: [['pressure', '==', null]],
+                DESCRIPTION: 'No pressure reading - the effect of a setpoint change can\'t be seen',
+                OVERRIDABLE: true
+            }
+        }
+    },
+
+    // Alarms (js/alarm-manager.js) - ISA-18.2 style alarm points. A point raises an alarm when all
+    // its WHEN conditions hold (same [field, operator, limit] form as the interlocks; fields are
+    // listed in FactorySimulation.getAlarmContext()) and clears when they stop holding. Sensor
+    // points use the debounced statuses, so they don't chatter on a noisy limit. An alarm
+    // stays listed until it has both cleared and been acknowledged.
+    ALARMS: {
+        PRIORITIES: ['emergency', 'high', 'medium', 'low'], // Most urgent first
+        SUPPRESS_STATES: ['PAUSED'], // No new alarms while the line is deliberately stopped
+        SHELVE_DURATION: 600,        // s a shelved alarm stays hidden by default
+        SHELVE_MAX: 3600,            // s - longest an alarm can be shelved
+        HISTORY: 200,                // Closed alarms kept
+        KPI_WINDOW: 3600,            // s of raises counted for alarms per hour
+        STANDING_AFTER: 600,         // s active before an alarm counts as standing
+        CHATTERING: {                // A point raised COUNT times within WINDOW s is chattering
+            COUNT: 3,
+            WINDOW: 60
+        },
+        POINTS: {
+            POWER_LOW: {
+                WHEN: [['powerStatus', 'in', ['warning', 'critical']], ['powerSide', '==', 'low']],
+                PRIORITY: 'medium',
+                DESCRIPTION: 'Power at or below its warning limit'
+            },
+            POWER_LOW_LOW: {
+                WHEN: [['powerStatus', '==', 'critical'], ['powerSide', '==', 'low']],
+                PRIORITY: 'high',
+                DESCRIPTION: 'Power at or below its critical limit'
+            },
+            PRESSURE_LOW: {
+                WHEN: [['pressureStatus', 'in', ['warning', 'critical']], ['pressureSide', '==', 'low']],
+                PRIORITY: 'medium',
+                DESCRIPTION: 'Pressure at or below its warning limit'
+            },
+            PRESSURE_LOW_LOW: {
+                WHEN: [['pressureStatus', '==', 'critical'], ['pressureSide', '==', 'low']],
+                PRIORITY: 'high',
+                DESCRIPTION: 'Pressure at or below its critical limit'
+            },
+            PRESSURE_HIGH: {
+                WHEN: [['pressureStatus', 'in', ['warning', 'critical']], ['pressureSide', '==', 'high']],
+                PRIORITY: 'medium',
+                DESCRIPTION: 'Pressure at or above its warning limit'
+            },
+            PRESSURE_HIGH_HIGH: {
+                WHEN: [['pressureStatus', '==', 'critical'], ['pressureSide', '==', 'high']],
+                PRIORITY: 'high',
+                DESCRIPTION: 'Pressure at or above its critical limit'
+            },
+            TEMPERATURE_HIGH: {
+                WHEN: [['temperatureStatus', 'in', ['warning', 'critical']]],
+                PRIORITY: 'medium',
+                DESCRIPTION: 'Oil temperature at or above its warning limit'
+            },
+            TEMPERATURE_HIGH_HIGH: {
+                WHEN: [['temperatureStatus', '==', 'critical']],
+                PRIORITY: 'high',
+                DESCRIPTION: 'Oil temperature at or above its critical limit'
+            },
+            POWER_NO_SIGNAL: {
+                WHEN: [['powerStatus', '==', 'fault']],
+                PRIORITY: 'medium',
+                DESCRIPTION: 'No power reading'
+            },
+            PRESSURE_NO_SIGNAL: {
+                WHEN: [['pressureStatus', '==', 'fault']],
+                PRIORITY: 'medium',
+                DESCRIPTION: 'No pressure reading'
+            },
+            TEMPERATURE_NO_SIGNAL: {
+                WHEN: [['temperatureStatus', '==', 'fault']],
+                PRIORITY: 'medium',
+                DESCRIPTION: 'No temperature reading'
+            },
+            POWER_RATE: {
+                WHEN: [['powerRateAlarm', '!=', null]],
+                PRIORITY: 'low',
+                DESCRIPTION: 'Power changing unusually fast'
+            },
+            PRESSURE_RATE: {
+                WHEN: [['pressureRateAlarm', '!=', null]],
+                PRIORITY: 'low',
+                DESCRIPTION: 'Pressure changing unusually fast'
+            },
+            TEMPERATURE_RATE: {
+                WHEN: [['temperatureRateAlarm', '!=', null]],
+                PRIORITY: 'low',
+                DESCRIPTION: 'Oil temperature changing unusually fast'
+            },
+            PRESSURE_DISCREPANCY: {
+                WHEN: [['pressureDiscrepancy', '==', true]],
+                PRIORITY: 'low',
+                DESCRIPTION: 'Pressure transmitters disagree'
+            },
+            TEMPERATURE_DISCREPANCY: {
+                WHEN: [['temperatureDiscrepancy', '==', true]],
+                PRIORITY: 'low',
+                DESCRIPTION: 'Temperature probes disagree'
+            },
+            BACKUP_BATTERY_LOW: {
+                WHEN: [['powerSource', '==', 'backup'], ['backupBatteryLevel', '<', 20]],
+                PRIORITY: 'high',
+                DESCRIPTION: 'Backup battery running out while carrying the line'
+            },
+            EQUIPMENT_SERVICE_DUE: {
+                WHEN: [['equipmentHealth', '<', 80]],
+                PRIORITY: 'low',
+                DESCRIPTION: 'A component is due for maintenance'
+            },
+            LINE_E_STOP: {
+                WHEN: [['state', '==', 'E_STOP']],
+                PRIORITY: 'emergency',
+                DESCRIPTION: 'Line emergency stopped'
+            }
+        }
+    },
+
+    // Action Log (js/action-log.js)
+    ACTION_LOG: {
+        MAX_ENTRIES: 200
+    },
+
+    // Action Jobs (js/action-manager.js) - each action is tracked until its effect shows
+    ACTION_JOBS: {
+        HISTORY: 20,              // Finished jobs kept for status lookups
+        PRESSURE_TOLERANCE: 2,    // bar from the setpoint that counts as settled
+        TEMPERATURE_TOLERANCE: 1, // °C from the oil's steady state that counts as settled
+        TIMEOUTS: {               // s before a job whose effect hasn't shown is failed
+            POWER_TRANSFER: 30,
+            PRESSURE: 90,
+            COOLING: 360
+        }
     },
 
     // UI Colors - Björk "All Is Full of Love" palette
@@ -134,6 +619,11 @@ const CONFIG = {
     }
 };
 
-// Make config globally available
-window.FACTORY_CONFIG = CONFIG;
+// Make config globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.FACTORY_CONFIG = CONFIG;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CONFIG;
+}
 
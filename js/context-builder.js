@@ -0,0 +1,175 @@
+/**
+ * Virtual Factory AI Assistant - Context Builder
+ * A compact, structured snapshot of the line for the AI - sent as silent context so it can answer
+ * follow-up questions with the current numbers
+ *
+ * The snapshot is a few labelled lines, most important first: the line state and stability,
+ * sensors (value, status, change since the last tick, trend over the last TREND_TICKS ticks),
+ * alarms, running actions, active scenario, power and batteries, what is pulling the stability
+ * score down, then - at 'detailed' verbosity - production. Lines that would take the snapshot,
+ * header and "left out" note included, past TOKEN_BUDGET (about 4 characters a token) lose their
+ * last items, or are left out.
+ */
+
+class ContextBuilder {
+    constructor(options = {}) {
+        const { VERBOSITY, TOKEN_BUDGET, TREND_TICKS } = CONFIG.AI.CONTEXT;
+        this.verbosity = options.verbosity || VERBOSITY;
+        this.tokenBudget = options.tokenBudget || TOKEN_BUDGET;
+        this.trendTicks = options.trendTicks || TREND_TICKS;
+        if (!ContextBuilder.VERBOSITY.includes(this.verbosity)) {
+            throw new Error(`Invalid context verbosity "${this.verbosity}" (expected one of ${ContextBuilder.VERBOSITY.join(', ')})`);
+        }
+    }
+
+    static VERBOSITY = ['minimal', 'standard', 'detailed'];
+
+    // Section name -> least verbosity that includes it, in order of importance
+    static SECTIONS = {
+        line: 'minimal',
+        sensors: 'minimal',
+        alarms: 'standard',
+        actions: 'standard',
+        scenario: 'standard',
+        power: 'standard',
+        stability: 'standard',
+        production: 'detailed'
+    };
+
+    // history: the simulation's per-tick readings ({ time, power, pressure, temperature, ... }), oldest first
+    build(telemetry, history = []) {
+        const level = ContextBuilder.VERBOSITY.indexOf(this.verbosity);
+        const sections = Object.keys(ContextBuilder.SECTIONS)
+            .filter(section => ContextBuilder.VERBOSITY.indexOf(ContextBuilder.SECTIONS[section]) <= level);
+        const header = '📋 CONTEXT (no reply needed)';
+        // The header counts against the budget, and so does the "left out" line - room is kept
+        // for it as if every section were left out, since that isn't known until the end
+        const budget = this.tokenBudget * 4 - header.length - `\n(left out: ${sections.join(', ')})`.length;
+        const lines = [];
+        const omitted = [];
+
+        for (const section of sections) {
+            const line = ContextBuilder.fit(this[section](telemetry, history), budget - lines.join('\n').length - 1);
+            if (line === null) {
+                omitted.push(section);
+                continue;
+            }
+            lines.push(line);
+        }
+
+        if (omitted.length > 0) {
+            lines.push(`(left out: ${omitted.join(', ')})`);
+        }
+        return `${header}\n${lines.join('\n')}`;
+    }
+
+    line(telemetry) {
+        const dwell = telemetry.stateMachine.dwellTime * 1000;
+        return `line: ${telemetry.state} for ${ContextBuilder.formatDuration(dwell)}, stability ${Math.round(telemetry.stability)}`;
+    }
+
+    // power 42kW normal Δ+0.2 trend +1.2/min
+    sensors(telemetry, history) {
+        const recent = history.slice(-this.trendTicks);
+        const deltas = { power: telemetry.deltas.powerDelta, pressure: telemetry.deltas.pressureDelta, temperature: telemetry.deltas.tempDelta };
+
+        const parts = SensorClassifier.SENSORS.map(sensor => {
+            const unit = CONFIG.SENSORS[sensor.toUpperCase()].UNIT;
+            const value = telemetry.sensors[sensor];
+            const status = telemetry.sensorStatus[sensor];
+            if (value === null) return `${sensor} no reading (fault)`;
+
+            const side = status.side ? `(${status.side})` : '';
+            const delta = deltas[sensor] === null ? '' : ` Δ${ContextBuilder.formatDelta(deltas[sensor])}`;
+            const slope = ContextBuilder.getTrend(recent, sensor);
+            const trend = slope === null ? '' : ` trend ${ContextBuilder.formatDelta(slope)}/min`;
+            const rate = status.rateAlarm ? ` ${status.rateAlarm} fast` : '';
+            return `${sensor} ${value.toFixed(1)}${unit} ${status.status}${side}${delta}${trend}${rate}`;
+        });
+        return `sensors: ${parts.join('; ')}`;
+    }
+
+    alarms(telemetry) {
+        const { active, shelved } = telemetry.alarms;
+        if (active.length === 0 && shelved.length === 0) return 'alarms: none';
+
+        const listed = active.map(alarm =>
+            `${alarm.id} ${alarm.priority} ${alarm.point} ${alarm.active ? 'active' : 'cleared'}${alarm.acknowledged ? '' : ' unack'}`);
+        const shelvedNote = shelved.length > 0 ? ` (+${shelved.length} shelved)` : '';
+        return `alarms: ${listed.length > 0 ? listed.join('; ') : 'none on display'}${shelvedNote}`;
+    }
+
+    actions(telemetry) {
+        if (telemetry.actions.length === 0) return 'actions: none running';
+        return `actions: ${telemetry.actions.map(job => `${job.id} ${job.action} ${job.status} ${Math.round(job.progress * 100)}%`).join('; ')}`;
+    }
+
+    scenario(telemetry) {
+        if (telemetry.faults.length === 0) return 'scenario: none';
+        return `scenario: ${telemetry.faults.map(fault =>
+            `${fault.type} on ${fault.sensors.join('+')} for ${ContextBuilder.formatDuration(telemetry.timestamp - fault.startedAt)}`).join('; ')}`;
+    }
+
+    power(telemetry) {
+        return `power: on ${telemetry.backupPower ? 'backup' : 'main'}, batteries main ${Math.round(telemetry.mainBatteryLevel)}% backup ${Math.round(telemetry.backupBatteryLevel)}%`;
+    }
+
+    stability(telemetry) {
+        const breakdown = telemetry.stabilityBreakdown;
+        if (breakdown.factors.length === 0) return `stability: ${breakdown.strategy} scoring, no penalties`;
+        return `stability: ${breakdown.strategy} scoring, ${breakdown.factors.map(factor =>
+            `-${Math.round(factor.penalty)} ${factor.factor} (${factor.sensors.join(', ')})`).join(', ')}`;
+    }
+
+    production(telemetry) {
+        const production = telemetry.production;
+        return `production: OEE ${Math.round(production.oee * 100)}%, ${production.partsCompleted} parts, ${production.defects} defects`;
+    }
+
+    // A "label: a; b; c" line cut down to room characters by dropping items from the end (lists
+    // are most important first); null if not even one item fits
+    static fit(line, room) {
+        if (line.length <= room) return line;
+
+        const [label, list] = [line.slice(0, line.indexOf(': ') + 2), line.slice(line.indexOf(': ') + 2)];
+        const items = list.split('; ');
+        for (let keep = items.length - 1; keep > 0; keep--) {
+            const cut = `${label}${items.slice(0, keep).join('; ')} (+${items.length - keep} more)`;
+            if (cut.length <= room) return cut;
+        }
+        return null;
+    }
+
+    // Least-squares slope of a sensor over the ticks given, in units per minute (null without two readings)
+    static getTrend(history, sensor) {
+        const points = history.filter(entry => entry[sensor] !== null);
+        if (points.length < 2) return null;
+
+        const t0 = points[0].time;
+        const xs = points.map(entry => (entry.time - t0) / 60000);
+        const ys = points.map(entry => entry[sensor]);
+        const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+        const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+        const covariance = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+        const variance = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+        return variance === 0 ? null : covariance / variance;
+    }
+
+    static formatDelta(delta) {
+        if (Math.abs(delta) < 0.1) return '→';
+        return delta > 0 ? `+${delta.toFixed(1)}` : delta.toFixed(1);
+    }
+
+    static formatDuration(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        return seconds < 120 ? `${seconds}s` : `${Math.round(seconds / 60)}min`;
+    }
+}
+
+// Make context builder globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.ContextBuilder = ContextBuilder;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextBuilder;
+}
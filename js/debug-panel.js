@@ -0,0 +1,113 @@
+/**
+ * Virtual Factory AI Assistant - Debug Panel
+ * Trainer controls for breaking instruments mid-run (open the app with ?debug=1)
+ */
+
+class DebugPanel {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.container = null;
+        this.faultList = null;
+    }
+
+    init() {
+        const panel = document.getElementById('operator-panel');
+        if (!panel) return;
+
+        const sensorOptions = SensorLayer.SENSORS
+            .map(sensor => `<option value="${sensor}">${sensor}</option>`).join('');
+        const faultOptions = Object.values(CONFIG.SENSOR_FAULTS.TYPES)
+            .map(fault => `<option value="${fault}">${fault}</option>`).join('');
+
+        this.container = document.createElement('div');
+        this.container.className = 'panel-section debug-section';
+        this.container.innerHTML = `
+            <div class="section-header">
+                <h3>Sensor Faults (debug)</h3>
+            </div>
+            <div class="debug-controls">
+                <select id="debug-fault-sensor">${sensorOptions}</select>
+                <select id="debug-fault-channel"></select>
+                <select id="debug-fault-type">${faultOptions}</select>
+                <input id="debug-fault-duration" type="number" min="1" placeholder="duration (s)">
+                <button id="debug-fault-inject">Inject</button>
+                <button id="debug-fault-clear">Clear all</button>
+            </div>
+            <ul class="debug-fault-list" id="debug-fault-list"></ul>
+        `;
+        panel.appendChild(this.container);
+        this.faultList = this.container.querySelector('#debug-fault-list');
+
+        // Redundant measurements let the trainer pick which channel to break
+        const sensorSelect = this.container.querySelector('#debug-fault-sensor');
+        sensorSelect.addEventListener('change', () => this.updateChannelOptions(sensorSelect.value));
+        this.updateChannelOptions(sensorSelect.value);
+
+        this.container.querySelector('#debug-fault-inject').addEventListener('click', () => this.inject());
+        this.container.querySelector('#debug-fault-clear').addEventListener('click', () => {
+            this.simulation.clearSensorFaults();
+            this.render(this.simulation.getTelemetrySnapshot());
+        });
+        this.simulation.on('telemetry', (telemetry) => this.render(telemetry));
+
+        console.log('🔌 Sensor fault debug panel enabled');
+    }
+
+    updateChannelOptions(sensor) {
+        const select = this.container.querySelector('#debug-fault-channel');
+        const count = SensorLayer.getChannelCount(sensor);
+        select.innerHTML = Array.from({ length: count }, (_, i) => `<option value="${i + 1}">channel ${i + 1}</option>`).join('');
+        select.disabled = count === 1;
+    }
+
+    inject() {
+        const spec = {
+            sensor: this.container.querySelector('#debug-fault-sensor').value,
+            channel: parseInt(this.container.querySelector('#debug-fault-channel').value, 10),
+            fault: this.container.querySelector('#debug-fault-type').value
+        };
+        const duration = parseFloat(this.container.querySelector('#debug-fault-duration').value);
+        if (Number.isFinite(duration) && duration > 0) {
+            spec.duration = duration;
+        }
+
+        const result = this.simulation.injectSensorFault(spec);
+        if (!result.success) {
+            alert(result.message);
+        }
+        this.render(this.simulation.getTelemetrySnapshot());
+    }
+
+    // Active faults with what the instrument reports next to the true process value
+    render(telemetry) {
+        if (!this.faultList) return;
+
+        const { faults, processValues, channels } = telemetry.instrumentation;
+        if (faults.length === 0) {
+            this.faultList.innerHTML = '<li class="debug-fault-empty">All instruments healthy</li>';
+            return;
+        }
+
+        const format = (value) => value === null ? 'no reading' : value.toFixed(1);
+        this.faultList.innerHTML = '';
+        faults.forEach(fault => {
+            const item = document.createElement('li');
+            const ends = fault.endsAt !== null ? `, ${Math.max(0, Math.ceil((fault.endsAt - telemetry.timestamp) / 1000))}s left` : '';
+            const channel = channels[fault.sensor];
+            const label = channel.readings.length > 1 ? `${fault.sensor} ch ${fault.channel}` : fault.sensor;
+            item.textContent = `${fault.id} ${label} ${fault.fault} (${fault.source}${ends}) - reports ${format(channel.readings[fault.channel - 1])} (${channel.health[fault.channel - 1]}), validated ${format(telemetry.sensors[fault.sensor])}, actual ${format(processValues[fault.sensor])}`;
+
+            const clear = document.createElement('button');
+            clear.textContent = 'Clear';
+            clear.addEventListener('click', () => {
+                this.simulation.clearSensorFaults(fault.id);
+                this.render(this.simulation.getTelemetrySnapshot());
+            });
+            item.appendChild(clear);
+            this.faultList.appendChild(item);
+        });
+    }
+}
+
+// Make debug panel globally available
+window.DebugPanel = DebugPanel;
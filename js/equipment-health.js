@@ -0,0 +1,145 @@
+/**
+ * Virtual Factory AI Assistant - Equipment Health
+ * Per-component wear, remaining-useful-life estimates and wear-driven fault likelihood
+ *
+ * Each component loses health (100% = new) in proportion to how hard it is worked:
+ * the welding tip per weld cycle, the pumps per second of running, the battery cells per
+ * equivalent full charge cycle. Heat, over-pressure, a starved supply and deep discharges
+ * all speed wear up. Remaining life is extrapolated from the recent wear rate.
+ */
+
+class EquipmentHealth {
+    constructor() {
+        this.components = {};
+        Object.keys(EquipmentHealth.COMPONENTS).forEach(name => {
+            this.components[name] = { health: 100, wearRate: 0, pendingWear: 0, lastServiced: null };
+        });
+        this.robotCycles = 0;
+    }
+
+    // Component name -> CONFIG.EQUIPMENT.COMPONENTS key
+    static COMPONENTS = {
+        weldingTip: 'WELDING_TIP',
+        hydraulicPump: 'HYDRAULIC_PUMP',
+        coolingPump: 'COOLING_PUMP',
+        batteryCells: 'BATTERY_CELLS'
+    };
+
+    static getConfig(name) {
+        return CONFIG.EQUIPMENT.COMPONENTS[EquipmentHealth.COMPONENTS[name]];
+    }
+
+    // Hot oil speeds up every kind of wear
+    getTemperatureStress(temperature) {
+        return 1 + Math.max(0, temperature - CONFIG.SENSORS.TEMPERATURE.NOMINAL_MAX) / 20;
+    }
+
+    wear(name, amount) {
+        const component = this.components[name];
+        component.health = Math.max(0, component.health - amount);
+        component.pendingWear += amount;
+    }
+
+    // One completed weld
+    recordCycle(temperature) {
+        this.robotCycles++;
+        this.wear('weldingTip', (100 / EquipmentHealth.getConfig('weldingTip').LIFETIME) * this.getTemperatureStress(temperature));
+    }
+
+    // Wear the continuously running components for dtSeconds under the given conditions
+    step(dtSeconds, conditions) {
+        const tempStress = this.getTemperatureStress(conditions.temperature);
+
+        // Hydraulic pump: pushing past nominal pressure, against the relief valve or on a starved supply
+        const pressureStress = 1
+            + Math.max(0, conditions.pressure - CONFIG.SENSORS.PRESSURE.NOMINAL_MAX) / 20
+            + (conditions.reliefOpen ? 0.5 : 0)
+            + (1 - conditions.pumpFactor);
+        this.wear('hydraulicPump', (100 / EquipmentHealth.getConfig('hydraulicPump').LIFETIME) * dtSeconds * pressureStress);
+
+        // Cooling pump: works in proportion to the cooling setting
+        this.wear('coolingPump', (100 / EquipmentHealth.getConfig('coolingPump').LIFETIME) * dtSeconds * (conditions.cooling / 100) * tempStress);
+
+        // Battery cells: charge throughput, with deep discharges counting extra
+        let cycles = 0;
+        for (const battery of conditions.batteries) {
+            const throughput = Math.abs(battery.flow) * dtSeconds;          // kJ
+            const fullCycle = 2 * battery.capacity * 3600;                   // kJ out and back in
+            const depthStress = battery.level < CONFIG.EQUIPMENT.DEEP_DISCHARGE_LEVEL ? CONFIG.EQUIPMENT.DEEP_DISCHARGE_STRESS : 1;
+            cycles += (throughput / fullCycle) * depthStress;
+        }
+        this.wear('batteryCells', (100 / EquipmentHealth.getConfig('batteryCells').LIFETIME) * cycles);
+
+        // Smooth the wear rate so a single busy tick doesn't swing the life estimate
+        const alpha = CONFIG.EQUIPMENT.RATE_SMOOTHING;
+        Object.values(this.components).forEach(component => {
+            const rate = dtSeconds > 0 ? component.pendingWear / dtSeconds : 0;
+            component.wearRate = alpha * rate + (1 - alpha) * component.wearRate;
+            component.pendingWear = 0;
+        });
+    }
+
+    // Seconds until the component reaches the failure threshold at its recent wear rate (null = not wearing)
+    getRemainingLife(name) {
+        const component = this.components[name];
+        const margin = Math.max(0, component.health - CONFIG.EQUIPMENT.FAILURE_HEALTH);
+        if (component.wearRate < 1e-7) return null;
+        return margin / component.wearRate;
+    }
+
+    // Worn components make the faults they are linked to more likely
+    getFaultMultiplier(faultType) {
+        let wear = 0;
+        Object.keys(this.components).forEach(name => {
+            if (EquipmentHealth.getConfig(name).FAULTS.includes(faultType)) {
+                wear += 1 - this.components[name].health / 100;
+            }
+        });
+        return 1 + CONFIG.EQUIPMENT.FAULT_SENSITIVITY * wear;
+    }
+
+    // Worn cells hold less charge
+    getCellCapacityFactor() {
+        const floor = CONFIG.EQUIPMENT.CELL_CAPACITY_FLOOR;
+        return floor + (1 - floor) * this.components.batteryCells.health / 100;
+    }
+
+    // Components due for service, worst first
+    getServiceList() {
+        return Object.keys(this.components)
+            .filter(name => this.components[name].health < CONFIG.EQUIPMENT.SERVICE_THRESHOLD)
+            .sort((a, b) => this.components[a].health - this.components[b].health);
+    }
+
+    service(names, now) {
+        names.forEach(name => {
+            const component = this.components[name];
+            component.health = 100;
+            component.wearRate = 0;
+            component.pendingWear = 0;
+            component.lastServiced = now;
+        });
+    }
+
+    getSnapshot() {
+        const components = {};
+        Object.keys(this.components).forEach(name => {
+            const component = this.components[name];
+            components[name] = {
+                health: component.health,
+                wearRatePerHour: component.wearRate * 3600,
+                remainingLife: this.getRemainingLife(name),
+                lastServiced: component.lastServiced
+            };
+        });
+        return { robotCycles: this.robotCycles, components };
+    }
+}
+
+// Make equipment health globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.EquipmentHealth = EquipmentHealth;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EquipmentHealth;
+}
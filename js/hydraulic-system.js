@@ -0,0 +1,79 @@
+/**
+ * Virtual Factory AI Assistant - Hydraulic System
+ * Pressure regulated toward a setpoint by an underdamped pump loop, capped by a relief valve
+ *
+ *   d²p/dt² = ωn² · (target − p) − 2ζωn · dp/dt
+ *
+ * The target is the setpoint minus leaks and pump starvation plus any regulator fault bias.
+ * With ζ < 1 every setpoint step overshoots before settling, so over-correcting matters.
+ */
+
+class HydraulicSystem {
+    constructor() {
+        this.setpoint = CONFIG.HYDRAULICS.SETPOINT;
+        this.rate = 0;           // dp/dt (bar/s)
+        this.leak = 0;           // bar lost to a PRESSURE_DRIFT seal leak
+        this.regulatorBias = 0;  // bar added by a sticking regulator (OVER_PRESSURE)
+        this.disturbance = 0;    // bar added by scenario script steps and ramps
+        this.noiseOffset = 0;    // bar of scripted noise, this tick only
+        this.reliefOpen = false;
+    }
+
+    // Move the setpoint by delta bar; returns false when already at the limit
+    adjustSetpoint(delta) {
+        const next = Math.max(CONFIG.HYDRAULICS.SETPOINT_MIN, Math.min(CONFIG.HYDRAULICS.SETPOINT_MAX, this.setpoint + delta));
+        if (next === this.setpoint) return false;
+        this.setpoint = next;
+        return true;
+    }
+
+    // Pressure the loop regulates toward; pumpFactor < 1 when the supply sags
+    getTarget(pumpFactor = 1) {
+        const starvation = (1 - pumpFactor) * CONFIG.HYDRAULICS.PUMP_SAG_DROP;
+        return this.setpoint - this.leak - starvation + this.regulatorBias + this.disturbance + this.noiseOffset;
+    }
+
+    // Integrate in short sub-steps - a 6s tick is too coarse for the oscillation
+    step(pressure, dtSeconds, pumpFactor = 1) {
+        const { NATURAL_FREQUENCY: wn, DAMPING: zeta, SUBSTEP, RELIEF_PRESSURE, RELIEF_TIME_CONSTANT } = CONFIG.HYDRAULICS;
+        const target = this.getTarget(pumpFactor);
+        const steps = Math.max(1, Math.ceil(dtSeconds / SUBSTEP));
+        const h = dtSeconds / steps;
+
+        this.reliefOpen = false;
+        for (let i = 0; i < steps; i++) {
+            const acceleration = wn * wn * (target - pressure) - 2 * zeta * wn * this.rate;
+            this.rate += acceleration * h;
+            pressure += this.rate * h;
+
+            // Relief valve vents anything above its cracking pressure
+            if (pressure > RELIEF_PRESSURE) {
+                pressure = RELIEF_PRESSURE + (pressure - RELIEF_PRESSURE) * Math.exp(-h / RELIEF_TIME_CONSTANT);
+                this.rate = Math.min(this.rate, 0);
+                this.reliefOpen = true;
+            }
+        }
+
+        return pressure;
+    }
+
+    getSnapshot(pumpFactor = 1) {
+        return {
+            setpoint: this.setpoint,
+            target: this.getTarget(pumpFactor),
+            rate: this.rate,
+            leak: this.leak,
+            regulatorBias: this.regulatorBias,
+            pumpFactor,
+            reliefOpen: this.reliefOpen
+        };
+    }
+}
+
+// Make hydraulic system globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.HydraulicSystem = HydraulicSystem;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HydraulicSystem;
+}
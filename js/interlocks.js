@@ -0,0 +1,111 @@
+/**
+ * Virtual Factory AI Assistant - Safety Interlocks
+ * Declarative preconditions checked before any action runs
+ *
+ * Each rule in CONFIG.INTERLOCKS.RULES names the actions it guards and the conditions under
+ * which it trips ([field, operator, limit], all of which must hold). Fields are plant values
+ * from FactorySimulation.getInterlockContext(). A tripped rule refuses the action with the
+ * rule, the value and the limit; OVERRIDABLE rules can be bypassed by repeating the action
+ * with the override phrase the refusal returns, the others can't be bypassed at all.
+ */
+
+class Interlocks {
+    constructor(rules = CONFIG.INTERLOCKS.RULES) {
+        Interlocks.validate(rules);
+        this.rules = rules;
+    }
+
+    static OPERATORS = {
+        '<': (value, limit) => typeof value === 'number' && value < limit,
+        '<=': (value, limit) => typeof value === 'number' && value <= limit,
+        '>': (value, limit) => typeof value === 'number' && value > limit,
+        '>=': (value, limit) => typeof value === 'number' && value >= limit,
+        '==': (value, limit) => value === limit,
+        '!=': (value, limit) => value !== limit,
+        'in': (value, limit) => limit.includes(value)
+    };
+
+    static validate(rules) {
+        const errors = [];
+        const actions = Object.values(CONFIG.ACTIONS);
+
+        Object.entries(rules).forEach(([id, rule]) => {
+            if (!Array.isArray(rule.ACTIONS) || rule.ACTIONS.length === 0) {
+                errors.push(`${id}: ACTIONS must be a non-empty array`);
+            } else {
+                rule.ACTIONS.filter(action => !actions.includes(action))
+                    .forEach(action => errors.push(`${id}: unknown action "${action}"`));
+            }
+            if (!Array.isArray(rule.WHEN) || rule.WHEN.length === 0) {
+                errors.push(`${id}: WHEN must be a non-empty array of [field, operator, limit]`);
+            } else {
+                rule.WHEN.forEach(([field, operator, limit], i) => {
+                    if (typeof field !== 'string') errors.push(`${id}: condition ${i + 1} needs a field name`);
+                    if (!Interlocks.OPERATORS[operator]) errors.push(`${id}: condition ${i + 1} operator must be one of ${Object.keys(Interlocks.OPERATORS).join(' ')}`);
+                    if (operator === 'in' && !Array.isArray(limit)) errors.push(`${id}: condition ${i + 1} "in" needs an array`);
+                });
+            }
+            if (typeof rule.DESCRIPTION !== 'string' || rule.DESCRIPTION.trim() === '') {
+                errors.push(`${id}: DESCRIPTION is required`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid interlock rules:\n  - ${errors.join('\n  - ')}`);
+        }
+    }
+
+    // Every rule guarding this action that trips in this context
+    check(action, context) {
+        if (!CONFIG.INTERLOCKS.ENABLED) return [];
+
+        return Object.entries(this.rules)
+            .filter(([, rule]) => rule.ACTIONS.includes(action))
+            .filter(([, rule]) => rule.WHEN.every(([field, operator, limit]) => Interlocks.OPERATORS[operator](context[field], limit)))
+            .map(([id, rule]) => ({
+                rule: id,
+                description: rule.DESCRIPTION,
+                conditions: rule.WHEN.map(([field, operator, limit]) => ({ field, value: context[field], operator, limit })),
+                overridable: rule.OVERRIDABLE === true
+            }));
+    }
+
+    // The phrase that overrides these refusals (null if any of them can't be overridden)
+    static getOverridePhrase(refusals) {
+        if (refusals.length === 0 || refusals.some(refusal => !refusal.overridable)) return null;
+        return `OVERRIDE ${refusals.map(refusal => refusal.rule).join(' ')}`;
+    }
+
+    // Check an action, letting an override through when its phrase matches the refusals exactly
+    evaluate(action, context, override) {
+        const refusals = this.check(action, context);
+        if (refusals.length === 0) {
+            return { allowed: true, refusals, overridden: [] };
+        }
+        const phrase = Interlocks.getOverridePhrase(refusals);
+        const matches = phrase !== null && typeof override === 'string' &&
+            override.trim().toUpperCase() === phrase.toUpperCase();
+        return matches
+            ? { allowed: true, refusals: [], overridden: refusals }
+            : { allowed: false, refusals, overridePhrase: phrase };
+    }
+
+    // "rule: description (field value < limit)" for each refusal
+    static describe(refusals) {
+        const format = (value) => typeof value === 'number' ? Number(value.toFixed(1)) : JSON.stringify(value);
+        return refusals.map(refusal => {
+            const values = refusal.conditions
+                .map(condition => `${condition.field} ${format(condition.value)} ${condition.operator} ${format(condition.limit)}`)
+                .join(', ');
+            return `${refusal.rule}: ${refusal.description} (${values})`;
+        }).join('; ');
+    }
+}
+
+// Make interlocks globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.Interlocks = Interlocks;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Interlocks;
+}
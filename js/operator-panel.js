@@ -0,0 +1,115 @@
+/**
+ * Virtual Factory AI Assistant - Operator Panel
+ * Manual controls for every action, so the station still works when the AI is unavailable
+ * or wrong. Buttons follow the interlocks live, running actions show their progress, and
+ * the operator's actions go in the same action log - and message feed - as the AI's.
+ */
+
+class OperatorPanel {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.container = null;
+        this.buttons = {};
+        this.jobList = null;
+    }
+
+    init() {
+        const panel = document.getElementById('operator-panel');
+        if (!panel) return;
+
+        this.container = document.createElement('div');
+        this.container.className = 'panel-section controls-section';
+        this.container.innerHTML = `
+            <div class="section-header">
+                <h3>Operator Controls</h3>
+            </div>
+            <div class="action-buttons" id="action-buttons"></div>
+            <ul class="action-jobs" id="action-jobs"></ul>
+        `;
+        // Controls sit above the action log they write to
+        const messages = panel.querySelector('.messages-section');
+        panel.insertBefore(this.container, messages);
+
+        const buttons = this.container.querySelector('#action-buttons');
+        Object.values(CONFIG.ACTIONS)
+            .filter(action => !OperatorPanel.TARGETED.includes(action))
+            .forEach(action => {
+                const button = document.createElement('button');
+                button.className = action === CONFIG.ACTIONS.EMERGENCY_STOP ? 'action-button emergency' : 'action-button';
+                button.textContent = OperatorPanel.formatLabel(action);
+                button.addEventListener('click', () => this.execute(action));
+                buttons.appendChild(button);
+                this.buttons[action] = button;
+            });
+        this.jobList = this.container.querySelector('#action-jobs');
+
+        this.simulation.on('telemetry', (telemetry) => this.render(telemetry));
+        this.render(this.simulation.getTelemetrySnapshot());
+
+        console.log('🎛️ Operator controls enabled');
+    }
+
+    // Actions on one job or alarm - run from the in-flight list and the alarm panel instead
+    static TARGETED = [
+        CONFIG.ACTIONS.CANCEL_ACTION,
+        CONFIG.ACTIONS.ACKNOWLEDGE_ALARM,
+        CONFIG.ACTIONS.SHELVE_ALARM,
+        CONFIG.ACTIONS.UNSHELVE_ALARM
+    ];
+
+    static formatLabel(action) {
+        return action.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+
+    // An overridable interlock asks the operator to confirm the override; the rest are disabled
+    execute(action) {
+        const interlock = this.simulation.checkInterlocks(action);
+        let override;
+        if (!interlock.allowed) {
+            if (!interlock.overridePhrase) return;
+            const proceed = confirm(`${OperatorPanel.formatLabel(action)} is interlocked:\n${Interlocks.describe(interlock.refusals)}\n\nOverride and run it anyway?`);
+            if (!proceed) return;
+            override = interlock.overridePhrase;
+        }
+
+        this.simulation.executeAction(action, { source: 'operator', override });
+        this.render(this.simulation.getTelemetrySnapshot());
+    }
+
+    render(telemetry) {
+        if (!this.jobList) return;
+
+        for (const [action, button] of Object.entries(this.buttons)) {
+            const interlock = this.simulation.checkInterlocks(action);
+            button.disabled = !interlock.allowed && !interlock.overridePhrase;
+            button.classList.toggle('interlocked', !interlock.allowed && Boolean(interlock.overridePhrase));
+            button.title = interlock.allowed ? '' : Interlocks.describe(interlock.refusals);
+        }
+
+        this.jobList.innerHTML = '';
+        telemetry.actions.forEach(job => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${job.id} ${OperatorPanel.formatLabel(job.action)} (${job.source}) - ${job.status === 'queued' ? 'queued' : `${Math.round(job.progress * 100)}%`}`;
+            label.title = job.message;
+            item.appendChild(label);
+
+            const bar = document.createElement('div');
+            bar.className = 'action-progress';
+            bar.style.width = `${Math.round(job.progress * 100)}%`;
+            item.appendChild(bar);
+
+            const cancel = document.createElement('button');
+            cancel.textContent = 'Cancel';
+            cancel.addEventListener('click', () => {
+                this.simulation.executeAction(CONFIG.ACTIONS.CANCEL_ACTION, { source: 'operator', jobId: job.id });
+                this.render(this.simulation.getTelemetrySnapshot());
+            });
+            item.appendChild(cancel);
+            this.jobList.appendChild(item);
+        });
+    }
+}
+
+// Make operator panel globally available
+window.OperatorPanel = OperatorPanel;
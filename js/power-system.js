@@ -0,0 +1,174 @@
+/**
+ * Virtual Factory AI Assistant - Power System
+ * Main feed and backup generator, each backed by a battery bank, with automatic transfer
+ *
+ * The line draws from one source at a time. Whatever the source can't supply, its battery
+ * covers (up to the battery's discharge limit) until it runs flat. Batteries that aren't
+ * discharging recharge from whatever the main feed has spare, up to the charger's rating.
+ * The generator takes a while to start, so the backup battery carries the whole load first.
+ */
+
+class PowerSystem {
+    constructor() {
+        this.source = CONFIG.POWER.SOURCES.MAIN;
+        this.sag = 0;          // kW lost from the main feed during a POWER_SAG
+        this.disturbance = 0;  // kW added to the main feed by scenario script steps and ramps
+        this.noiseOffset = 0;  // kW of scripted noise on the main feed, this tick only
+        this.batteries = {
+            main: { level: 100, flow: 0 },   // level in %, flow in kW (+ charging, - discharging)
+            backup: { level: 100, flow: 0 }
+        };
+        this.generator = { state: 'off', warmup: 0 }; // off | starting | running
+        this.lowFeedTime = 0;  // seconds the main feed has been below the transfer threshold
+        this.capacityFactor = 1; // share of rated battery capacity the (ageing) cells still hold
+        this.load = this.getRatedLoad();
+        this.available = this.getRatedLoad();
+    }
+
+    getRatedLoad() {
+        return CONFIG.POWER.LOAD.BASE + CONFIG.POWER.LOAD.ROBOT;
+    }
+
+    // Line demand (kW); the welding robots draw less when they slow down
+    getLoad(dutyCycle) {
+        return CONFIG.POWER.LOAD.BASE + CONFIG.POWER.LOAD.ROBOT * dutyCycle;
+    }
+
+    getMainFeed() {
+        return Math.max(0, CONFIG.POWER.MAIN_FEED - this.sag + this.disturbance + this.noiseOffset);
+    }
+
+    getGeneratorOutput() {
+        return this.generator.state === 'running' ? CONFIG.POWER.GENERATOR.CAPACITY : 0;
+    }
+
+    getSupply(source) {
+        return source === CONFIG.POWER.SOURCES.MAIN ? this.getMainFeed() : this.getGeneratorOutput();
+    }
+
+    // Most the source can put on the bus right now: its supply plus its battery, if not flat
+    getAvailable(source) {
+        const battery = this.batteries[source];
+        const batteryPower = battery.level > 0 ? CONFIG.POWER.BATTERIES[source.toUpperCase()].MAX_DISCHARGE : 0;
+        return Math.min(this.getRatedLoad(), this.getSupply(source) + batteryPower);
+    }
+
+    // Transfer the line to a source; returns false when it is already connected
+    switchTo(source) {
+        if (this.source === source) return false;
+
+        this.source = source;
+        this.lowFeedTime = 0;
+        if (source === CONFIG.POWER.SOURCES.BACKUP) {
+            this.generator = { state: 'starting', warmup: 0 };
+        } else {
+            this.generator = { state: 'off', warmup: 0 };
+        }
+        return true;
+    }
+
+    // Integrate in short sub-steps so a battery can run flat or the generator come up mid-tick.
+    // Returns the power available to the line (kW).
+    step(dtSeconds, dutyCycle) {
+        const steps = Math.max(1, Math.ceil(dtSeconds / CONFIG.POWER.SUBSTEP));
+        const h = dtSeconds / steps;
+        this.load = this.getLoad(dutyCycle);
+
+        for (let i = 0; i < steps; i++) {
+            this.stepGenerator(h);
+            this.stepBatteries(h);
+            this.checkAutoTransfer(h);
+        }
+
+        this.available = this.getAvailable(this.source);
+        return this.available;
+    }
+
+    stepGenerator(h) {
+        if (this.generator.state !== 'starting') return;
+
+        this.generator.warmup += h;
+        if (this.generator.warmup >= CONFIG.POWER.GENERATOR.START_DELAY) {
+            this.generator.state = 'running';
+            console.log(`🔋 Backup generator up to speed (${CONFIG.POWER.GENERATOR.CAPACITY} kW)`);
+        }
+    }
+
+    stepBatteries(h) {
+        const active = this.source;
+        const feed = this.getMainFeed();
+        Object.values(this.batteries).forEach(battery => { battery.flow = 0; });
+
+        // The connected battery covers whatever its source can't
+        const shortfall = Math.max(0, this.load - this.getSupply(active));
+        const activeBattery = this.batteries[active];
+        const discharge = activeBattery.level > 0
+            ? Math.min(shortfall, CONFIG.POWER.BATTERIES[active.toUpperCase()].MAX_DISCHARGE)
+            : 0;
+        if (discharge > 0) {
+            this.changeLevel(active, -discharge, h);
+        }
+
+        // Batteries not in use recharge from whatever the main feed has left after the line
+        const feedUsed = active === CONFIG.POWER.SOURCES.MAIN ? Math.min(this.load, feed) : 0;
+        let spare = Math.max(0, feed - feedUsed);
+        const charging = Object.keys(this.batteries)
+            .filter(name => !(name === active && discharge > 0) && this.batteries[name].level < 100);
+
+        charging.forEach((name, i) => {
+            const rate = Math.min(CONFIG.POWER.CHARGER_POWER, spare / (charging.length - i));
+            this.changeLevel(name, rate * CONFIG.POWER.CHARGE_EFFICIENCY, h);
+            spare -= rate;
+        });
+    }
+
+    // Move a battery's charge by `power` kW for h seconds
+    changeLevel(name, power, h) {
+        const battery = this.batteries[name];
+        const capacity = CONFIG.POWER.BATTERIES[name.toUpperCase()].CAPACITY * this.capacityFactor * 3600; // kWh -> kJ
+        const wasCharged = battery.level > 0;
+
+        battery.flow = power;
+        battery.level = Math.max(0, Math.min(100, battery.level + (power * h / capacity) * 100));
+
+        if (wasCharged && battery.level === 0) {
+            console.log(`🪫 ${name === 'main' ? 'Main' : 'Backup'} battery is flat`);
+        }
+    }
+
+    // Automatic transfer switch: move to backup once the main bus has been nearly lost for a while
+    checkAutoTransfer(h) {
+        const { ENABLED, THRESHOLD, DELAY } = CONFIG.POWER.AUTO_TRANSFER;
+        if (!ENABLED || this.source !== CONFIG.POWER.SOURCES.MAIN) return;
+
+        this.lowFeedTime = this.getAvailable(CONFIG.POWER.SOURCES.MAIN) <= THRESHOLD ? this.lowFeedTime + h : 0;
+        if (this.lowFeedTime >= DELAY) {
+            console.log(`🔀 Automatic transfer to backup power (main bus below ${THRESHOLD} kW for ${DELAY}s)`);
+            this.switchTo(CONFIG.POWER.SOURCES.BACKUP);
+        }
+    }
+
+    getSnapshot() {
+        return {
+            source: this.source,
+            load: this.load,
+            available: this.available,
+            mainFeed: this.getMainFeed(),
+            sag: this.sag,
+            generator: {
+                state: this.generator.state,
+                output: this.getGeneratorOutput()
+            },
+            mainBattery: { ...this.batteries.main },
+            backupBattery: { ...this.batteries.backup }
+        };
+    }
+}
+
+// Make power system globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.PowerSystem = PowerSystem;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PowerSystem;
+}
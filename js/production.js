@@ -0,0 +1,120 @@
+/**
+ * Virtual Factory AI Assistant - Production Model
+ * Counts parts through the welding cell, weld quality, downtime by cause and OEE
+ *
+ *   OEE = availability × performance × quality
+ *
+ * Availability is run time over planned production time (scheduled maintenance is planned
+ * downtime and doesn't count against it), performance is ideal cycle time × parts over run
+ * time, and quality is good parts over all parts.
+ */
+
+class ProductionModel {
+    constructor() {
+        this.partsStarted = 0;
+        this.partsCompleted = 0;
+        this.goodParts = 0;
+        this.defects = 0;
+        this.partInProgress = false;
+        this.lastCompletedAt = null;
+        this.cycleTime = null;         // s between completed parts (smoothed)
+        this.defectProbability = CONFIG.PRODUCTION.BASE_DEFECT_RATE;
+        this.runTime = 0;              // s the robot was welding (at any speed)
+        this.downtime = {};            // cause -> s stopped
+    }
+
+    startPart() {
+        if (this.partInProgress) return;
+        this.partInProgress = true;
+        this.partsStarted++;
+    }
+
+    // Chance a weld made under these conditions is defective
+    getDefectProbability(conditions) {
+        const { PRODUCTION, SENSORS } = CONFIG;
+        const lowPressure = Math.max(0, SENSORS.PRESSURE.NOMINAL_MIN - conditions.pressure);
+        const lowPower = Math.max(0, SENSORS.POWER.NOMINAL_MIN - conditions.power);
+        const highTemperature = Math.max(0, conditions.temperature - SENSORS.TEMPERATURE.NOMINAL_MAX);
+        const tipWear = 1 - conditions.tipHealth / 100;
+
+        const probability = PRODUCTION.BASE_DEFECT_RATE
+            + lowPressure * PRODUCTION.DEFECT_PER_BAR_LOW
+            + lowPower * PRODUCTION.DEFECT_PER_KW_LOW
+            + highTemperature * PRODUCTION.DEFECT_PER_DEGREE_HIGH
+            + tipWear * PRODUCTION.DEFECT_TIP_WEAR;
+        return Math.min(PRODUCTION.MAX_DEFECT_RATE, probability);
+    }
+
+    // A weld finished; inspect it. Returns true when the part is good.
+    completePart(now, conditions, random) {
+        this.startPart(); // the scene can finish a weld that began before the simulation started
+        this.partInProgress = false;
+        this.partsCompleted++;
+
+        this.defectProbability = this.getDefectProbability(conditions);
+        const good = random.next() >= this.defectProbability;
+        if (good) {
+            this.goodParts++;
+        } else {
+            this.defects++;
+            console.log(`🔩 Defective weld (part ${this.partsCompleted}, ${(this.defectProbability * 100).toFixed(0)}% defect risk)`);
+        }
+
+        if (this.lastCompletedAt !== null) {
+            const interval = (now - this.lastCompletedAt) / 1000;
+            const alpha = CONFIG.PRODUCTION.CYCLE_TIME_SMOOTHING;
+            this.cycleTime = this.cycleTime === null ? interval : alpha * interval + (1 - alpha) * this.cycleTime;
+        }
+        this.lastCompletedAt = now;
+        return good;
+    }
+
+    // Book dtSeconds as run time (cause null) or as downtime against a cause
+    recordTime(dtSeconds, cause) {
+        if (cause === null) {
+            this.runTime += dtSeconds;
+            return;
+        }
+        this.downtime[cause] = (this.downtime[cause] || 0) + dtSeconds;
+        // A stop breaks the cycle-time chain - the next part shouldn't count the gap
+        this.lastCompletedAt = null;
+    }
+
+    getOEE() {
+        const unplanned = Object.entries(this.downtime)
+            .filter(([cause]) => cause !== CONFIG.PRODUCTION.PLANNED_DOWNTIME)
+            .reduce((sum, [, seconds]) => sum + seconds, 0);
+        const plannedTime = this.runTime + unplanned;
+
+        const availability = plannedTime > 0 ? this.runTime / plannedTime : 1;
+        const performance = this.runTime > 0
+            ? Math.min(1, (CONFIG.PRODUCTION.IDEAL_CYCLE_TIME * this.partsCompleted) / this.runTime)
+            : 1;
+        const quality = this.partsCompleted > 0 ? this.goodParts / this.partsCompleted : 1;
+
+        return { availability, performance, quality, oee: availability * performance * quality };
+    }
+
+    getSnapshot() {
+        return {
+            partsStarted: this.partsStarted,
+            partsCompleted: this.partsCompleted,
+            goodParts: this.goodParts,
+            defects: this.defects,
+            defectProbability: this.defectProbability,
+            cycleTime: this.cycleTime,
+            idealCycleTime: CONFIG.PRODUCTION.IDEAL_CYCLE_TIME,
+            runTime: this.runTime,
+            downtime: { ...this.downtime },
+            ...this.getOEE()
+        };
+    }
+}
+
+// Make production model globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.ProductionModel = ProductionModel;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductionModel;
+}
@@ -0,0 +1,78 @@
+/**
+ * Virtual Factory AI Assistant - Seeded Random
+ * Deterministic pseudo-random number generator so simulation runs can be replayed
+ */
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Accepts numbers or strings (e.g. from the URL); anything else gets a fresh seed
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+        if (typeof seed === 'string' && seed.trim() !== '') {
+            const numeric = Number(seed);
+            return Number.isInteger(numeric) ? numeric >>> 0 : SeededRandom.hashString(seed);
+        }
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // FNV-1a string hash
+    static hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Mulberry32 - returns a float in [0, 1) just like Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    // Pick with probability proportional to weights[i]; falls back to a uniform pick if all are zero
+    weightedPick(items, weights) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) return this.pick(items);
+
+        let roll = this.next() * total;
+        for (let i = 0; i < items.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+
+    // Independent stream derived from the seed rather than the current state, so consumers
+    // that draw at unpredictable times (rendering, chart prefill) never disturb the simulation
+    fork(label) {
+        return new SeededRandom(SeededRandom.hashString(`${this.seed}:${label}`));
+    }
+}
+
+// Make seeded random globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -0,0 +1,268 @@
+/**
+ * Virtual Factory AI Assistant - Scenario Player
+ * Plays declarative scenario scripts (timed sensor perturbations and expected operator responses)
+ */
+
+class ScenarioPlayer {
+    constructor(script) {
+        this.script = ScenarioPlayer.validate(script);
+        this.running = false;
+        this.startTime = null;
+        this.lastElapsed = 0;
+        this.firedSteps = new Set();
+        this.stoppedEvents = new Set();
+        this.responses = [];
+        this.unexpectedActions = [];
+    }
+
+    static SENSORS = ['power', 'pressure', 'temperature'];
+    static EVENT_TYPES = ['ramp', 'step', 'noise', 'sensor_fault'];
+
+    // Parse script text, JSON or YAML (js-yaml: a script tag in the browser, the npm dependency under Node)
+    static parse(text, format = 'json') {
+        if (format === 'yaml' || format === 'yml') {
+            const yaml = ScenarioPlayer.getYamlParser();
+            if (!yaml) {
+                throw new Error('YAML scenario scripts need js-yaml - run npm install, or use JSON instead');
+            }
+            return yaml.load(text);
+        }
+        return JSON.parse(text);
+    }
+
+    static getYamlParser() {
+        if (typeof window !== 'undefined' && window.jsyaml) {
+            return window.jsyaml;
+        }
+        if (typeof require === 'function') {
+            try {
+                return require('js-yaml');
+            } catch (error) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    // Returns the script with defaults filled in, or throws listing every problem found
+    static validate(script) {
+        const errors = [];
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+        if (!script || typeof script !== 'object') {
+            throw new Error('Scenario script must be an object');
+        }
+        if (typeof script.name !== 'string' || script.name.trim() === '') {
+            errors.push('"name" is required');
+        }
+        if (script.duration !== undefined && (!isNumber(script.duration) || script.duration <= 0)) {
+            errors.push('"duration" must be a positive number of seconds');
+        }
+        if (!Array.isArray(script.events) || script.events.length === 0) {
+            errors.push('"events" must be a non-empty array');
+        }
+
+        const actions = Object.values(CONFIG.ACTIONS);
+        (script.events || []).forEach((event, i) => {
+            const where = `events[${i}]`;
+            if (!ScenarioPlayer.EVENT_TYPES.includes(event.type)) {
+                errors.push(`${where}: "type" must be one of ${ScenarioPlayer.EVENT_TYPES.join(', ')}`);
+            }
+            if (event.type === 'sensor_fault') {
+                // Instrument faults carry their own parameters (see CONFIG.SENSOR_FAULTS)
+                SensorLayer.validateFault(event).forEach(error => errors.push(`${where}: ${error}`));
+            } else if (!ScenarioPlayer.SENSORS.includes(event.sensor)) {
+                errors.push(`${where}: "sensor" must be one of ${ScenarioPlayer.SENSORS.join(', ')}`);
+            }
+            if (!isNumber(event.at) || event.at < 0) {
+                errors.push(`${where}: "at" must be a number of seconds >= 0`);
+            }
+            if (event.type === 'ramp' && !isNumber(event.rate)) {
+                errors.push(`${where}: ramp needs a numeric "rate" (units per second)`);
+            }
+            if (event.type === 'step' && !isNumber(event.delta)) {
+                errors.push(`${where}: step needs a numeric "delta"`);
+            }
+            if (event.type === 'noise' && (!isNumber(event.amplitude) || event.amplitude < 0)) {
+                errors.push(`${where}: noise needs a non-negative "amplitude"`);
+            }
+            if (event.type === 'noise' && event.profile !== undefined && !['uniform', 'gaussian'].includes(event.profile)) {
+                errors.push(`${where}: noise "profile" must be uniform or gaussian`);
+            }
+            if (event.type !== 'sensor_fault' && event.duration !== undefined && (!isNumber(event.duration) || event.duration <= 0)) {
+                errors.push(`${where}: "duration" must be a positive number of seconds`);
+            }
+            if (event.until !== undefined && !actions.includes(event.until)) {
+                errors.push(`${where}: "until" must be an action name`);
+            }
+        });
+
+        // Nothing for the operator to fix means nothing resolves the scenario - it has to time out
+        const events = Array.isArray(script.events) ? script.events : [];
+        if (events.length > 0 && events.every(event => event.type === 'sensor_fault') && script.duration === undefined) {
+            errors.push('"duration" is required when every event is a sensor_fault');
+        }
+
+        (script.expectedResponses || []).forEach((response, i) => {
+            const where = `expectedResponses[${i}]`;
+            if (!actions.includes(response.action)) {
+                errors.push(`${where}: unknown action "${response.action}"`);
+            }
+            if (response.after !== undefined && (!isNumber(response.after) || response.after < 0)) {
+                errors.push(`${where}: "after" must be a number of seconds >= 0`);
+            }
+            if (!isNumber(response.within) || response.within <= 0) {
+                errors.push(`${where}: "within" must be a positive number of seconds`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid scenario script "${script.name || 'unnamed'}":\n  - ${errors.join('\n  - ')}`);
+        }
+
+        return {
+            description: '',
+            expectedResponses: [],
+            ...script,
+            events: script.events.map(event => event.type === 'sensor_fault' ? { ...event } : { profile: 'uniform', ...event })
+        };
+    }
+
+    start(now) {
+        this.running = true;
+        this.startTime = now;
+        this.lastElapsed = 0;
+        this.firedSteps.clear();
+        this.stoppedEvents.clear();
+        this.unexpectedActions = [];
+        this.responses = this.script.expectedResponses.map(expected => ({
+            action: expected.action,
+            note: expected.note || '',
+            windowStart: expected.after || 0,
+            windowEnd: (expected.after || 0) + expected.within,
+            status: 'pending',
+            at: null
+        }));
+        console.log(`📜 Scripted scenario started: ${this.script.name}`);
+    }
+
+    getElapsed(now) {
+        return (now - this.startTime) / 1000;
+    }
+
+    isFinished(now) {
+        return this.script.duration !== undefined && this.getElapsed(now) >= this.script.duration;
+    }
+
+    // Apply every perturbation active between the previous call and now.
+    // perturb(sensor, delta, kind) lets the simulation route each change into its physical model
+    // (kind is 'noise' for a noise sample, which only holds for this tick);
+    // injectFault(event) breaks an instrument for sensor_fault events.
+    apply(perturb, now, random, injectFault) {
+        const from = this.lastElapsed;
+        const to = this.getElapsed(now);
+        this.lastElapsed = to;
+
+        this.script.events.forEach((event, i) => {
+            if (this.stoppedEvents.has(i)) return;
+
+            const end = event.duration !== undefined ? event.at + event.duration : Infinity;
+
+            if (event.type === 'step') {
+                if (!this.firedSteps.has(i) && to >= event.at) {
+                    this.firedSteps.add(i);
+                    perturb(event.sensor, event.delta);
+                    console.log(`📜 Step: ${event.sensor} ${event.delta > 0 ? '+' : ''}${event.delta}`);
+                }
+                return;
+            }
+
+            // Fires once like a step; the sensor layer ends it after its own duration
+            if (event.type === 'sensor_fault') {
+                if (!this.firedSteps.has(i) && to >= event.at) {
+                    this.firedSteps.add(i);
+                    const { at, type, until, ...spec } = event;
+                    injectFault(spec);
+                }
+                return;
+            }
+
+            // Seconds of this tick that overlap the event's active window
+            const overlap = Math.min(to, end) - Math.max(from, event.at);
+            if (overlap <= 0) return;
+
+            if (event.type === 'ramp') {
+                perturb(event.sensor, event.rate * overlap);
+            } else if (event.type === 'noise') {
+                perturb(event.sensor, event.profile === 'gaussian'
+                    ? this.gaussian(random) * event.amplitude
+                    : random.range(-event.amplitude, event.amplitude), 'noise');
+            }
+        });
+    }
+
+    // Standard normal sample (Box-Muller)
+    gaussian(random) {
+        const u = 1 - random.next();
+        const v = random.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    // Score an operator action against the expected responses, and stop events it clears
+    recordAction(action, now) {
+        const elapsed = this.getElapsed(now);
+
+        this.script.events.forEach((event, i) => {
+            if (event.until === action) {
+                this.stoppedEvents.add(i);
+            }
+        });
+
+        const response = this.responses.find(r => r.action === action && r.status === 'pending');
+        if (!response) {
+            this.unexpectedActions.push({ action, at: elapsed });
+            return;
+        }
+
+        response.at = elapsed;
+        if (elapsed < response.windowStart) {
+            response.status = 'early';
+        } else if (elapsed <= response.windowEnd) {
+            response.status = 'met';
+        } else {
+            response.status = 'late';
+        }
+        console.log(`📜 Expected response ${action}: ${response.status} at ${elapsed.toFixed(0)}s`);
+    }
+
+    // Mark anything still pending as missed and return the final result
+    finish(now) {
+        this.running = false;
+        for (const response of this.responses) {
+            if (response.status === 'pending') {
+                response.status = 'missed';
+            }
+        }
+        const result = this.getStatus(now);
+        console.log(`📜 Scripted scenario finished: ${this.script.name} (${result.responses.filter(r => r.status === 'met').length}/${result.responses.length} responses met)`);
+        return result;
+    }
+
+    getStatus(now) {
+        return {
+            name: this.script.name,
+            elapsed: this.startTime === null ? 0 : this.getElapsed(now),
+            duration: this.script.duration !== undefined ? this.script.duration : null,
+            responses: this.responses.map(r => ({ ...r })),
+            unexpectedActions: this.unexpectedActions.map(a => ({ ...a }))
+        };
+    }
+}
+
+// Make scenario player globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.ScenarioPlayer = ScenarioPlayer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioPlayer;
+}
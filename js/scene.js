@@ -4,7 +4,13 @@
  */
 
 class SceneManager {
-    constructor(containerId) {
+    constructor(containerId, options = {}) {
+        // Seeded stream for spark effects (kept separate from the simulation's stream)
+        this.random = options.random || new SeededRandom();
+        // Called when a weld starts and after every completed weld (the simulation counts
+        // parts, weld quality and equipment wear from these)
+        this.onWeldStart = options.onWeldStart || null;
+        this.onWeldCycle = options.onWeldCycle || null;
         this.container = document.getElementById(containerId);
         this.scene = null;
         this.camera = null;
@@ -916,18 +922,9 @@ class SceneManager {
     updateBatteries(mainLevel, backupLevel, isBackupActive) {
         console.log(`🔋 updateBatteries called: mainLevel=${mainLevel}, backupLevel=${backupLevel}, isBackupActive=${isBackupActive}`);
 
-        // Inactive battery shows full charge, active battery shows actual level
-        if (isBackupActive) {
-            // Backup is active - show main as full, backup as actual level
-            console.log('🔋 Backup active: setting main=100, backup=' + backupLevel);
-            this.updateBatteryLevel(100, 'main');
-            this.updateBatteryLevel(backupLevel, 'backup');
-        } else {
-            // Main is active - show backup as full, main as actual level
-            console.log('🔋 Main active: setting main=' + mainLevel + ', backup=100');
-            this.updateBatteryLevel(mainLevel, 'main');
-            this.updateBatteryLevel(100, 'backup');
-        }
+        // Both meters show real state of charge - the idle battery may still be recharging
+        this.updateBatteryLevel(mainLevel, 'main');
+        this.updateBatteryLevel(backupLevel, 'backup');
 
         // Both batteries show their level-based color (set in updateBatteryLevel)
         // No additional visual indicator for active/inactive - the LED strip handles that
@@ -993,26 +990,14 @@ class SceneManager {
             }
         }
 
-        // Oil/Temperature - matches CONFIG: WARNING >= 75°C, CRITICAL >= 85°C
-        if (sensorData.oilTemp !== undefined) {
-            if (sensorData.oilTemp < 75) {
-                this.statusLightStates.oilBarrel.status = 'nominal';
-            } else if (sensorData.oilTemp < 85) {
-                this.statusLightStates.oilBarrel.status = 'warning';
-            } else {
-                this.statusLightStates.oilBarrel.status = 'critical';
-            }
+        // Oil temperature and pressure follow the shared sensor statuses (js/sensor-classifier.js)
+        // (fault = the sensor dropped out; the light keeps its last status)
+        const lightStatus = { normal: 'nominal', warning: 'warning', critical: 'critical' };
+        if (lightStatus[sensorData.oilStatus]) {
+            this.statusLightStates.oilBarrel.status = lightStatus[sensorData.oilStatus];
         }
-
-        // Pressure - matches CONFIG: WARNING <= 135 bar, CRITICAL <= 125 bar
-        if (sensorData.pressure !== undefined) {
-            if (sensorData.pressure > 135) {
-                this.statusLightStates.pressureTank.status = 'nominal';
-            } else if (sensorData.pressure > 125) {
-                this.statusLightStates.pressureTank.status = 'warning';
-            } else {
-                this.statusLightStates.pressureTank.status = 'critical';
-            }
+        if (lightStatus[sensorData.pressureStatus]) {
+            this.statusLightStates.pressureTank.status = lightStatus[sensorData.pressureStatus];
         }
     }
 
@@ -1612,11 +1597,11 @@ class SceneManager {
     updateLEDStatus(state) {
         // Update all LEDs based on factory state
         let material;
-        if (state === CONFIG.STATES.CRITICAL) {
+        if (state === CONFIG.STATES.CRITICAL || state === CONFIG.STATES.E_STOP) {
             material = this.ledCriticalMat;
-        } else if (state === CONFIG.STATES.DEGRADED) {
+        } else if (state === CONFIG.STATES.DEGRADED || state === CONFIG.STATES.STARTING) {
             material = this.ledWarningMat;
-        } else if (state === CONFIG.STATES.PAUSED) {
+        } else if (state === CONFIG.STATES.PAUSED || state === CONFIG.STATES.MAINTENANCE) {
             material = this.ledOffMat;
         } else {
             material = this.ledOnMat;
@@ -1651,7 +1636,7 @@ class SceneManager {
         for (let i = 0; i < 30; i++) {
             const spark = new THREE.Mesh(
                 sparkGeometry,
-                sparkMaterials[Math.floor(Math.random() * sparkMaterials.length)]
+                this.random.pick(sparkMaterials)
             );
             spark.visible = false;
             spark.userData = { velocity: new THREE.Vector3(), life: 0 };
@@ -1773,7 +1758,7 @@ class SceneManager {
 
         // Spawn new items based on POSITION, not time - this keeps spacing consistent
         // Only spawn when conveyor is moving and there's enough space
-        if (!this.isWelding && this.state !== CONFIG.STATES.PAUSED && this.state !== CONFIG.STATES.CRITICAL) {
+        if (!this.isWelding && !this.isLineHalted()) {
             const spawnX = -4;
             const spacing = CONFIG.CONVEYOR.ITEM_SPACING;
 
@@ -1815,12 +1800,12 @@ class SceneManager {
                 spark.visible = true;
                 spark.position.copy(tipPos);
                 spark.userData.velocity.set(
-                    (Math.random() - 0.5) * 0.15,
-                    Math.random() * 0.2 + 0.05,
-                    (Math.random() - 0.5) * 0.15
+                    this.random.range(-0.075, 0.075),
+                    this.random.range(0.05, 0.25),
+                    this.random.range(-0.075, 0.075)
                 );
-                spark.userData.life = 0.5 + Math.random() * 0.3;
-                spark.scale.setScalar(0.5 + Math.random() * 0.5);
+                spark.userData.life = this.random.range(0.5, 0.8);
+                spark.scale.setScalar(this.random.range(0.5, 1.0));
             }
         }
     }
@@ -1844,7 +1829,7 @@ class SceneManager {
         // Update sparks
         this.updateSparks(delta);
 
-        if (this.state === CONFIG.STATES.PAUSED || this.state === CONFIG.STATES.CRITICAL) {
+        if (this.isLineHalted()) {
             // Safe pose: arm straight up
             this.upperArmPivot.rotation.x = THREE.MathUtils.lerp(this.upperArmPivot.rotation.x, 0, 0.05);
             this.forearmPivot.rotation.x = THREE.MathUtils.lerp(this.forearmPivot.rotation.x, 0, 0.05);
@@ -1861,6 +1846,9 @@ class SceneManager {
                 this.isWelding = true;
                 this.weldingTarget = target;
                 this.weldingProgress = 0;
+                if (this.onWeldStart) {
+                    this.onWeldStart();
+                }
             }
         }
 
@@ -1899,7 +1887,7 @@ class SceneManager {
                 this.weldingLight.position.copy(tipPos);
 
                 // Emit sparks
-                if (Math.random() > 0.4) {
+                if (this.random.next() > 0.4) {
                     this.emitSparks();
                 }
 
@@ -1928,6 +1916,9 @@ class SceneManager {
                 }
                 this.isWelding = false;
                 this.weldingTarget = null;
+                if (this.onWeldCycle) {
+                    this.onWeldCycle();
+                }
             }
         } else {
             // Idle: gentle breathing motion
@@ -1945,11 +1936,20 @@ class SceneManager {
         return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
     }
 
+    // Stopped, or too unstable to weld - the robot holds its safe pose and no parts come in
+    isLineHalted() {
+        return [CONFIG.STATES.CRITICAL, CONFIG.STATES.PAUSED, CONFIG.STATES.E_STOP, CONFIG.STATES.MAINTENANCE].includes(this.state);
+    }
+
     updateState(newState) {
         this.state = newState;
 
         // Update animation speed based on state
         switch (newState) {
+            case CONFIG.STATES.STARTING:
+                this.animationSpeed = CONFIG.ROBOT.SPEED_STARTING;
+                this.conveyorSpeed = CONFIG.CONVEYOR.SPEED_NORMAL;
+                break;
             case CONFIG.STATES.NORMAL:
                 this.animationSpeed = CONFIG.ROBOT.SPEED_NORMAL;
                 this.conveyorSpeed = CONFIG.CONVEYOR.SPEED_NORMAL;
@@ -1966,6 +1966,14 @@ class SceneManager {
                 this.animationSpeed = CONFIG.ROBOT.SPEED_PAUSED;
                 this.conveyorSpeed = 0;
                 break;
+            case CONFIG.STATES.E_STOP:
+                this.animationSpeed = CONFIG.ROBOT.SPEED_E_STOP;
+                this.conveyorSpeed = 0;
+                break;
+            case CONFIG.STATES.MAINTENANCE:
+                this.animationSpeed = CONFIG.ROBOT.SPEED_MAINTENANCE;
+                this.conveyorSpeed = 0;
+                break;
         }
     }
 
@@ -0,0 +1,171 @@
+/**
+ * Virtual Factory AI Assistant - Sensor Status Classifier
+ * The one place a reading becomes a status (normal, warning, critical, or fault with no reading),
+ * shared by the simulation, alarms, dashboard, 3D scene and AI
+ *
+ * Raw thresholds come from CONFIG.SENSORS. To keep noise near a limit from flipping the status
+ * every tick, a reading has to be the sensor's DEADBAND clear of a threshold before the status
+ * drops back, a worse status has to hold CONFIG.SENSOR_STATUS.ON_DELAY seconds and a better one
+ * OFF_DELAY seconds before it takes effect. A reading moving faster than the sensor's
+ * RATE_OF_CHANGE (units/s) raises a rate alarm, which clears OFF_DELAY seconds after it slows down.
+ * A reading that crosses from one side's limits to the other's (low warning to high warning) is a
+ * change too, though the status stays the same.
+ */
+
+class SensorClassifier {
+    constructor(onChange = () => {}) {
+        this.states = {};
+        SensorClassifier.SENSORS.forEach(sensor => {
+            this.states[sensor] = {
+                status: 'normal',
+                raw: 'normal',
+                side: null,        // 'low' or 'high' - which limits a non-normal reading is past
+                since: null,       // when the current status took effect (null until the first reading)
+                pending: null,     // { status, since } waiting out its delay
+                value: null,
+                at: null,
+                rate: null,        // units/s since the previous reading
+                rateAlarm: null,   // 'rising' or 'falling'
+                rateQuietSince: null
+            };
+        });
+        this.onChange = onChange; // ({ sensor, from, to, value, timestamp })
+    }
+
+    static SENSORS = ['power', 'pressure', 'temperature'];
+    static SEVERITY = { normal: 0, warning: 1, critical: 2 };
+
+    // Status from the thresholds alone. margin widens the limits toward normal (the deadband).
+    static classify(sensor, value, margin = 0) {
+        if (value === null) return 'fault';
+
+        const config = CONFIG.SENSORS[sensor.toUpperCase()];
+        const below = (limit) => limit !== undefined && value <= limit + margin;
+        const above = (limit) => limit !== undefined && value >= limit - margin;
+        if (below(config.CRITICAL_LOW) || above(config.CRITICAL_HIGH ?? config.CRITICAL_THRESHOLD)) return 'critical';
+        if (below(config.WARNING_LOW) || above(config.WARNING_HIGH ?? config.WARNING_THRESHOLD)) return 'warning';
+        return 'normal';
+    }
+
+    // Which side of the nominal range a reading is on
+    static getSide(sensor, value) {
+        const config = CONFIG.SENSORS[sensor.toUpperCase()];
+        const high = config.WARNING_HIGH ?? config.WARNING_THRESHOLD;
+        if (config.WARNING_LOW === undefined) return 'high';
+        if (high === undefined) return 'low';
+        return value < (config.WARNING_LOW + high) / 2 ? 'low' : 'high';
+    }
+
+    update(readings, now) {
+        SensorClassifier.SENSORS.forEach(sensor => this.updateSensor(sensor, readings[sensor], now));
+    }
+
+    updateSensor(sensor, value, now) {
+        const state = this.states[sensor];
+        state.rate = value !== null && state.value !== null && state.at !== null && now > state.at
+            ? (value - state.value) / ((now - state.at) / 1000)
+            : null;
+        state.value = value;
+        state.at = now;
+        state.raw = SensorClassifier.classify(sensor, value);
+        this.updateRateAlarm(sensor, state, now);
+
+        const target = this.getTarget(sensor, state, value);
+        if (state.since === null) {
+            this.setStatus(sensor, state, target, now);
+            return;
+        }
+        if (target === state.status) {
+            state.pending = null;
+            // Straight past one side's limit to the other's - the same status, but a different problem
+            if (state.side !== null && SensorClassifier.getSide(sensor, value) !== state.side) {
+                this.setStatus(sensor, state, target, now);
+            }
+            return;
+        }
+
+        // Losing or regaining the signal isn't a reading near a limit - it takes effect at once
+        const { ON_DELAY, OFF_DELAY } = CONFIG.SENSOR_STATUS;
+        const immediate = target === 'fault' || state.status === 'fault';
+        const worse = SensorClassifier.SEVERITY[target] > SensorClassifier.SEVERITY[state.status];
+        const delay = immediate ? 0 : (worse ? ON_DELAY : OFF_DELAY);
+        if (!state.pending || state.pending.status !== target) {
+            state.pending = { status: target, since: now };
+        }
+        if (now - state.pending.since >= delay * 1000) {
+            this.setStatus(sensor, state, target, now);
+        }
+    }
+
+    // The status the reading calls for: a worse one straight from the thresholds, a better one
+    // only once the reading is clear of the deadband
+    getTarget(sensor, state, value) {
+        const { SEVERITY } = SensorClassifier;
+        if (state.raw === 'fault' || state.status === 'fault' || SEVERITY[state.raw] >= SEVERITY[state.status]) {
+            return state.raw;
+        }
+        const held = SensorClassifier.classify(sensor, value, CONFIG.SENSORS[sensor.toUpperCase()].DEADBAND);
+        return SEVERITY[held] < SEVERITY[state.status] ? held : state.status;
+    }
+
+    setStatus(sensor, state, status, now) {
+        const from = state.status;
+        const fromSide = state.side;
+        state.status = status;
+        state.since = now;
+        state.pending = null;
+        state.side = status === 'normal' || status === 'fault' ? null : SensorClassifier.getSide(sensor, state.value);
+        if (from !== status || fromSide !== state.side) {
+            const label = (name, side) => side ? `${name}(${side})` : name;
+            console.log(`🏷️ ${sensor} status ${label(from, fromSide)} → ${label(status, state.side)}`);
+            this.onChange({ sensor, from, to: status, fromSide, side: state.side, value: state.value, timestamp: now });
+        }
+    }
+
+    updateRateAlarm(sensor, state, now) {
+        const config = CONFIG.SENSORS[sensor.toUpperCase()];
+        if (state.rate !== null && Math.abs(state.rate) >= config.RATE_OF_CHANGE) {
+            const direction = state.rate > 0 ? 'rising' : 'falling';
+            if (state.rateAlarm !== direction) {
+                console.log(`📈 ${sensor} ${direction} at ${Math.abs(state.rate).toFixed(2)} ${config.UNIT}/s`);
+            }
+            state.rateAlarm = direction;
+            state.rateQuietSince = null;
+        } else if (state.rateAlarm) {
+            state.rateQuietSince = state.rateQuietSince ?? now;
+            if (now - state.rateQuietSince >= CONFIG.SENSOR_STATUS.OFF_DELAY * 1000) {
+                state.rateAlarm = null;
+                state.rateQuietSince = null;
+            }
+        }
+    }
+
+    getStatus(sensor) {
+        return this.states[sensor].status;
+    }
+
+    getSnapshot() {
+        const snapshot = {};
+        SensorClassifier.SENSORS.forEach(sensor => {
+            const state = this.states[sensor];
+            snapshot[sensor] = {
+                status: state.status,
+                raw: state.raw,
+                side: state.side,
+                since: state.since,
+                pending: state.pending ? { ...state.pending } : null,
+                rate: state.rate,
+                rateAlarm: state.rateAlarm
+            };
+        });
+        return snapshot;
+    }
+}
+
+// Make sensor classifier globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.SensorClassifier = SensorClassifier;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SensorClassifier;
+}
@@ -0,0 +1,322 @@
+/**
+ * Virtual Factory AI Assistant - Sensor Layer
+ * Instruments between the physical model and telemetry, with injectable instrument faults
+ *
+ * The process values in `simulation.sensors` are the truth; what the control system, the
+ * dashboard and the AI see is what the instruments report. A healthy instrument passes the
+ * process value through; a faulty one can freeze, drift off calibration, spike, drop out
+ * (null) or lag behind the process.
+ *
+ * A measurement can have several redundant channels (CONFIG.SENSORS.*.CHANNELS). Each is
+ * checked on its own - no signal, frozen, or deviating from the others - and the healthy
+ * ones are voted into the single validated value everything downstream uses.
+ */
+
+class SensorLayer {
+    constructor(random) {
+        // Spikes and dropouts draw from their own stream so injecting a fault mid-run
+        // doesn't shift the simulation's draws
+        this.random = random || new SeededRandom();
+        this.faults = [];
+        this.history = [];   // { time, values } - process values, for latency faults
+        this.nextId = 1;
+
+        // Per measurement: each channel's last reading, how many ticks it has been unchanged,
+        // its health, and whether the channels currently disagree
+        this.channels = {};
+        SensorLayer.SENSORS.forEach(sensor => {
+            const count = SensorLayer.getChannelCount(sensor);
+            this.channels[sensor] = {
+                readings: new Array(count).fill(null),
+                unchangedTicks: new Array(count).fill(0),
+                health: new Array(count).fill('ok'),
+                discrepancy: false,
+                spread: 0
+            };
+        });
+    }
+
+    static SENSORS = ['power', 'pressure', 'temperature'];
+    static VOTING = ['average', 'median', 'high', 'low'];
+
+    static getChannelCount(sensor) {
+        return CONFIG.SENSORS[sensor.toUpperCase()].CHANNELS || 1;
+    }
+
+    // Returns a list of problems with a fault spec ({ sensor, fault, ...parameters }); empty when valid
+    static validateFault(spec) {
+        const errors = [];
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        const types = Object.values(CONFIG.SENSOR_FAULTS.TYPES);
+
+        if (!spec || typeof spec !== 'object') {
+            return ['sensor fault must be an object'];
+        }
+        if (!SensorLayer.SENSORS.includes(spec.sensor)) {
+            errors.push(`"sensor" must be one of ${SensorLayer.SENSORS.join(', ')}`);
+        }
+        if (spec.channel !== undefined && SensorLayer.SENSORS.includes(spec.sensor)) {
+            const count = SensorLayer.getChannelCount(spec.sensor);
+            if (!Number.isInteger(spec.channel) || spec.channel < 1 || spec.channel > count) {
+                errors.push(`"channel" must be between 1 and ${count} for ${spec.sensor}`);
+            }
+        }
+        if (!types.includes(spec.fault)) {
+            errors.push(`"fault" must be one of ${types.join(', ')}`);
+        }
+        if (spec.duration !== undefined && (!isNumber(spec.duration) || spec.duration <= 0)) {
+            errors.push('"duration" must be a positive number of seconds');
+        }
+        if (spec.value !== undefined && !isNumber(spec.value)) {
+            errors.push('stuck "value" must be a number');
+        }
+        if (spec.rate !== undefined && !isNumber(spec.rate)) {
+            errors.push('drift "rate" must be a number (units per second)');
+        }
+        if (spec.offset !== undefined && !isNumber(spec.offset)) {
+            errors.push('drift "offset" must be a number');
+        }
+        if (spec.magnitude !== undefined && (!isNumber(spec.magnitude) || spec.magnitude <= 0)) {
+            errors.push('spike "magnitude" must be a positive number');
+        }
+        if (spec.probability !== undefined && (!isNumber(spec.probability) || spec.probability < 0 || spec.probability > 1)) {
+            errors.push('"probability" must be between 0 and 1');
+        }
+        if (spec.delay !== undefined && (!isNumber(spec.delay) || spec.delay <= 0 || spec.delay > CONFIG.SENSOR_FAULTS.HISTORY_SECONDS)) {
+            errors.push(`latency "delay" must be between 0 and ${CONFIG.SENSOR_FAULTS.HISTORY_SECONDS} seconds`);
+        }
+        return errors;
+    }
+
+    // Start an instrument fault on one channel (1 unless spec.channel says otherwise);
+    // throws listing every problem with the spec
+    inject(spec, now, source = 'debug') {
+        const errors = SensorLayer.validateFault(spec);
+        if (errors.length > 0) {
+            throw new Error(`Invalid sensor fault:\n  - ${errors.join('\n  - ')}`);
+        }
+
+        const { TYPES, DEFAULTS } = CONFIG.SENSOR_FAULTS;
+        const defaults = DEFAULTS[spec.sensor.toUpperCase()];
+        const channel = spec.channel !== undefined ? spec.channel : 1;
+        const fault = {
+            id: `SF-${this.nextId++}`,
+            sensor: spec.sensor,
+            channel,
+            fault: spec.fault,
+            source,
+            startedAt: now,
+            endsAt: spec.duration !== undefined ? now + spec.duration * 1000 : null
+        };
+
+        switch (spec.fault) {
+            case TYPES.STUCK:
+                // Freezes where the channel is now
+                fault.value = spec.value !== undefined ? spec.value : this.channels[spec.sensor].readings[channel - 1];
+                break;
+            case TYPES.DRIFT:
+                fault.rate = spec.rate !== undefined ? spec.rate : defaults.DRIFT_RATE;
+                fault.offset = spec.offset || 0;
+                break;
+            case TYPES.SPIKE:
+                fault.magnitude = spec.magnitude !== undefined ? spec.magnitude : defaults.SPIKE_MAGNITUDE;
+                fault.probability = spec.probability !== undefined ? spec.probability : CONFIG.SENSOR_FAULTS.SPIKE_PROBABILITY;
+                break;
+            case TYPES.DROPOUT:
+                fault.probability = spec.probability !== undefined ? spec.probability : CONFIG.SENSOR_FAULTS.DROPOUT_PROBABILITY;
+                break;
+            case TYPES.LATENCY:
+                fault.delay = spec.delay !== undefined ? spec.delay : CONFIG.SENSOR_FAULTS.LATENCY_DELAY;
+                break;
+        }
+
+        this.faults.push(fault);
+        console.log(`🔌 Sensor fault injected: ${this.describe(fault)} ${fault.fault} (${fault.id}, ${source})`);
+        return fault;
+    }
+
+    // Clear one fault by id, or every fault matching a filter ({ sensor, source }); returns how many were cleared
+    clear(filter = {}) {
+        const matches = typeof filter === 'string'
+            ? (fault) => fault.id === filter
+            : (fault) => (filter.sensor === undefined || fault.sensor === filter.sensor) &&
+                         (filter.source === undefined || fault.source === filter.source);
+
+        const cleared = this.faults.filter(matches);
+        this.faults = this.faults.filter(fault => !matches(fault));
+        cleared.forEach(fault => console.log(`🔌 Sensor fault cleared: ${this.describe(fault)} ${fault.fault} (${fault.id})`));
+        return cleared.length;
+    }
+
+    // Process values as they were `seconds` ago (the oldest we have if the history is shorter)
+    getDelayed(sensor, now, seconds) {
+        const cutoff = now - seconds * 1000;
+        for (let i = this.history.length - 1; i >= 0; i--) {
+            if (this.history[i].time <= cutoff) {
+                return this.history[i].values[sensor];
+            }
+        }
+        return this.history.length > 0 ? this.history[0].values[sensor] : null;
+    }
+
+    // "pressure" for single-channel measurements, "pressure channel 2" otherwise
+    describe(fault) {
+        return SensorLayer.getChannelCount(fault.sensor) > 1 ? `${fault.sensor} channel ${fault.channel}` : fault.sensor;
+    }
+
+    // What one channel reports for a process value. Faults apply in the order they were injected.
+    readChannel(sensor, channel, value, now) {
+        const { TYPES } = CONFIG.SENSOR_FAULTS;
+        const noise = CONFIG.SENSORS[sensor.toUpperCase()].CHANNEL_NOISE || 0;
+        if (noise > 0) {
+            value += this.random.range(-noise, noise);
+        }
+
+        for (const fault of this.faults) {
+            if (fault.sensor !== sensor || fault.channel !== channel || value === null) continue;
+
+            switch (fault.fault) {
+                case TYPES.STUCK:
+                    value = fault.value;
+                    break;
+                case TYPES.DRIFT:
+                    value += fault.offset + fault.rate * (now - fault.startedAt) / 1000;
+                    break;
+                case TYPES.SPIKE:
+                    if (this.random.next() < fault.probability) {
+                        value += this.random.next() < 0.5 ? -fault.magnitude : fault.magnitude;
+                    }
+                    break;
+                case TYPES.DROPOUT:
+                    if (this.random.next() < fault.probability) {
+                        value = null;
+                    }
+                    break;
+                case TYPES.LATENCY:
+                    value = this.getDelayed(sensor, now, fault.delay);
+                    break;
+            }
+        }
+        return value;
+    }
+
+    // Combine channel values with the measurement's voting rule
+    static vote(values, voting) {
+        if (values.length === 0) return null;
+        switch (voting) {
+            case 'high':
+                return Math.max(...values);
+            case 'low':
+                return Math.min(...values);
+            case 'median': {
+                const sorted = [...values].sort((a, b) => a - b);
+                const middle = Math.floor(sorted.length / 2);
+                return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+            }
+            default:
+                return values.reduce((sum, value) => sum + value, 0) / values.length;
+        }
+    }
+
+    // Check every channel and vote the healthy ones into one validated value (null when none are usable):
+    //   no_signal - the channel reports nothing
+    //   frozen    - unchanged for FROZEN_TICKS ticks while the process (and its noise) moves
+    //   deviating - with 3+ channels, further than DISCREPANCY from the median of the others
+    //   suspect   - with 2 channels, the pair disagrees by more than DISCREPANCY (no way to tell which)
+    validate(sensor, readings) {
+        const config = CONFIG.SENSORS[sensor.toUpperCase()];
+        const state = this.channels[sensor];
+
+        state.health = readings.map((reading, i) => {
+            if (reading === null) {
+                state.unchangedTicks[i] = 0;
+                return 'no_signal';
+            }
+            state.unchangedTicks[i] = reading === state.readings[i] ? state.unchangedTicks[i] + 1 : 0;
+            return state.unchangedTicks[i] >= CONFIG.SENSOR_FAULTS.FROZEN_TICKS ? 'frozen' : 'ok';
+        });
+        state.readings = [...readings];
+
+        // A frozen channel is only outvoted when something better is available
+        let candidates = readings.map((reading, i) => i).filter(i => state.health[i] === 'ok');
+        if (candidates.length === 0) {
+            candidates = readings.map((reading, i) => i).filter(i => state.health[i] === 'frozen');
+        }
+
+        if (candidates.length >= 3) {
+            const median = SensorLayer.vote(candidates.map(i => readings[i]), 'median');
+            candidates.forEach(i => {
+                if (Math.abs(readings[i] - median) > config.DISCREPANCY) state.health[i] = 'deviating';
+            });
+            const agreeing = candidates.filter(i => state.health[i] !== 'deviating');
+            if (agreeing.length > 0) candidates = agreeing;
+        } else if (candidates.length === 2 && Math.abs(readings[candidates[0]] - readings[candidates[1]]) > config.DISCREPANCY) {
+            candidates.forEach(i => { state.health[i] = 'suspect'; });
+        }
+
+        const usable = readings.filter(reading => reading !== null);
+        state.spread = usable.length > 1 ? Math.max(...usable) - Math.min(...usable) : 0;
+        // Any two reporting channels further apart than the limit - whichever of them is right
+        const discrepancy = usable.length > 1 && state.spread > config.DISCREPANCY;
+        if (discrepancy !== state.discrepancy) {
+            console.log(discrepancy
+                ? `⚖️ ${sensor} channels disagree (spread ${state.spread.toFixed(1)}): ${state.health.join(', ')}`
+                : `⚖️ ${sensor} channels agree again`);
+        }
+        state.discrepancy = discrepancy;
+
+        return SensorLayer.vote(candidates.map(i => readings[i]), config.VOTING);
+    }
+
+    // Validated readings for these process values
+    read(values, now) {
+        this.history.push({ time: now, values: { ...values } });
+        while (this.history.length > 1 && this.history[1].time <= now - CONFIG.SENSOR_FAULTS.HISTORY_SECONDS * 1000) {
+            this.history.shift();
+        }
+
+        // Timed faults end on their own
+        for (const fault of [...this.faults]) {
+            if (fault.endsAt !== null && now >= fault.endsAt) {
+                this.clear(fault.id);
+            }
+        }
+
+        const readings = {};
+        for (const sensor of SensorLayer.SENSORS) {
+            const channelReadings = [];
+            for (let channel = 1; channel <= SensorLayer.getChannelCount(sensor); channel++) {
+                channelReadings.push(this.readChannel(sensor, channel, values[sensor], now));
+            }
+            readings[sensor] = this.validate(sensor, channelReadings);
+        }
+        return readings;
+    }
+
+    getChannelSnapshot() {
+        const snapshot = {};
+        SensorLayer.SENSORS.forEach(sensor => {
+            const state = this.channels[sensor];
+            snapshot[sensor] = {
+                voting: CONFIG.SENSORS[sensor.toUpperCase()].VOTING,
+                readings: [...state.readings],
+                health: [...state.health],
+                discrepancy: state.discrepancy,
+                spread: state.spread
+            };
+        });
+        return snapshot;
+    }
+
+    getSnapshot() {
+        return this.faults.map(fault => ({ ...fault }));
+    }
+}
+
+// Make sensor layer globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.SensorLayer = SensorLayer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SensorLayer;
+}
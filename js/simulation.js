@@ -4,44 +4,110 @@
  */
 
 class FactorySimulation {
-    constructor() {
-        this.state = CONFIG.STATES.NORMAL;
+    constructor(options = {}) {
+        // Every random draw goes through this PRNG so a seed reproduces the whole run
+        this.random = options.random || new SeededRandom(
+            options.seed !== undefined ? options.seed : CONFIG.SIMULATION.SEED
+        );
+        this.seed = this.random.seed;
+
+        // All timing (ticks, delays, timestamps) goes through the clock so runs can be
+        // stepped or fast-forwarded with a VirtualClock
+        this.clock = options.clock || new RealTimeClock();
+
+        // Scenario types the random picker may choose from
+        this.scenarioTypes = options.scenarioTypes || [
+            CONFIG.SCENARIOS.POWER_SAG,
+            CONFIG.SCENARIOS.PRESSURE_DRIFT,
+            CONFIG.SCENARIOS.OVERHEAT,
+            CONFIG.SCENARIOS.OVER_PRESSURE
+        ];
+
+        // Event listeners (see on/emit) - lets the engine run without a browser window
+        this.listeners = {};
+
+        // Scripted scenario - when loaded, it replaces the random picker
+        this.scenarioPlayer = null;
+        if (options.scenarioScript) {
+            this.loadScenarioScript(options.scenarioScript);
+        }
+
+        // The line starts up, then follows stability; transitions are announced as 'stateChanged'
+        this.stateMachine = new LineStateMachine(this.clock.now(), (change) => this.emit('stateChanged', change));
         this.stability = 100;
+        // Scores stability with the configured strategy and keeps the breakdown
+        this.stabilityEngine = new StabilityEngine(options.stabilityStrategy || CONFIG.STABILITY.STRATEGY);
         
-        // Sensors (nominal values above warning thresholds)
+        // Sensors (nominal values above warning thresholds) - the true process values
         this.sensors = {
             power: 42.0,      // Nominal ~42 kW (above 38 warning)
             pressure: 140.0,  // Nominal ~140 bar (above 135 warning)
             temperature: 70.0 // Nominal ~70°C (below 75 warning)
         };
+
+        // What the instruments report (null = no signal). Everything that monitors the line -
+        // stability, state, fault recovery, telemetry - works from these, not the process values.
+        // Redundant channels are voted into one validated reading per measurement.
+        this.sensorLayer = new SensorLayer(this.random.fork('sensors'));
+        this.readings = this.sensorLayer.read(this.sensors, this.clock.now());
+
+        // One debounced status per measurement, shared by everything that shows or acts on it;
+        // status changes are announced as 'sensorStatusChanged'
+        this.sensorClassifier = new SensorClassifier((change) => this.emit('sensorStatusChanged', change));
+        this.sensorClassifier.update(this.readings, this.clock.now());
         
-        // Previous sensor values for delta calculation
-        this.previousSensors = { ...this.sensors };
+        // Previous readings for delta calculation
+        this.previousReadings = { ...this.readings };
         
         // System settings
         this.cooling = CONFIG.COOLING.DEFAULT;
-        this.backupPower = false;
 
-        // Battery levels (0-100%)
-        this.mainBatteryLevel = 100;
-        this.backupBatteryLevel = 100;
-        this.batteryRechargeRate = 2; // % per tick when recharging
+        // Oil temperature follows a first-order thermal model driven by load and cooling
+        this.thermalModel = new ThermalModel();
+        this.overheatHeat = 0; // kW of extra heat from an OVERHEAT fault (fouled oil cooler)
 
-        // Scenario management
-        this.activeScenario = {
-            type: CONFIG.SCENARIOS.NONE,
-            active: false,
-            tickCount: 0,
-            duration: 0
-        };
+        // Pressure is regulated toward a setpoint by the hydraulic pump loop
+        this.hydraulics = new HydraulicSystem();
+
+        // Supply comes from the main feed or the backup generator, each backed by a battery
+        this.power = new PowerSystem();
+
+        // Components wear with use; worn ones make their faults more likely
+        this.equipment = new EquipmentHealth();
+        // Weld cycles come from the 3D scene ('scene') or are derived from the duty cycle ('simulated')
+        this.robotCycleSource = options.robotCycles || 'simulated';
+        this.cycleProgress = 0;
+        this.maintenance = null; // { components, status: 'pending' | 'in_progress', endsAt, returnTo }
+
+        // Parts, weld quality, downtime and OEE. Inspections draw from their own stream because
+        // scene-driven welds arrive between ticks and must not shift the simulation's draws.
+        this.production = new ProductionModel();
+        this.qualityRandom = this.random.fork('quality');
+
+        // Preconditions every action is checked against before it runs
+        this.interlocks = new Interlocks(options.interlockRules || CONFIG.INTERLOCKS.RULES);
+
+        // Operator actions run as tracked jobs, announced as actionStarted/Completed/Failed/Cancelled.
+        // Every step - including ones that happen later, like a job completing - goes in the action log.
+        this.actionLog = new ActionLog((entry) => this.emit('actionLogged', entry));
+        this.actions = new ActionManager((type, job) => this.onActionJobEvent(type, job));
+        this.registerActions();
+
+        // Alarm points are evaluated every tick; raises, clears, acknowledgements and shelving
+        // are announced as alarmRaised/Cleared/Acknowledged/Shelved/Unshelved
+        this.alarms = new AlarmManager(options.alarmPoints || CONFIG.ALARMS.POINTS, (type, alarm) => this.emit(type, alarm));
+
+        // Fault management - several faults can be active at once, each resolved on its own
+        this.activeFaults = [];
+        this.faultCount = 0;
         
         // Timing
-        this.startTime = Date.now();
+        this.startTime = this.clock.now();
+        this.lastTickTime = this.startTime;
         this.tickCount = 0;
         this.criticalTickCount = 0;
-        this.stableTickCount = 0;
         // Initialize to current time so first scenario waits for SCENARIO_DELAY after startup
-        this.lastScenarioEndTime = Date.now();
+        this.lastScenarioEndTime = this.clock.now();
         this.scenarioScheduled = false;
 
         // History for trend detection
@@ -51,44 +117,88 @@ class FactorySimulation {
         this.tickInterval = null;
     }
     
+    get state() {
+        return this.stateMachine.state;
+    }
+
+    on(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        if (this.listeners[type]) {
+            this.listeners[type] = this.listeners[type].filter(h => h !== handler);
+        }
+    }
+
+    // Notify direct listeners, and mirror the event onto window when running in a browser
+    emit(type, detail) {
+        (this.listeners[type] || []).forEach(handler => handler(detail));
+        if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
+            window.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
+
     start() {
-        console.log('🏭 Factory simulation started');
-        this.tickInterval = setInterval(() => this.tick(), CONFIG.SIMULATION.TICK_INTERVAL);
+        console.log(`🏭 Factory simulation started (seed ${this.seed})`);
+        this.tickInterval = this.clock.setInterval(() => this.tick(), CONFIG.SIMULATION.TICK_INTERVAL);
     }
     
     stop() {
         if (this.tickInterval) {
-            clearInterval(this.tickInterval);
+            this.clock.clearInterval(this.tickInterval);
             this.tickInterval = null;
         }
     }
     
     tick() {
         this.tickCount++;
-        const elapsed = Date.now() - this.startTime;
+        const now = this.clock.now();
+        const dt = (now - this.lastTickTime) / 1000; // seconds since the previous tick
+        this.lastTickTime = now;
         
-        // Store previous values for delta calculation
-        this.previousSensors = { ...this.sensors };
+        // Store previous readings for delta calculation
+        this.previousReadings = { ...this.readings };
         
         // Scenario management
-        this.manageScenarios(elapsed);
+        this.manageScenarios();
         
         // Update sensors based on active scenario
-        this.updateSensors();
+        this.updateSensors(dt);
+
+        // Instruments report the new process values (faulty ones misreport them)
+        this.updateReadings(now);
+
+        // Count output and downtime, then wear the equipment under this tick's conditions
+        this.updateProduction(dt);
+        this.updateEquipment(dt);
+
+        // Faults clear once the operator's response has held their sensors normal for long enough
+        this.checkFaultRecovery();
+
+        // Scheduled maintenance starts as soon as no faults are active
+        this.checkMaintenance();
+
+        // Follow in-flight actions until their effect shows
+        this.actions.update(now);
         
         // Calculate stability score
-        this.calculateStability();
+        this.calculateStability(dt);
         
-        // Determine state based on stability
-        this.updateState();
+        // Let the state machine follow stability
+        this.updateState(now);
         
         // Auto-stop if critical for too long
         this.checkAutoStop();
+
+        // Raise and clear alarms on what the line looks like now
+        this.updateAlarms(now);
         
         // Store in history
         this.sensorHistory.push({
-            time: Date.now(),
-            ...this.sensors,
+            time: this.clock.now(),
+            ...this.readings,
             stability: this.stability,
             state: this.state
         });
@@ -102,111 +212,223 @@ class FactorySimulation {
         this.emitTelemetry();
     }
     
-    manageScenarios(elapsed) {
-        // During startup period, no scenarios - but track stable ticks
-        if (elapsed < CONFIG.SIMULATION.STARTUP_STABLE_DURATION) {
-            this.stableTickCount++;
-            return;
-        }
-
-        // If paused, don't trigger new scenarios
-        if (this.state === CONFIG.STATES.PAUSED) {
+    manageScenarios() {
+        // No scenarios while the line is starting up or stopped
+        if (this.state === CONFIG.STATES.STARTING || this.stateMachine.isStopped()) {
             return;
         }
 
-        // If scenario is scheduled via setTimeout, don't interfere
+        // If scenario is scheduled on the clock, don't interfere
         if (this.scenarioScheduled) {
             return;
         }
 
-        // If no active scenario, check if we should start one
-        if (!this.activeScenario.active) {
+        // If no active faults, check if we should start a scenario
+        if (this.activeFaults.length === 0) {
             // Check if enough time has passed since last scenario (or startup)
-            const timeSinceLastScenario = Date.now() - this.lastScenarioEndTime;
-            if (timeSinceLastScenario >= CONFIG.SIMULATION.SCENARIO_DELAY) {
+            const timeSinceLastScenario = this.clock.now() - this.lastScenarioEndTime;
+            if (timeSinceLastScenario >= CONFIG.SIMULATION.SCENARIO_DELAY && this.shouldStartScenario()) {
                 console.log('🎬 Starting scenario after delay');
-                this.startRandomScenario();
+                this.startNextScenario();
             }
+            return;
+        }
+
+        // Faults are active, increment their tick counts
+        this.activeFaults.forEach(fault => fault.tickCount++);
+
+        // Scripts with a duration end on their own, resolved or not
+        const scripted = this.activeFaults.find(fault => fault.type === CONFIG.SCENARIOS.SCRIPTED);
+        if (scripted && this.scenarioPlayer.isFinished(this.clock.now())) {
+            this.resolveFault(scripted.type, 'script duration elapsed');
+            return;
+        }
+
+        // Scripted drills stay exactly as authored; random faults can overlap and cascade
+        if (!scripted) {
+            this.applyCascades();
+            this.maybeStartConcurrentFault();
+        }
+    }
+
+    // Each active fault may trigger the faults it is causally linked to
+    applyCascades() {
+        for (const fault of [...this.activeFaults]) {
+            const links = CONFIG.FAULTS.CASCADES[fault.type] || {};
+            for (const [type, probability] of Object.entries(links)) {
+                if (this.activeFaults.length >= CONFIG.FAULTS.MAX_CONCURRENT) return;
+                if (this.hasFault(type) || !this.scenarioTypes.includes(type)) continue;
+                if (this.random.next() < probability * this.equipment.getFaultMultiplier(type)) {
+                    this.startFault(type, fault.type);
+                }
+            }
+        }
+    }
+
+    // Unrelated faults occasionally overlap with the ones already running - more often on worn equipment
+    maybeStartConcurrentFault() {
+        if (this.activeFaults.length >= CONFIG.FAULTS.MAX_CONCURRENT) return;
+
+        const candidates = this.scenarioTypes.filter(type => !this.hasFault(type));
+        if (candidates.length === 0) return;
+        if (this.random.next() >= CONFIG.FAULTS.CONCURRENT_PROBABILITY * this.getFaultRateMultiplier(candidates)) return;
+
+        this.startFault(this.pickFaultType(candidates), null);
+    }
+
+    // Once SCENARIO_DELAY has passed, each tick has START_PROBABILITY of a fault starting, scaled
+    // up as the equipment wears. Scripted drills start on time, as authored.
+    shouldStartScenario() {
+        if (this.scenarioPlayer) return true;
+        const chance = CONFIG.FAULTS.START_PROBABILITY * this.getFaultRateMultiplier(this.scenarioTypes);
+        return this.random.next() < Math.min(1, chance);
+    }
+
+    // How much wear raises the chance of any of these faults: the mean of their fault multipliers,
+    // weighted like the pick (1 with new equipment)
+    getFaultRateMultiplier(types) {
+        const weights = types.map(type => CONFIG.SCENARIO_WEIGHTS[type] || 0);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total === 0) return 1;
+        return types.reduce((sum, type, i) => sum + weights[i] * this.equipment.getFaultMultiplier(type), 0) / total;
+    }
+
+    // Scenario weights, scaled up for faults whose components are worn
+    pickFaultType(types) {
+        const weights = types.map(type =>
+            (CONFIG.SCENARIO_WEIGHTS[type] || 0) * this.equipment.getFaultMultiplier(type));
+        return this.random.weightedPick(types, weights);
+    }
+
+    hasFault(type) {
+        return this.activeFaults.some(fault => fault.type === type);
+    }
+
+    loadScenarioScript(script) {
+        this.scenarioPlayer = new ScenarioPlayer(script);
+        console.log(`📜 Scenario script loaded: ${this.scenarioPlayer.script.name}`);
+    }
+
+    clearScenarioScript() {
+        this.scenarioPlayer = null;
+    }
+
+    startNextScenario() {
+        if (this.scenarioPlayer) {
+            this.startScriptedScenario();
         } else {
-            // Scenario is active, increment tick count
-            this.activeScenario.tickCount++;
+            this.startRandomScenario();
         }
     }
-    
+
+    startScriptedScenario() {
+        // A pause can abandon a run without ending it - close it out before replaying
+        if (this.scenarioPlayer.running) {
+            this.scenarioPlayer.finish(this.clock.now());
+        }
+
+        this.scenarioPlayer.start(this.clock.now());
+        // Only process events need an operator response; broken instruments are repaired with the script
+        const sensors = [...new Set(this.scenarioPlayer.script.events
+            .filter(event => event.type !== 'sensor_fault')
+            .map(event => event.sensor))];
+        this.startFault(CONFIG.SCENARIOS.SCRIPTED, null, sensors);
+    }
+
     startRandomScenario() {
-        const scenarios = [
-            CONFIG.SCENARIOS.POWER_SAG,
-            CONFIG.SCENARIOS.PRESSURE_DRIFT,
-            CONFIG.SCENARIOS.OVERHEAT
-        ];
-        const scenario = scenarios[Math.floor(Math.random() * scenarios.length)];
+        this.startFault(this.pickFaultType(this.scenarioTypes), null);
+    }
 
-        this.activeScenario = {
-            type: scenario,
-            active: true,
+    // cause: type of the fault that triggered this one (null for independent faults)
+    startFault(type, cause, sensors = [CONFIG.FAULTS.SENSORS[type]]) {
+        const fault = {
+            id: `${type}-${++this.faultCount}`,
+            type,
+            cause,
+            sensors,
+            restoredSensors: [],
+            // Plant settings when the fault began, to judge whether the operator has responded
+            baseline: { cooling: this.cooling, setpoint: this.hydraulics.setpoint, source: this.power.source },
+            startedAt: this.clock.now(),
             tickCount: 0
         };
+        this.activeFaults.push(fault);
 
-        console.log(`🚨 Scenario started: ${scenario}`);
+        console.log(cause
+            ? `🚨 Fault started: ${type} (caused by ${cause})`
+            : `🚨 Scenario started: ${type}`);
+        return fault;
     }
-    
-    updateSensors() {
-        // NEVER skip sensor updates - even when paused, we want to see current values
 
-        const scenario = this.activeScenario.active ? this.activeScenario.type : null;
+    updateSensors(dt) {
+        // NEVER skip sensor updates - even when paused, we want to see current values
 
-        // === BATTERY RECHARGING ===
-        // The inactive battery slowly recharges
-        if (this.backupPower) {
-            // Main battery is inactive, recharge it
-            if (this.mainBatteryLevel < 100) {
-                this.mainBatteryLevel = Math.min(100, this.mainBatteryLevel + this.batteryRechargeRate);
-            }
+        const activeTypes = new Set(this.activeFaults.map(fault => fault.type));
+
+        // === SCRIPTED ===
+        // Noise is drawn afresh every tick; only steps and ramps move the lasting disturbance
+        this.hydraulics.noiseOffset = 0;
+        this.power.noiseOffset = 0;
+        if (activeTypes.has(CONFIG.SCENARIOS.SCRIPTED)) {
+            this.scenarioPlayer.apply(
+                (sensor, delta, kind) => this.perturbSensor(sensor, delta, kind),
+                this.clock.now(),
+                this.random,
+                (spec) => this.injectSensorFault(spec, 'script')
+            );
         } else {
-            // Backup battery is inactive, recharge it
-            if (this.backupBatteryLevel < 100) {
-                this.backupBatteryLevel = Math.min(100, this.backupBatteryLevel + this.batteryRechargeRate);
-            }
+            this.hydraulics.disturbance = 0;
+            this.power.disturbance = 0;
         }
 
         // === POWER ===
-        if (scenario === CONFIG.SCENARIOS.POWER_SAG) {
-            // Scenario: power drops - affects the currently connected battery
-            const drop = Math.random() * 4 + 2;
-            this.sensors.power -= drop;
-
-            // Battery drain affects the active battery
-            const batteryDrain = Math.random() * 8 + 5; // 5-13% per tick
-            if (this.backupPower) {
-                this.backupBatteryLevel = Math.max(0, this.backupBatteryLevel - batteryDrain);
-                console.log(`⚡ Power sag: -${drop.toFixed(1)} kW → ${this.sensors.power.toFixed(1)} kW | Backup battery: ${this.backupBatteryLevel.toFixed(0)}%`);
-            } else {
-                this.mainBatteryLevel = Math.max(0, this.mainBatteryLevel - batteryDrain);
-                console.log(`⚡ Power sag: -${drop.toFixed(1)} kW → ${this.sensors.power.toFixed(1)} kW | Main battery: ${this.mainBatteryLevel.toFixed(0)}%`);
-            }
+        // Sag: the main feed loses capacity while the fault lasts; the batteries bridge what they can
+        const power = this.power;
+        power.sag = activeTypes.has(CONFIG.SCENARIOS.POWER_SAG)
+            ? Math.min(CONFIG.POWER.SAG_DEPTH, power.sag + CONFIG.POWER.SAG_RATE * dt)
+            : 0;
+
+        this.sensors.power = power.step(dt, this.getDutyCycle());
+        if (power.sag > 0 || power.source === CONFIG.POWER.SOURCES.BACKUP) {
+            const battery = power.batteries[power.source];
+            console.log(`⚡ Power: ${power.source} supplying ${this.sensors.power.toFixed(1)} kW (main feed ${power.getMainFeed().toFixed(1)} kW, generator ${power.generator.state}) | ${power.source === CONFIG.POWER.SOURCES.MAIN ? 'Main' : 'Backup'} battery: ${battery.level.toFixed(0)}%`);
         }
 
         // === PRESSURE ===
-        if (scenario === CONFIG.SCENARIOS.PRESSURE_DRIFT) {
-            // Scenario: pressure drops
-            const drop = Math.random() * 3 + 2;
-            this.sensors.pressure -= drop;
-            console.log(`💨 Pressure drift: -${drop.toFixed(1)} bar → ${this.sensors.pressure.toFixed(1)} bar`);           
+        // Drift: a seal leak grows while the fault lasts. Over-pressure: a sticking regulator
+        // pushes the loop above its setpoint. Both vanish the moment the fault is repaired.
+        const hydraulics = this.hydraulics;
+        hydraulics.leak = activeTypes.has(CONFIG.SCENARIOS.PRESSURE_DRIFT)
+            ? Math.min(CONFIG.HYDRAULICS.LEAK_MAX, hydraulics.leak + CONFIG.HYDRAULICS.LEAK_RATE * dt)
+            : 0;
+        hydraulics.regulatorBias = activeTypes.has(CONFIG.SCENARIOS.OVER_PRESSURE)
+            ? Math.min(CONFIG.HYDRAULICS.OVER_PRESSURE_BIAS, hydraulics.regulatorBias + CONFIG.HYDRAULICS.BIAS_RATE * dt)
+            : 0;
+
+        this.sensors.pressure = hydraulics.step(this.sensors.pressure, dt, this.getPumpFactor());
+        if (hydraulics.leak > 0 || hydraulics.regulatorBias > 0) {
+            console.log(`💨 Hydraulics: leak -${hydraulics.leak.toFixed(1)} bar, regulator +${hydraulics.regulatorBias.toFixed(1)} bar → ${this.sensors.pressure.toFixed(1)} bar (setpoint ${hydraulics.setpoint} bar${hydraulics.reliefOpen ? ', relief valve open' : ''})`);
         }
 
         // === TEMPERATURE ===
-        if (scenario === CONFIG.SCENARIOS.OVERHEAT) {
-            // Scenario: temperature rises
-            const rise = Math.random() * 2 + 2; // 2-4°C per tick
-            this.sensors.temperature += rise;
-            console.log(`🌡️ Overheat: +${rise.toFixed(1)}°C → ${this.sensors.temperature.toFixed(1)}°C`);
-       }
+        // Overheat: fault heat builds up while the fault lasts and bleeds away after it
+        const heatTarget = activeTypes.has(CONFIG.SCENARIOS.OVERHEAT) ? CONFIG.THERMAL.OVERHEAT_HEAT_LOAD : 0;
+        const heatChange = CONFIG.THERMAL.OVERHEAT_HEAT_RAMP * dt;
+        this.overheatHeat = heatTarget > this.overheatHeat
+            ? Math.min(heatTarget, this.overheatHeat + heatChange)
+            : Math.max(heatTarget, this.overheatHeat - heatChange);
+
+        this.sensors.temperature = this.thermalModel.step(this.sensors.temperature, dt, this.getThermalInputs());
+        if (this.overheatHeat > 0) {
+            console.log(`🌡️ Overheat: +${this.overheatHeat.toFixed(1)} kW fault heat → ${this.sensors.temperature.toFixed(1)}°C (settling at ${this.thermalModel.getSteadyState(this.getThermalInputs()).toFixed(1)}°C with ${this.cooling}% cooling)`);
+        }
+
         // Normal: fluctuate ±1 kW (max 2 kW total)
-        this.sensors.power += (Math.random() - 0.5) * 2;
+        this.sensors.power += this.random.range(-1, 1);
         // Normal: fluctuate ±0.5°C (max 1°C total)
-        this.sensors.temperature += (Math.random() - 0.5) * 1;
+        this.sensors.temperature += this.random.range(-0.5, 0.5);
         // Normal: fluctuate ±1 bar (max 2 bar total)
-        this.sensors.pressure += (Math.random() - 0.5) * 2;
+        this.sensors.pressure += this.random.range(-1, 1);
         // Clamp to hardware limits
         this.sensors.power = Math.max(0, Math.min(100, this.sensors.power));
         this.sensors.pressure = Math.max(100, Math.min(200, this.sensors.pressure));
@@ -215,80 +437,78 @@ class FactorySimulation {
         // Debug log
 
 
-        console.log(`📊 Sensors: P=${this.sensors.power.toFixed(1)}kW, Pr=${this.sensors.pressure.toFixed(1)}bar, T=${this.sensors.temperature.toFixed(1)}°C | scenario=${scenario || 'none'}`);
+        console.log(`📊 Sensors: P=${this.sensors.power.toFixed(1)}kW, Pr=${this.sensors.pressure.toFixed(1)}bar, T=${this.sensors.temperature.toFixed(1)}°C | faults=${[...activeTypes].join('+') || 'none'}`);
     }
 
-    endScenario() {
-        console.log(`✅ Scenario ended: ${this.activeScenario.type}`);
-        // Just use endScenarioAndScheduleNext for consistent behavior
-        this.endScenarioAndScheduleNext();
-    }
-
-    calculateStability() {
-        let score = 100;
-
-        // Check each sensor for warnings and criticals
-        const powerStatus = this.getSensorStatus('power');
-        const pressureStatus = this.getSensorStatus('pressure');
-        const tempStatus = this.getSensorStatus('temperature');
+    calculateStability(dt) {
+        const statuses = {};
+        ['power', 'pressure', 'temperature'].forEach(sensor => {
+            statuses[sensor] = this.getSensorStatus(sensor);
+        });
 
-        // Apply penalties
-        if (powerStatus === 'warning' || pressureStatus === 'warning' || tempStatus === 'warning') {
-            score -= CONFIG.STABILITY.PENALTY_WARNING;
-        }
-        if (powerStatus === 'critical' || pressureStatus === 'critical' || tempStatus === 'critical') {
-            score -= CONFIG.STABILITY.PENALTY_CRITICAL;
-        }
+        // Trends compare against the previous tick (the first tick after startup has none)
+        const previous = this.sensorHistory.length >= 2 ? this.sensorHistory[this.sensorHistory.length - 1] : null;
 
-        // Check for worsening trends
-        if (this.sensorHistory.length >= 2) {
-            const prev = this.sensorHistory[this.sensorHistory.length - 1];
-            const powerTrend = this.sensors.power - prev.power;
-            const pressureTrend = this.sensors.pressure - prev.pressure;
-            const tempTrend = this.sensors.temperature - prev.temperature;
+        this.stability = this.stabilityEngine.update({
+            readings: this.readings,
+            previous,
+            statuses,
+            dt
+        });
+    }
 
-            if ((powerTrend < 0 && this.sensors.power < CONFIG.SENSORS.POWER.NOMINAL_MIN) ||
-                (pressureTrend < 0 && this.sensors.pressure < CONFIG.SENSORS.PRESSURE.NOMINAL_MIN) ||
-                (tempTrend > 0 && this.sensors.temperature > CONFIG.SENSORS.TEMPERATURE.NOMINAL_MAX)) {
-                score -= CONFIG.STABILITY.PENALTY_TREND;
-            }
-        }
+    // Status of what the instrument reports: normal, warning, critical, or fault when there is no
+    // reading (debounced - see js/sensor-classifier.js)
+    getSensorStatus(sensorName) {
+        return this.sensorClassifier.getStatus(sensorName);
+    }
 
-        this.stability = Math.max(0, Math.min(100, score));
+    updateState(now) {
+        this.stateMachine.evaluate(this.stability, now);
     }
 
-    getSensorStatus(sensorName) {
-        const value = this.sensors[sensorName];
-        const config = CONFIG.SENSORS[sensorName.toUpperCase()];
-
-        if (sensorName === 'temperature') {
-            // Temperature: only check HIGH (overheating)
-            if (value >= config.CRITICAL_THRESHOLD) return 'critical';
-            if (value >= config.WARNING_THRESHOLD) return 'warning';
-            return 'normal';
-        } else {
-            // Power & Pressure: only check LOW (drops)
-            if (value <= config.CRITICAL_LOW) return 'critical';
-            if (value <= config.WARNING_LOW) return 'warning';
-            return 'normal';
-        }
+    // What the state machine's guards need to know about the line
+    getTransitionContext() {
+        const remaining = this.maintenance && this.maintenance.status === 'in_progress'
+            ? (this.maintenance.endsAt - this.clock.now()) / 1000
+            : 0;
+        return {
+            criticalSensors: ['power', 'pressure', 'temperature'].filter(sensor => this.getSensorStatus(sensor) === 'critical'),
+            maintenanceRemaining: remaining
+        };
     }
 
-    updateState() {
-        if (this.state === CONFIG.STATES.PAUSED) {
-            return; // Don't auto-change from paused
-        }
+    updateAlarms(now) {
+        const suppressed = CONFIG.ALARMS.SUPPRESS_STATES.includes(this.state);
+        this.alarms.update(this.getAlarmContext(), now, suppressed);
+    }
 
-        if (this.stability >= CONFIG.STABILITY.THRESHOLD_NORMAL) {
-            this.state = CONFIG.STATES.NORMAL;
-            this.stableTickCount++;
-        } else if (this.stability >= CONFIG.STABILITY.THRESHOLD_DEGRADED) {
-            this.state = CONFIG.STATES.DEGRADED;
-            this.stableTickCount = 0;
-        } else {
-            this.state = CONFIG.STATES.CRITICAL;
-            this.stableTickCount = 0;
-        }
+    // Plant values the alarm points are written against
+    getAlarmContext() {
+        const channels = this.sensorLayer.getChannelSnapshot();
+        const statuses = this.sensorClassifier.getSnapshot();
+        const components = Object.values(this.equipment.components);
+        return {
+            state: this.state,
+            power: this.readings.power,
+            pressure: this.readings.pressure,
+            temperature: this.readings.temperature,
+            powerStatus: statuses.power.status,
+            pressureStatus: statuses.pressure.status,
+            temperatureStatus: statuses.temperature.status,
+            powerSide: statuses.power.side,
+            pressureSide: statuses.pressure.side,
+            temperatureSide: statuses.temperature.side,
+            powerRateAlarm: statuses.power.rateAlarm,
+            pressureRateAlarm: statuses.pressure.rateAlarm,
+            temperatureRateAlarm: statuses.temperature.rateAlarm,
+            powerDiscrepancy: channels.power.discrepancy,
+            pressureDiscrepancy: channels.pressure.discrepancy,
+            temperatureDiscrepancy: channels.temperature.discrepancy,
+            powerSource: this.power.source,
+            backupBatteryLevel: this.power.batteries.backup.level,
+            equipmentHealth: Math.min(...components.map(component => component.health))
+        };
     }
 
     checkAutoStop() {
@@ -298,7 +518,7 @@ class FactorySimulation {
             this.criticalTickCount++;
             if (this.criticalTickCount >= CONFIG.AUTO_STOP.CRITICAL_TICKS) {
                 console.log('⚠️ Auto-stop triggered: Critical for too long');
-                this.pauseLine();
+                this.stopLine(CONFIG.STATES.E_STOP, 'auto-stop: critical for too long');
             }
         } else {
             this.criticalTickCount = 0;
@@ -306,127 +526,376 @@ class FactorySimulation {
     }
 
     emitTelemetry() {
-        const deltas = {
-            powerDelta: this.sensors.power - this.previousSensors.power,
-            pressureDelta: this.sensors.pressure - this.previousSensors.pressure,
-            tempDelta: this.sensors.temperature - this.previousSensors.temperature
-        };
-
-        const telemetry = {
-            timestamp: Date.now(),
-            state: this.state,
-            stability: this.stability,
-            sensors: { ...this.sensors },
-            cooling: this.cooling,
-            backupPower: this.backupPower,
-            mainBatteryLevel: this.mainBatteryLevel,
-            backupBatteryLevel: this.backupBatteryLevel,
-            scenario: {
-                active: this.activeScenario.active,
-                type: this.activeScenario.type
-            },
-            deltas
-        };
-
-        // Dispatch custom event
-        window.dispatchEvent(new CustomEvent('telemetry', { detail: telemetry }));
+        this.emit('telemetry', this.getTelemetrySnapshot());
     }
 
     // Operator Actions - Gradual recovery with realistic timing
 
     switchBackupPower() {
-        this.backupPower = true;
-
-        // When switching to backup, immediately restore main battery to full
-        // (simulates that the offline battery is now at full charge / ready for next use)
-        this.mainBatteryLevel = 100;
+        if (!this.power.switchTo(CONFIG.POWER.SOURCES.BACKUP)) {
+            console.log('🔋 Already on backup power');
+            return { success: false, message: 'Already on backup power' };
+        }
 
-        console.log('🔋 Backup power activated - main battery reset to 100%, restoring power in 2s...');
+        const battery = this.power.batteries.backup.level;
+        console.log(`🔋 Transferred to backup power - generator starting, backup battery (${battery.toFixed(0)}%) carrying the line`);
+        return {
+            success: true,
+            message: `Backup power activated - generator starting in ${CONFIG.POWER.GENERATOR.START_DELAY}s, backup battery at ${battery.toFixed(0)}%`
+        };
+    }
 
-        // 2 second delay then restore power
-        setTimeout(() => {
-            this.sensors.power = 42; // Nominal power ~42 kW (above 38 warning)
-            this.endScenarioAndScheduleNext();
-            console.log(`🔋 Power restored to 42 kW`);
-        }, 2000);
+    switchMainPower() {
+        if (!this.power.switchTo(CONFIG.POWER.SOURCES.MAIN)) {
+            console.log('🔌 Already on main power');
+            return { success: false, message: 'Already on main power' };
+        }
 
-        return { success: true, message: 'Backup power activated' };
+        const feed = this.power.getMainFeed();
+        console.log(`🔌 Transferred back to main power - main feed ${feed.toFixed(1)} kW, generator stopped`);
+        return { success: true, message: `Main power restored - main feed at ${feed.toFixed(0)} kW` };
     }
 
     increasePressure() {
-        console.log('📈 Increasing pressure - restoring over 5s...');
-        this.gradualRestore('pressure', 5000);
-        return { success: true, message: 'Increasing pressure...' };
+        return this.adjustPressureSetpoint(CONFIG.SENSORS.PRESSURE.ADJUSTMENT_STEP);
     }
 
     decreasePressure() {
-        console.log('📉 Decreasing pressure - restoring over 5s...');
-        this.gradualRestore('pressure', 5000);
-        return { success: true, message: 'Decreasing pressure...' };
+        return this.adjustPressureSetpoint(-CONFIG.SENSORS.PRESSURE.ADJUSTMENT_STEP);
+    }
+
+    // Setpoint steps take effect through the pump loop, overshoot included
+    adjustPressureSetpoint(delta) {
+        const direction = delta > 0 ? 'raised' : 'lowered';
+        if (!this.hydraulics.adjustSetpoint(delta)) {
+            const limit = delta > 0 ? 'maximum' : 'minimum';
+            console.log(`💨 Pressure setpoint already at ${limit} (${this.hydraulics.setpoint} bar)`);
+            return { success: false, message: `Pressure setpoint already at ${limit} (${this.hydraulics.setpoint} bar)` };
+        }
+
+        console.log(`${delta > 0 ? '📈' : '📉'} Pressure setpoint ${direction} to ${this.hydraulics.setpoint} bar`);
+        return { success: true, message: `Pressure setpoint ${direction} to ${this.hydraulics.setpoint} bar` };
     }
 
     increaseCooling() {
-        console.log('❄️ Increasing cooling - temperature dropping over 10s...');
-        this.gradualRestore('temperature', 10000);
-        return { success: true, message: 'Cooling system engaged...' };
+        if (this.cooling >= CONFIG.COOLING.MAX) {
+            console.log('❄️ Cooling already at maximum');
+            return { success: false, message: `Cooling already at maximum (${CONFIG.COOLING.MAX}%)` };
+        }
+
+        this.cooling = Math.min(CONFIG.COOLING.MAX, this.cooling + CONFIG.COOLING.INCREMENT);
+        const settling = this.thermalModel.getSteadyState(this.getThermalInputs());
+        console.log(`❄️ Cooling increased to ${this.cooling}% - oil settling toward ${settling.toFixed(1)}°C`);
+        return {
+            success: true,
+            message: `Cooling increased to ${this.cooling}% - oil temperature settling toward ${settling.toFixed(0)}°C`
+        };
+    }
+
+    // Services every component below the service threshold. The crew waits for active faults
+    // to clear, then takes the line down for the maintenance window.
+    scheduleMaintenance() {
+        if (this.maintenance) {
+            const status = this.maintenance.status === 'pending' ? 'already scheduled' : 'already in progress';
+            return { success: false, message: `Maintenance ${status} (${this.maintenance.components.join(', ')})` };
+        }
+
+        const components = this.equipment.getServiceList();
+        if (components.length === 0) {
+            console.log('🛠️ No equipment due for service');
+            return { success: false, message: `No equipment below ${CONFIG.EQUIPMENT.SERVICE_THRESHOLD}% health - nothing to service` };
+        }
+
+        this.maintenance = { components, status: 'pending', endsAt: null, returnTo: null };
+        const when = this.activeFaults.length > 0 ? 'once active faults are cleared' : 'now';
+        console.log(`🛠️ Maintenance scheduled for ${components.join(', ')} - starting ${when}`);
+        return {
+            success: true,
+            message: `Maintenance scheduled for ${components.join(', ')} - line stops for ${CONFIG.EQUIPMENT.MAINTENANCE_DURATION / 1000}s ${when}`
+        };
     }
 
-    // Gradual restore helper - smoothly returns sensor to nominal over duration
-    gradualRestore(sensorType, duration) {
-        const steps = 10;
-        const interval = duration / steps;
-        let step = 0;
+    checkMaintenance() {
+        if (!this.maintenance || this.maintenance.status !== 'pending' || this.activeFaults.length > 0) return;
 
-        const startValue = this.sensors[sensorType];
-        let targetValue;
+        this.maintenance.status = 'in_progress';
+        this.maintenance.endsAt = this.clock.now() + CONFIG.EQUIPMENT.MAINTENANCE_DURATION;
+        // A line that was already stopped (paused, or E-stopped) goes back to that state afterwards
+        this.maintenance.returnTo = this.stateMachine.isStopped() ? this.state : null;
+        this.stopLine(CONFIG.STATES.MAINTENANCE, `maintenance started: ${this.maintenance.components.join(', ')}`);
+        console.log(`🛠️ Maintenance started: ${this.maintenance.components.join(', ')}`);
+
+        this.clock.setTimeout(() => this.completeMaintenance(), CONFIG.EQUIPMENT.MAINTENANCE_DURATION);
+    }
 
-        // Hardcoded nominal values (above warning thresholds)
-        if (sensorType === 'pressure') {
-            targetValue = 140; // Nominal ~140 bar (above 135 warning)
-        } else if (sensorType === 'temperature') {
-            targetValue = 70; // Nominal ~70°C (below 75 warning)
-        } else if (sensorType === 'power') {
-            targetValue = 42; // Nominal ~42 kW (above 38 warning)
+    completeMaintenance() {
+        const { components, returnTo } = this.maintenance;
+        this.equipment.service(components, this.clock.now());
+        this.maintenance = null;
+        console.log(`🛠️ Maintenance complete: ${components.join(', ')} restored to 100%`);
+        if (returnTo) {
+            this.stateMachine.transition(returnTo, `maintenance complete - back to ${returnTo} as before`, this.clock.now());
+            return;
+        }
+        // Sensors still critical keep the line stopped - it waits, paused, for the operator
+        const result = this.resumeLine('maintenance complete');
+        if (!result.success) {
+            this.stateMachine.transition(CONFIG.STATES.PAUSED, `maintenance complete - ${result.message.toLowerCase()}`, this.clock.now());
         }
+    }
 
-        const stepChange = (targetValue - startValue) / steps;
+    // Robot duty cycle drives the welding heat load (and later, wear and output)
+    getDutyCycle() {
+        switch (this.state) {
+            case CONFIG.STATES.DEGRADED:
+                return CONFIG.ROBOT.SPEED_DEGRADED;
+            case CONFIG.STATES.CRITICAL:
+                return CONFIG.ROBOT.SPEED_CRITICAL;
+            case CONFIG.STATES.PAUSED:
+                return CONFIG.ROBOT.SPEED_PAUSED;
+            case CONFIG.STATES.E_STOP:
+                return CONFIG.ROBOT.SPEED_E_STOP;
+            case CONFIG.STATES.MAINTENANCE:
+                return CONFIG.ROBOT.SPEED_MAINTENANCE;
+            case CONFIG.STATES.STARTING:
+                return CONFIG.ROBOT.SPEED_STARTING;
+            default:
+                return CONFIG.ROBOT.SPEED_NORMAL;
+        }
+    }
 
-        const restoreInterval = setInterval(() => {
-            step++;
-            this.sensors[sensorType] += stepChange;
-            console.log(`🔧 ${sensorType}: ${this.sensors[sensorType].toFixed(1)} (step ${step}/${steps})`);
+    // A sagging supply slows the cooling and hydraulic pumps
+    getPumpFactor() {
+        return Math.max(
+            CONFIG.PUMPS.MIN_SPEED_FACTOR,
+            Math.min(1, this.sensors.power / CONFIG.PUMPS.RATED_POWER)
+        );
+    }
 
-            if (step >= steps) {
-                clearInterval(restoreInterval);
-                this.sensors[sensorType] = targetValue; // Ensure exact value
-                this.endScenarioAndScheduleNext();
-                console.log(`✅ ${sensorType} restored to ${targetValue.toFixed(1)}`);
-            }
-        }, interval);
+    // The robot picked up a part - called by the 3D scene, or synthesized when headless
+    recordPartStarted() {
+        this.production.startPart();
     }
 
-    // End current scenario, reset state, and schedule next scenario after delay
-    endScenarioAndScheduleNext() {
-        // End the active scenario
-        this.activeScenario = {
-            type: CONFIG.SCENARIOS.NONE,
-            active: false,
-            tickCount: 0,
-            duration: 0
+    // One completed weld - called by the 3D scene, or synthesized from the duty cycle when headless
+    recordRobotCycle(at = this.clock.now()) {
+        this.production.completePart(at, {
+            pressure: this.sensors.pressure,
+            power: this.sensors.power,
+            temperature: this.sensors.temperature,
+            tipHealth: this.equipment.components.weldingTip.health
+        }, this.qualityRandom);
+        this.equipment.recordCycle(this.sensors.temperature);
+    }
+
+    // Why the robot isn't welding right now (null while it is)
+    getDowntimeCause() {
+        if (this.stateMachine.isStopped()) {
+            return this.state;
+        }
+        if (this.getDutyCycle() === 0) {
+            return this.activeFaults.length > 0 ? this.activeFaults[0].type : this.state;
+        }
+        return null;
+    }
+
+    updateProduction(dt) {
+        this.production.recordTime(dt, this.getDowntimeCause());
+
+        if (this.robotCycleSource !== 'simulated') return;
+
+        const duty = this.getDutyCycle();
+        if (duty === 0) return;
+
+        // Place each synthesized weld at the moment within the tick it would have finished
+        const secondsPerPart = CONFIG.PRODUCTION.IDEAL_CYCLE_TIME / duty;
+        const tickStart = this.clock.now() - dt * 1000;
+        let finishesIn = (1 - this.cycleProgress) * secondsPerPart;
+
+        this.recordPartStarted();
+        while (finishesIn <= dt) {
+            this.recordRobotCycle(tickStart + finishesIn * 1000);
+            this.recordPartStarted();
+            finishesIn += secondsPerPart;
+        }
+        this.cycleProgress = 1 - (finishesIn - dt) / secondsPerPart;
+    }
+
+    updateEquipment(dt) {
+        const batteries = ['main', 'backup'].map(name => ({
+            ...this.power.batteries[name],
+            capacity: CONFIG.POWER.BATTERIES[name.toUpperCase()].CAPACITY * this.power.capacityFactor
+        }));
+        this.equipment.step(dt, {
+            temperature: this.sensors.temperature,
+            pressure: this.sensors.pressure,
+            reliefOpen: this.hydraulics.reliefOpen,
+            pumpFactor: this.getPumpFactor(),
+            cooling: this.cooling,
+            batteries
+        });
+        this.power.capacityFactor = this.equipment.getCellCapacityFactor();
+    }
+
+    getThermalInputs() {
+        return {
+            dutyCycle: this.getDutyCycle(),
+            cooling: this.cooling,
+            pumpFactor: this.getPumpFactor(),
+            faultHeat: this.overheatHeat
         };
+    }
 
-        // Reset everything to normal
-        this.backupPower = false;
-        this.cooling = CONFIG.COOLING.DEFAULT;
-        this.state = CONFIG.STATES.NORMAL;
+    // Scenario scripts perturb pressure through the hydraulic loop so the regulator can't simply
+    // cancel them out, and power through the main feed; temperature takes the change directly
+    perturbSensor(sensor, delta, kind) {
+        const field = kind === 'noise' ? 'noiseOffset' : 'disturbance';
+        if (sensor === 'pressure') {
+            this.hydraulics[field] += delta;
+        } else if (sensor === 'power') {
+            this.power[field] += delta;
+        } else {
+            this.sensors[sensor] += delta;
+        }
+    }
+
+    // Read and vote the instruments; tell listeners when a measurement's channels start or stop disagreeing
+    updateReadings(now) {
+        const before = this.sensorLayer.getChannelSnapshot();
+        this.readings = this.sensorLayer.read(this.sensors, now);
+        this.sensorClassifier.update(this.readings, now);
+        const after = this.sensorLayer.getChannelSnapshot();
+
+        Object.keys(after).forEach(sensor => {
+            if (after[sensor].discrepancy !== before[sensor].discrepancy) {
+                this.emit('sensorDiscrepancy', { sensor, timestamp: now, ...after[sensor] });
+            }
+        });
+    }
+
+    // Break an instrument (see CONFIG.SENSOR_FAULTS); the process itself is unaffected
+    injectSensorFault(spec, source = 'debug') {
+        try {
+            const fault = this.sensorLayer.inject(spec, this.clock.now(), source);
+            return { success: true, message: `${this.sensorLayer.describe(fault)} ${fault.fault} fault injected`, fault };
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            return { success: false, message: error.message };
+        }
+    }
+
+    // Clear one instrument fault by id, or every one matching { sensor, source } (all when omitted)
+    clearSensorFaults(filter = {}) {
+        const count = this.sensorLayer.clear(filter);
+        return { success: count > 0, message: count > 0 ? `Cleared ${count} sensor fault${count === 1 ? '' : 's'}` : 'No matching sensor faults' };
+    }
+
+    getReadingDelta(sensor) {
+        const current = this.readings[sensor];
+        const previous = this.previousReadings[sensor];
+        return current === null || previous === null ? null : current - previous;
+    }
+
+    // Has the operator changed the plant since the fault began in a way that counters it?
+    // (the automatic transfer switch counts as a response for power)
+    hasOperatorResponded(fault, sensor) {
+        const { cooling, setpoint, source } = fault.baseline;
+        switch (sensor) {
+            case 'power':
+                if (fault.type === CONFIG.SCENARIOS.POWER_SAG) return this.power.source === CONFIG.POWER.SOURCES.BACKUP;
+                return this.power.source !== source;
+            case 'temperature':
+                return this.cooling > cooling || this.cooling === CONFIG.COOLING.MAX;
+            case 'pressure':
+                if (fault.type === CONFIG.SCENARIOS.PRESSURE_DRIFT) return this.hydraulics.setpoint > setpoint;
+                if (fault.type === CONFIG.SCENARIOS.OVER_PRESSURE) return this.hydraulics.setpoint < setpoint;
+                return this.hydraulics.setpoint !== setpoint;
+            default:
+                return false;
+        }
+    }
+
+    checkFaultRecovery() {
+        for (const fault of [...this.activeFaults]) {
+            fault.recoveryTicks = fault.recoveryTicks || {};
+
+            for (const sensor of fault.sensors) {
+                const responded = this.hasOperatorResponded(fault, sensor);
+                if (fault.restoredSensors.includes(sensor)) continue;
+
+                const normal = this.getSensorStatus(sensor) === 'normal';
+                fault.recoveryTicks[sensor] = responded && normal ? (fault.recoveryTicks[sensor] || 0) + 1 : 0;
+
+                if (fault.recoveryTicks[sensor] >= CONFIG.FAULTS.RECOVERY_TICKS) {
+                    console.log(`🔧 ${sensor} held normal for ${fault.recoveryTicks[sensor]} ticks after operator response`);
+                    this.restoreSensor(sensor);
+                }
+            }
+        }
+    }
+
+    // A sensor was brought back to nominal - resolve only the faults that were driving it
+    restoreSensor(sensorType) {
+        for (const fault of [...this.activeFaults]) {
+            if (!fault.sensors.includes(sensorType)) continue;
+
+            if (!fault.restoredSensors.includes(sensorType)) {
+                fault.restoredSensors.push(sensorType);
+            }
+            if (fault.sensors.every(sensor => fault.restoredSensors.includes(sensor))) {
+                this.resolveFault(fault.type, `${sensorType} restored`);
+            }
+        }
+    }
+
+    resolveFault(type, reason) {
+        const fault = this.activeFaults.find(f => f.type === type);
+        if (!fault) return;
+
+        this.activeFaults = this.activeFaults.filter(f => f !== fault);
+        this.clearFaultEffects(fault);
+        console.log(`✅ Fault resolved: ${type} (${reason}) - ${this.activeFaults.length} still active`);
+
+        if (this.activeFaults.length === 0) {
+            this.endScenarioAndScheduleNext();
+        }
+    }
+
+    // Undo the operating changes that were only needed while this fault was active
+    clearFaultEffects(fault) {
+        switch (fault.type) {
+            case CONFIG.SCENARIOS.OVERHEAT:
+                this.cooling = CONFIG.COOLING.DEFAULT;
+                break;
+            case CONFIG.SCENARIOS.SCRIPTED:
+                // Close out the script so missed responses are recorded
+                if (this.scenarioPlayer && this.scenarioPlayer.running) {
+                    this.scenarioPlayer.finish(this.clock.now());
+                }
+                // Instruments the script broke are repaired with it
+                this.sensorLayer.clear({ source: 'script' });
+                break;
+        }
+    }
+
+    // Pausing the line halts every fault without resolving it
+    haltFaults() {
+        if (this.scenarioPlayer && this.scenarioPlayer.running) {
+            this.scenarioPlayer.finish(this.clock.now());
+        }
+        this.sensorLayer.clear({ source: 'script' });
+        if (this.activeFaults.length > 0) {
+            console.log(`⏸️ Halted faults: ${this.activeFaults.map(f => f.type).join(', ')}`);
+        }
+        this.activeFaults = [];
+    }
+
+    // All faults resolved - reset state and schedule next scenario after delay
+    endScenarioAndScheduleNext() {
+        this.stateMachine.transition(CONFIG.STATES.NORMAL, 'all faults resolved', this.clock.now());
         this.stability = 100;
-        this.stableTickCount = 0;
         this.criticalTickCount = 0;
-        this.lastScenarioEndTime = Date.now();
-
-        // Reset both batteries to full when system returns to normal
-        this.mainBatteryLevel = 100;
-        this.backupBatteryLevel = 100;
+        this.lastScenarioEndTime = this.clock.now();
 
         // Mark that we're scheduling the next scenario
         this.scenarioScheduled = true;
@@ -434,96 +903,375 @@ class FactorySimulation {
         const delay = CONFIG.SIMULATION.SCENARIO_DELAY;
         console.log(`✅ System restored to NORMAL - next scenario in ${delay/1000}s`);
 
-        // Schedule next random scenario after delay
-        setTimeout(() => {
+        // Schedule next scenario after delay
+        this.clock.setTimeout(() => {
             this.scenarioScheduled = false;
+            // A stopped line picks scenarios back up after it resumes; if no fault starts now,
+            // manageScenarios tries again each tick
+            if (this.stateMachine.isStopped() || !this.shouldStartScenario()) return;
             console.log(`⏰ ${delay/1000}s passed - starting new scenario`);
-            this.startRandomScenario();
+            this.startNextScenario();
         }, delay);
     }
 
+    // Stop the line in a stopped state (PAUSED, E_STOP or MAINTENANCE); every fault is halted
+    stopLine(state, reason) {
+        const result = this.stateMachine.transition(state, reason, this.clock.now());
+        if (result.success) {
+            this.haltFaults();
+            // Stopped while the crew is working, the line stays stopped once they are done
+            if (this.maintenance && this.maintenance.status === 'in_progress' && state !== CONFIG.STATES.MAINTENANCE) {
+                this.maintenance.returnTo = state;
+            }
+        }
+        return result;
+    }
+
     pauseLine() {
-        this.state = CONFIG.STATES.PAUSED;
-        this.activeScenario.active = false; // Halt scenario
+        const result = this.stopLine(CONFIG.STATES.PAUSED, 'operator paused the line');
+        if (!result.success) {
+            console.log(`❌ Cannot pause: ${result.message}`);
+            return { success: false, message: `Cannot pause: ${result.message}` };
+        }
         console.log('⏸️ Production line paused');
         return { success: true, message: 'Production line paused' };
     }
 
-    resumeLine() {
-        // Only resume if currently paused
-        if (this.state !== CONFIG.STATES.PAUSED) {
-            console.log('ℹ️ Line is not paused');
-            return { success: false, message: 'Line is not paused' };
+    // Stops the line from any state; like a pause, only resume_line restarts it
+    emergencyStop() {
+        const result = this.stopLine(CONFIG.STATES.E_STOP, 'operator pressed the emergency stop');
+        if (!result.success) {
+            console.log(`❌ Cannot E-stop: ${result.message}`);
+            return { success: false, message: `Cannot E-stop: ${result.message}` };
         }
+        console.log('🛑 Emergency stop - production line stopped');
+        return { success: true, message: 'Emergency stop - production line stopped' };
+    }
 
-        // Check if sensors are not critical
-        const powerStatus = this.getSensorStatus('power');
-        const pressureStatus = this.getSensorStatus('pressure');
-        const tempStatus = this.getSensorStatus('temperature');
-
-        if (powerStatus === 'critical' || pressureStatus === 'critical' || tempStatus === 'critical') {
-            console.log('❌ Cannot resume: Sensors still critical');
-            return { success: false, message: 'Cannot resume: Sensors still critical' };
+    resumeLine(reason = 'operator resumed the line') {
+        // Only a stopped line can be resumed
+        if (!this.stateMachine.isStopped()) {
+            console.log('ℹ️ Line is not paused');
+            return { success: false, message: 'Line is not paused' };
         }
 
-        // Set state based on current stability (bypass the PAUSED check in updateState)
-        if (this.stability >= CONFIG.STABILITY.THRESHOLD_NORMAL) {
-            this.state = CONFIG.STATES.NORMAL;
-        } else if (this.stability >= CONFIG.STABILITY.THRESHOLD_DEGRADED) {
-            this.state = CONFIG.STATES.DEGRADED;
-        } else {
-            this.state = CONFIG.STATES.CRITICAL;
+        // The state machine's guards hold the line while maintenance runs or sensors are critical
+        const target = LineStateMachine.classify(this.stability);
+        const result = this.stateMachine.transition(target, reason, this.clock.now(), this.getTransitionContext());
+        if (!result.success) {
+            console.log(`❌ Cannot resume: ${result.message}`);
+            return { success: false, message: `Cannot resume: ${result.message}` };
         }
 
-        this.stableTickCount = 0;
         this.criticalTickCount = 0;
-        this.lastScenarioEndTime = Date.now(); // Reset scenario timer
+        this.lastScenarioEndTime = this.clock.now(); // Reset scenario timer
         console.log('▶️ Production line resumed, state:', this.state);
         return { success: true, message: `Production line resumed (${this.state})` };
     }
 
-    executeAction(actionType) {
-        switch (actionType) {
-            case CONFIG.ACTIONS.SWITCH_BACKUP_POWER:
-                return this.switchBackupPower();
-            case CONFIG.ACTIONS.INCREASE_PRESSURE:
-                return this.increasePressure();
-            case CONFIG.ACTIONS.DECREASE_PRESSURE:
-                return this.decreasePressure();
-            case CONFIG.ACTIONS.INCREASE_COOLING:
+    // Every action runs as a tracked job. Jobs in the same group conflict: a power transfer
+    // replaces the one still in progress, pressure steps queue behind the one still settling,
+    // a cooling step replaces the one still settling, and pausing or E-stopping the line cancels both.
+    registerActions() {
+        const { ACTIONS, ACTION_JOBS } = CONFIG;
+        const within = (value, target, tolerance) => value !== null && Math.abs(value - target) <= tolerance;
+        // How much of the gap between where a reading started and its target has closed
+        const closed = (from, value, target) => from === null || value === null || from === target
+            ? undefined
+            : 1 - Math.abs(target - value) / Math.abs(target - from);
+
+        this.actions.define(ACTIONS.SWITCH_BACKUP_POWER, {
+            group: 'power',
+            conflict: 'replace',
+            timeout: ACTION_JOBS.TIMEOUTS.POWER_TRANSFER,
+            start: () => this.switchBackupPower(),
+            progress: () => {
+                if (this.power.source !== CONFIG.POWER.SOURCES.BACKUP) {
+                    return { failed: true, message: 'Line went back to main power before the generator came up' };
+                }
+                return {
+                    progress: this.power.generator.warmup / CONFIG.POWER.GENERATOR.START_DELAY,
+                    done: this.power.generator.state === 'running',
+                    message: 'Backup generator carrying the line'
+                };
+            }
+        });
+        this.actions.define(ACTIONS.SWITCH_MAIN_POWER, {
+            group: 'power',
+            conflict: 'replace',
+            start: () => this.switchMainPower()
+        });
+
+        const pressureStep = (start) => ({
+            group: 'pressure',
+            conflict: 'queue',
+            timeout: ACTION_JOBS.TIMEOUTS.PRESSURE,
+            start: (job) => {
+                job.data.from = this.readings.pressure;
+                return start();
+            },
+            progress: (job) => {
+                const setpoint = this.hydraulics.setpoint;
+                const pressure = this.readings.pressure;
+                return {
+                    progress: closed(job.data.from, pressure, setpoint),
+                    done: within(pressure, setpoint, ACTION_JOBS.PRESSURE_TOLERANCE),
+                    message: `pressure ${pressure === null ? 'no reading' : `${pressure.toFixed(0)} bar`}, setpoint ${setpoint} bar`
+                };
+            }
+        });
+        this.actions.define(ACTIONS.INCREASE_PRESSURE, pressureStep(() => this.increasePressure()));
+        this.actions.define(ACTIONS.DECREASE_PRESSURE, pressureStep(() => this.decreasePressure()));
+
+        this.actions.define(ACTIONS.INCREASE_COOLING, {
+            group: 'cooling',
+            conflict: 'replace',
+            timeout: ACTION_JOBS.TIMEOUTS.COOLING,
+            start: (job) => {
+                job.data.from = this.readings.temperature;
                 return this.increaseCooling();
-            case CONFIG.ACTIONS.PAUSE_LINE:
-                return this.pauseLine();
-            case CONFIG.ACTIONS.RESUME_LINE:
-                return this.resumeLine();
+            },
+            progress: (job) => {
+                const settling = this.thermalModel.getSteadyState(this.getThermalInputs());
+                const temperature = this.readings.temperature;
+                return {
+                    progress: closed(job.data.from, temperature, settling),
+                    done: within(temperature, settling, ACTION_JOBS.TEMPERATURE_TOLERANCE),
+                    message: `oil ${temperature === null ? 'no reading' : `${temperature.toFixed(1)}°C`}, settling toward ${settling.toFixed(1)}°C`
+                };
+            }
+        });
+
+        // One maintenance at a time is enforced by scheduleMaintenance itself
+        this.actions.define(ACTIONS.SCHEDULE_MAINTENANCE, {
+            start: () => this.scheduleMaintenance(),
+            progress: () => {
+                if (!this.maintenance) {
+                    return { done: true, message: 'Maintenance complete' };
+                }
+                if (this.maintenance.status === 'pending') {
+                    return { progress: 0 };
+                }
+                const remaining = (this.maintenance.endsAt - this.clock.now()) / CONFIG.EQUIPMENT.MAINTENANCE_DURATION;
+                return { progress: 1 - remaining };
+            },
+            cancel: () => {
+                if (this.maintenance && this.maintenance.status === 'in_progress') {
+                    return { success: false, message: 'Maintenance already in progress - the crew has to finish' };
+                }
+                this.maintenance = null;
+                console.log('🛠️ Scheduled maintenance withdrawn');
+                return { success: true, message: 'Maintenance withdrawn' };
+            }
+        });
+
+        this.actions.define(ACTIONS.PAUSE_LINE, {
+            start: () => this.pauseLine(),
+            cancels: ['pressure', 'cooling']
+        });
+        this.actions.define(ACTIONS.EMERGENCY_STOP, {
+            start: () => this.emergencyStop(),
+            cancels: ['pressure', 'cooling']
+        });
+        this.actions.define(ACTIONS.RESUME_LINE, {
+            start: () => this.resumeLine()
+        });
+    }
+
+    // Plant values the interlock rules can test
+    getInterlockContext() {
+        return {
+            state: this.state,
+            powerSource: this.power.source,
+            mainFeed: this.power.getMainFeed(),
+            generatorState: this.power.generator.state,
+            mainBatteryLevel: this.power.batteries.main.level,
+            backupBatteryLevel: this.power.batteries.backup.level,
+            power: this.readings.power,
+            pressure: this.readings.pressure,
+            temperature: this.readings.temperature,
+            pressureSetpoint: this.hydraulics.setpoint,
+            cooling: this.cooling,
+            maintenance: this.maintenance ? this.maintenance.status : 'none',
+            activeFaults: this.activeFaults.length
+        };
+    }
+
+    // Would this action be refused right now? ({ allowed, refusals, overridePhrase })
+    checkInterlocks(actionType, override) {
+        return this.interlocks.evaluate(actionType, this.getInterlockContext(), override);
+    }
+
+    onActionJobEvent(type, job) {
+        this.emit(type, job);
+
+        // What happens when the action is requested is logged by executeAction
+        const at = type === 'actionStarted' ? job.startedAt : job.endedAt;
+        if (at === job.requestedAt) return;
+        this.actionLog.record({
+            timestamp: at,
+            source: job.source,
+            action: job.action,
+            step: type === 'actionStarted' ? 'executed' : job.status,
+            message: job.message,
+            jobId: job.id
+        });
+    }
+
+    // options: source ('operator', 'ai', ...), override (the phrase from an interlock refusal),
+    // for cancel_action the jobId to cancel, and for the alarm actions the alarmId ('all' to
+    // acknowledge every alarm) and a shelve duration (s)
+    executeAction(actionType, options = {}) {
+        // Scripted drills score every operator action against their expected responses
+        if (this.scenarioPlayer && this.scenarioPlayer.running) {
+            this.scenarioPlayer.recordAction(actionType, this.clock.now());
+        }
+
+        const result = this.runAction(actionType, options);
+        let step = result.success ? 'executed' : 'failed';
+        if (result.refusals) step = 'refused';
+        if (result.job && result.job.status === 'queued') step = 'queued';
+        this.actionLog.record({
+            timestamp: this.clock.now(),
+            source: options.source || 'operator',
+            action: actionType,
+            step,
+            message: result.message,
+            jobId: result.job ? result.job.id : null
+        });
+        return result;
+    }
+
+    runAction(actionType, options) {
+        // Whatever the AI is told it can call, some actions stay with the operator
+        if (options.source === 'ai' && CONFIG.AI.OPERATOR_ONLY.includes(actionType)) {
+            console.log(`🔒 ${actionType} refused - the AI can't run it`);
+            return { success: false, message: `${actionType} is for the operator only` };
+        }
+        if (actionType === CONFIG.ACTIONS.CANCEL_ACTION) {
+            return this.cancelAction(options.jobId);
+        }
+        if ([CONFIG.ACTIONS.ACKNOWLEDGE_ALARM, CONFIG.ACTIONS.SHELVE_ALARM, CONFIG.ACTIONS.UNSHELVE_ALARM].includes(actionType)) {
+            return this.runAlarmAction(actionType, options);
+        }
+
+        const interlock = this.checkInterlocks(actionType, options.override);
+        if (!interlock.allowed) {
+            const message = `Interlock: ${Interlocks.describe(interlock.refusals)}`;
+            const hint = interlock.overridePhrase ? ` - repeat with override "${interlock.overridePhrase}" to proceed anyway` : '';
+            console.log(`🔒 ${actionType} refused - ${message}`);
+            return { success: false, message: `${message}${hint}`, refusals: interlock.refusals, overridePhrase: interlock.overridePhrase };
+        }
+        if (interlock.overridden.length > 0) {
+            console.log(`⚠️ ${actionType} interlock overridden by ${options.source || 'operator'}: ${Interlocks.describe(interlock.overridden)}`);
+        }
+
+        const overridden = interlock.overridden.map(refusal => refusal.rule);
+        const result = this.actions.request(actionType, this.clock.now(), {
+            source: options.source,
+            params: overridden.length > 0 ? { overridden } : {}
+        });
+        return overridden.length > 0
+            ? { ...result, message: `${result.message} (interlock overridden: ${overridden.join(', ')})`, overridden: interlock.overridden }
+            : result;
+    }
+
+    cancelAction(jobId) {
+        if (!jobId) {
+            return { success: false, message: 'No action job specified' };
+        }
+        return this.actions.cancel(jobId, this.clock.now());
+    }
+
+    // Alarm handling isn't a plant command, so it skips the interlocks and job tracking
+    runAlarmAction(actionType, options) {
+        if (!options.alarmId) {
+            return { success: false, message: 'No alarm specified' };
+        }
+        const now = this.clock.now();
+        const by = options.source || 'operator';
+        switch (actionType) {
+            case CONFIG.ACTIONS.ACKNOWLEDGE_ALARM:
+                return this.alarms.acknowledge(options.alarmId, now, by);
+            case CONFIG.ACTIONS.SHELVE_ALARM:
+                return this.alarms.shelve(options.alarmId, now, by, options.duration);
             default:
-                return { success: false, message: 'Unknown action' };
+                return this.alarms.unshelve(options.alarmId, now, `unshelved by ${by}`);
         }
     }
 
+    // The telemetry the AI gets: what the plant's instruments and the operator can see - validated
+    // readings, each channel's reading and health, statuses, setpoints - without the true process
+    // values, the injected instrument faults, the model terms (fault heat, leak, regulator bias) or
+    // a script's name and expected responses, any of which would tell it whether a reading is a bad
+    // sensor or a real upset. Working that out is its job.
+    getAITelemetrySnapshot() {
+        const { instrumentation, thermal, hydraulics, scenario, ...telemetry } = this.getTelemetrySnapshot();
+        return {
+            ...telemetry,
+            scenario: { active: scenario.active, type: scenario.type, script: null },
+            instrumentation: { channels: instrumentation.channels },
+            thermal: { ambient: thermal.ambient, dutyCycle: thermal.dutyCycle, coolingPumpFactor: thermal.coolingPumpFactor },
+            hydraulics: { setpoint: hydraulics.setpoint, pumpFactor: hydraulics.pumpFactor, reliefOpen: hydraulics.reliefOpen }
+        };
+    }
+
     getTelemetrySnapshot() {
         return {
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
+            seed: this.seed,
             state: this.state,
+            stateMachine: this.stateMachine.getSnapshot(this.clock.now()),
             stability: this.stability,
-            sensors: { ...this.sensors },
+            stabilityBreakdown: this.stabilityEngine.getSnapshot(),
+            actions: this.actions.getSnapshot(),
+            alarms: this.alarms.getSnapshot(this.clock.now()),
+            sensors: { ...this.readings },
+            sensorStatus: this.sensorClassifier.getSnapshot(),
+            instrumentation: {
+                processValues: { ...this.sensors },
+                channels: this.sensorLayer.getChannelSnapshot(),
+                faults: this.sensorLayer.getSnapshot()
+            },
             cooling: this.cooling,
-            backupPower: this.backupPower,
-            mainBatteryLevel: this.mainBatteryLevel,
-            backupBatteryLevel: this.backupBatteryLevel,
+            thermal: this.thermalModel.getSnapshot(this.getThermalInputs()),
+            hydraulics: this.hydraulics.getSnapshot(this.getPumpFactor()),
+            powerSystem: this.power.getSnapshot(),
+            backupPower: this.power.source === CONFIG.POWER.SOURCES.BACKUP,
+            mainBatteryLevel: this.power.batteries.main.level,
+            backupBatteryLevel: this.power.batteries.backup.level,
+            production: this.production.getSnapshot(),
+            equipment: {
+                ...this.equipment.getSnapshot(),
+                maintenance: this.maintenance ? { ...this.maintenance, components: [...this.maintenance.components] } : null
+            },
             scenario: {
-                active: this.activeScenario.active,
-                type: this.activeScenario.type
+                active: this.activeFaults.length > 0,
+                type: this.activeFaults.length > 0 ? this.activeFaults[0].type : CONFIG.SCENARIOS.NONE,
+                script: this.scenarioPlayer ? this.scenarioPlayer.getStatus(this.clock.now()) : null
             },
+            faults: this.activeFaults.map(fault => ({
+                id: fault.id,
+                type: fault.type,
+                cause: fault.cause,
+                sensors: [...fault.sensors],
+                startedAt: fault.startedAt,
+                tickCount: fault.tickCount
+            })),
             deltas: {
-                powerDelta: this.sensors.power - this.previousSensors.power,
-                pressureDelta: this.sensors.pressure - this.previousSensors.pressure,
-                tempDelta: this.sensors.temperature - this.previousSensors.temperature
+                powerDelta: this.getReadingDelta('power'),
+                pressureDelta: this.getReadingDelta('pressure'),
+                tempDelta: this.getReadingDelta('temperature')
             }
         };
     }
 }
 
-// Make simulation globally available
-window.FactorySimulation = FactorySimulation;
+// Make simulation globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.FactorySimulation = FactorySimulation;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FactorySimulation;
+}
 
@@ -0,0 +1,193 @@
+/**
+ * Virtual Factory AI Assistant - Stability Engine
+ * Scores line stability (0-100) with a pluggable strategy and explains the score
+ *
+ * A strategy looks at the tick's readings and returns penalty factors
+ * ({ factor, sensors, penalty, detail }); the score is 100 minus their sum. Strategies are
+ * selected with CONFIG.STABILITY.STRATEGY, and new ones can be added with registerStrategy().
+ */
+
+class StabilityEngine {
+    constructor(strategy = CONFIG.STABILITY.STRATEGY) {
+        this.setStrategy(strategy);
+        this.alarmTime = {}; // sensor -> seconds in alarm (decays once it's back to normal)
+        this.lastResult = { strategy: this.strategy, score: 100, factors: [] };
+    }
+
+    static SENSORS = ['power', 'pressure', 'temperature'];
+    static strategies = {};
+
+    // strategy(context, engine) returns the penalty factors for one tick. context holds
+    // readings, previous (last tick's readings, or null), statuses and dt (seconds).
+    static registerStrategy(name, strategy) {
+        if (typeof strategy !== 'function') {
+            throw new Error(`Stability strategy "${name}" must be a function`);
+        }
+        StabilityEngine.strategies[name] = strategy;
+    }
+
+    setStrategy(name) {
+        if (!StabilityEngine.strategies[name]) {
+            throw new Error(`Unknown stability strategy "${name}" (available: ${Object.keys(StabilityEngine.strategies).join(', ')})`);
+        }
+        this.strategy = name;
+    }
+
+    static getWeight(sensor) {
+        return CONFIG.STABILITY.WEIGHTS[sensor.toUpperCase()];
+    }
+
+    // Is the reading outside its nominal band and moving further out?
+    static isWorsening(sensor, value, previous) {
+        if (value === null || previous === null || previous === undefined) return false;
+        const config = CONFIG.SENSORS[sensor.toUpperCase()];
+        const trend = value - previous;
+        if (config.NOMINAL_MIN !== undefined && trend < 0 && value < config.NOMINAL_MIN) return true;
+        if (config.NOMINAL_MAX !== undefined && trend > 0 && value > config.NOMINAL_MAX) return true;
+        return false;
+    }
+
+    // How far a reading is past its warning threshold, in warning-to-critical bands (0 = not past it)
+    static getExcursion(sensor, value) {
+        const config = CONFIG.SENSORS[sensor.toUpperCase()];
+        if (sensor === 'temperature') {
+            return Math.max(0, value - config.WARNING_THRESHOLD) / (config.CRITICAL_THRESHOLD - config.WARNING_THRESHOLD);
+        }
+        let excursion = Math.max(0, config.WARNING_LOW - value) / (config.WARNING_LOW - config.CRITICAL_LOW);
+        if (config.WARNING_HIGH !== undefined) {
+            excursion = Math.max(excursion, Math.max(0, value - config.WARNING_HIGH) / (config.CRITICAL_HIGH - config.WARNING_HIGH));
+        }
+        return excursion;
+    }
+
+    // Base penalty for a sensor's status (no signal counts as a warning - the line can't see it)
+    static getStatusPenalty(status) {
+        if (status === 'critical') return CONFIG.STABILITY.PENALTY_CRITICAL;
+        if (status === 'warning' || status === 'fault') return CONFIG.STABILITY.PENALTY_WARNING;
+        return 0;
+    }
+
+    // Score one tick and remember the breakdown
+    update(context) {
+        // Every strategy can use how long each sensor has been in alarm, so track it regardless
+        const halfLife = CONFIG.STABILITY.TIME_DECAY.HALF_LIFE;
+        StabilityEngine.SENSORS.forEach(sensor => {
+            const time = this.alarmTime[sensor] || 0;
+            this.alarmTime[sensor] = context.statuses[sensor] !== 'normal'
+                ? time + context.dt
+                : time * Math.pow(0.5, context.dt / halfLife);
+        });
+
+        const factors = StabilityEngine.strategies[this.strategy](context, this)
+            .filter(factor => factor.penalty > 0);
+        const penalty = factors.reduce((sum, factor) => sum + factor.penalty, 0);
+
+        this.lastResult = {
+            strategy: this.strategy,
+            score: Math.max(0, Math.min(100, 100 - penalty)),
+            factors
+        };
+        return this.lastResult.score;
+    }
+
+    getSnapshot() {
+        return {
+            strategy: this.lastResult.strategy,
+            score: this.lastResult.score,
+            factors: this.lastResult.factors.map(factor => ({ ...factor, sensors: [...factor.sensors] })),
+            alarmTime: { ...this.alarmTime }
+        };
+    }
+}
+
+// Legacy: flat penalties - one for any warning, one for any critical, one for any worsening trend
+StabilityEngine.registerStrategy('legacy', (context) => {
+    const { PENALTY_WARNING, PENALTY_CRITICAL, PENALTY_TREND } = CONFIG.STABILITY;
+    const sensorsWith = (...statuses) => StabilityEngine.SENSORS.filter(sensor => statuses.includes(context.statuses[sensor]));
+    const factors = [];
+
+    const warnings = sensorsWith('warning', 'fault');
+    if (warnings.length > 0) {
+        factors.push({ factor: 'warning', sensors: warnings, penalty: PENALTY_WARNING, detail: 'any sensor in warning' });
+    }
+    const criticals = sensorsWith('critical');
+    if (criticals.length > 0) {
+        factors.push({ factor: 'critical', sensors: criticals, penalty: PENALTY_CRITICAL, detail: 'any sensor critical' });
+    }
+    const worsening = StabilityEngine.SENSORS.filter(sensor =>
+        context.previous && StabilityEngine.isWorsening(sensor, context.readings[sensor], context.previous[sensor]));
+    if (worsening.length > 0) {
+        factors.push({ factor: 'trend', sensors: worsening, penalty: PENALTY_TREND, detail: 'worsening outside nominal' });
+    }
+    return factors;
+});
+
+// Weighted: every affected sensor adds its own penalty, scaled by its weight
+StabilityEngine.registerStrategy('weighted', (context) => {
+    const factors = [];
+    StabilityEngine.SENSORS.forEach(sensor => {
+        const weight = StabilityEngine.getWeight(sensor);
+        const status = context.statuses[sensor];
+        const penalty = StabilityEngine.getStatusPenalty(status) * weight;
+        if (penalty > 0) {
+            factors.push({ factor: status, sensors: [sensor], penalty, detail: `${status} × weight ${weight}` });
+        }
+        if (context.previous && StabilityEngine.isWorsening(sensor, context.readings[sensor], context.previous[sensor])) {
+            factors.push({ factor: 'trend', sensors: [sensor], penalty: CONFIG.STABILITY.PENALTY_TREND * weight, detail: 'worsening outside nominal' });
+        }
+    });
+    return factors;
+});
+
+// Proportional: the penalty grows with how far each reading is past its warning threshold -
+// a full critical penalty at the critical threshold, up to MAX_MULTIPLIER times that beyond it
+StabilityEngine.registerStrategy('proportional', (context) => {
+    const { PENALTY_CRITICAL, PENALTY_WARNING, PENALTY_TREND, PROPORTIONAL } = CONFIG.STABILITY;
+    const factors = [];
+    StabilityEngine.SENSORS.forEach(sensor => {
+        const weight = StabilityEngine.getWeight(sensor);
+        const value = context.readings[sensor];
+        if (value === null) {
+            factors.push({ factor: 'fault', sensors: [sensor], penalty: PENALTY_WARNING * weight, detail: 'no signal' });
+            return;
+        }
+        const excursion = StabilityEngine.getExcursion(sensor, value);
+        if (excursion > 0) {
+            const penalty = Math.min(PROPORTIONAL.MAX_MULTIPLIER, excursion) * PENALTY_CRITICAL * weight;
+            factors.push({ factor: 'excursion', sensors: [sensor], penalty, detail: `${(excursion * 100).toFixed(0)}% of the way from warning to critical` });
+        }
+        if (context.previous && StabilityEngine.isWorsening(sensor, value, context.previous[sensor])) {
+            factors.push({ factor: 'trend', sensors: [sensor], penalty: PENALTY_TREND * weight, detail: 'worsening outside nominal' });
+        }
+    });
+    return factors;
+});
+
+// Time decay: a sensor's penalty grows the longer it stays in alarm, so a lingering warning
+// eventually costs more than a brief critical. Alarm time bleeds away once it's back to normal.
+StabilityEngine.registerStrategy('time_decay', (context, engine) => {
+    const { PENALTY_TREND, TIME_DECAY } = CONFIG.STABILITY;
+    const factors = [];
+    StabilityEngine.SENSORS.forEach(sensor => {
+        const weight = StabilityEngine.getWeight(sensor);
+        const status = context.statuses[sensor];
+        const base = StabilityEngine.getStatusPenalty(status) * weight;
+        if (base > 0) {
+            const seconds = engine.alarmTime[sensor];
+            const multiplier = Math.min(TIME_DECAY.MAX_MULTIPLIER, 1 + seconds / TIME_DECAY.TIME_CONSTANT);
+            factors.push({ factor: status, sensors: [sensor], penalty: base * multiplier, detail: `${status} for ${Math.round(seconds)}s (×${multiplier.toFixed(1)})` });
+        }
+        if (context.previous && StabilityEngine.isWorsening(sensor, context.readings[sensor], context.previous[sensor])) {
+            factors.push({ factor: 'trend', sensors: [sensor], penalty: PENALTY_TREND * weight, detail: 'worsening outside nominal' });
+        }
+    });
+    return factors;
+});
+
+// Make stability engine globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.StabilityEngine = StabilityEngine;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StabilityEngine;
+}
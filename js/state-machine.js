@@ -0,0 +1,145 @@
+/**
+ * Virtual Factory AI Assistant - Line State Machine
+ * Owns the production line state: which transitions are allowed, what guards them,
+ * and when stability moves the line between its running states
+ *
+ * Running states (STARTING, NORMAL, DEGRADED, CRITICAL) follow the stability score, with a
+ * hysteresis band and a minimum dwell time before the line is considered recovered. Stopped
+ * states (PAUSED, E_STOP, MAINTENANCE) are only left by an explicit command that passes the guards.
+ */
+
+class LineStateMachine {
+    constructor(now, onChange = () => {}) {
+        this.state = CONFIG.STATES.STARTING;
+        this.enteredAt = now;
+        this.startedAt = now;
+        this.lastTransition = null; // { from, to, reason, timestamp }
+        this.onChange = onChange;
+    }
+
+    static RUNNING = ['STARTING', 'NORMAL', 'DEGRADED', 'CRITICAL'];
+    static STOPPED = ['PAUSED', 'E_STOP', 'MAINTENANCE'];
+
+    // Where each state may go next
+    static TRANSITIONS = {
+        STARTING: ['NORMAL', 'DEGRADED', 'CRITICAL', 'PAUSED', 'E_STOP', 'MAINTENANCE'],
+        NORMAL: ['DEGRADED', 'CRITICAL', 'PAUSED', 'E_STOP', 'MAINTENANCE'],
+        DEGRADED: ['NORMAL', 'CRITICAL', 'PAUSED', 'E_STOP', 'MAINTENANCE'],
+        CRITICAL: ['NORMAL', 'DEGRADED', 'PAUSED', 'E_STOP', 'MAINTENANCE'],
+        PAUSED: ['NORMAL', 'DEGRADED', 'CRITICAL', 'E_STOP', 'MAINTENANCE'],
+        E_STOP: ['NORMAL', 'DEGRADED', 'CRITICAL', 'MAINTENANCE'],
+        MAINTENANCE: ['NORMAL', 'DEGRADED', 'CRITICAL', 'PAUSED', 'E_STOP']
+    };
+
+    // Guards veto a transition by returning why it isn't allowed (null lets it through).
+    // context holds criticalSensors (names) and maintenanceRemaining (seconds, 0 if none).
+    static GUARDS = [
+        {
+            from: LineStateMachine.STOPPED,
+            to: ['NORMAL', 'DEGRADED', 'CRITICAL'],
+            check: (context) => context.maintenanceRemaining > 0
+                ? `Maintenance in progress (${Math.ceil(context.maintenanceRemaining)}s left)`
+                : null
+        },
+        {
+            from: LineStateMachine.STOPPED,
+            to: ['NORMAL', 'DEGRADED', 'CRITICAL'],
+            check: (context) => context.criticalSensors.length > 0 ? 'Sensors still critical' : null
+        }
+    ];
+
+    // The running state a stability score calls for, ignoring hysteresis
+    static classify(stability) {
+        if (stability >= CONFIG.STABILITY.THRESHOLD_NORMAL) return CONFIG.STATES.NORMAL;
+        if (stability >= CONFIG.STABILITY.THRESHOLD_DEGRADED) return CONFIG.STATES.DEGRADED;
+        return CONFIG.STATES.CRITICAL;
+    }
+
+    isRunning() {
+        return LineStateMachine.RUNNING.includes(this.state);
+    }
+
+    isStopped() {
+        return LineStateMachine.STOPPED.includes(this.state);
+    }
+
+    // Seconds spent in the current state
+    getDwellTime(now) {
+        return (now - this.enteredAt) / 1000;
+    }
+
+    // Why the line can't move to a state right now (null if it can)
+    check(to, context = { criticalSensors: [], maintenanceRemaining: 0 }) {
+        if (!LineStateMachine.TRANSITIONS[this.state].includes(to)) {
+            return `not allowed from ${this.state}`;
+        }
+        for (const guard of LineStateMachine.GUARDS) {
+            if (!guard.from.includes(this.state) || !guard.to.includes(to)) continue;
+            const reason = guard.check(context);
+            if (reason) return reason;
+        }
+        return null;
+    }
+
+    transition(to, reason, now, context) {
+        if (to === this.state) {
+            return { success: true, message: `Already ${to}` };
+        }
+        const blocked = this.check(to, context);
+        if (blocked) {
+            return { success: false, message: blocked };
+        }
+
+        const change = { from: this.state, to, reason, timestamp: now };
+        this.state = to;
+        this.enteredAt = now;
+        this.lastTransition = change;
+        console.log(`🚦 State ${change.from} → ${change.to} (${reason})`);
+        this.onChange(change);
+        return { success: true, message: `${change.from} → ${to}` };
+    }
+
+    // Move between running states as stability changes. Getting worse takes effect at the
+    // thresholds straight away; getting better needs the score HYSTERESIS points clear of the
+    // threshold and the line to have spent MIN_DWELL seconds in its current state, so a score
+    // hovering on a boundary doesn't flip the state every tick.
+    evaluate(stability, now) {
+        if (this.state === CONFIG.STATES.STARTING) {
+            if (now - this.startedAt >= CONFIG.SIMULATION.STARTUP_STABLE_DURATION) {
+                this.transition(LineStateMachine.classify(stability), 'startup complete', now);
+            }
+            return;
+        }
+        if (!this.isRunning()) return;
+
+        const rank = (state) => LineStateMachine.RUNNING.indexOf(state);
+        const target = LineStateMachine.classify(stability);
+        if (rank(target) > rank(this.state)) {
+            this.transition(target, `stability ${Math.round(stability)} below ${this.state} threshold`, now);
+            return;
+        }
+
+        const { HYSTERESIS, MIN_DWELL } = CONFIG.STATE_MACHINE;
+        const recovered = LineStateMachine.classify(stability - HYSTERESIS);
+        if (rank(recovered) < rank(this.state) && this.getDwellTime(now) >= (MIN_DWELL[this.state] || 0)) {
+            this.transition(recovered, `stability recovered to ${Math.round(stability)}`, now);
+        }
+    }
+
+    getSnapshot(now) {
+        return {
+            state: this.state,
+            since: this.enteredAt,
+            dwellTime: this.getDwellTime(now),
+            lastTransition: this.lastTransition ? { ...this.lastTransition } : null
+        };
+    }
+}
+
+// Make state machine globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.LineStateMachine = LineStateMachine;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineStateMachine;
+}
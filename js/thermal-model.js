@@ -0,0 +1,58 @@
+/**
+ * Virtual Factory AI Assistant - Thermal Model
+ * First-order lumped model of the hydraulic oil temperature
+ *
+ *   C · dT/dt = Q_in − G · (T − T_ambient)
+ *
+ * Q_in is the heat load (welding at the current robot duty cycle, pump/idle losses and any
+ * fault heat) and G is the conductance to ambient: natural losses plus the oil cooler, which
+ * scales with the cooling setting and with how hard the cooling pump can run.
+ */
+
+class ThermalModel {
+    // Heat flowing into the oil (kW)
+    getHeatLoad(dutyCycle, faultHeat = 0) {
+        return CONFIG.THERMAL.IDLE_HEAT_LOAD + CONFIG.THERMAL.WELD_HEAT_LOAD * dutyCycle + faultHeat;
+    }
+
+    // Heat removal per °C above ambient (kW/°C); pumpFactor < 1 when the cooling pump is starved
+    getConductance(cooling, pumpFactor = 1) {
+        const coolerShare = (cooling / 100) * pumpFactor;
+        return CONFIG.THERMAL.AMBIENT_CONDUCTANCE + CONFIG.COOLING.EFFECTIVENESS * coolerShare;
+    }
+
+    // Temperature the oil settles at if nothing changes
+    getSteadyState(inputs) {
+        const heatLoad = this.getHeatLoad(inputs.dutyCycle, inputs.faultHeat);
+        return CONFIG.THERMAL.AMBIENT + heatLoad / this.getConductance(inputs.cooling, inputs.pumpFactor);
+    }
+
+    // Exact solution of the first-order step, stable for any dt
+    step(temperature, dtSeconds, inputs) {
+        const conductance = this.getConductance(inputs.cooling, inputs.pumpFactor);
+        const steadyState = this.getSteadyState(inputs);
+        const timeConstant = CONFIG.THERMAL.THERMAL_MASS / conductance;
+        return steadyState + (temperature - steadyState) * Math.exp(-dtSeconds / timeConstant);
+    }
+
+    getSnapshot(inputs) {
+        const conductance = this.getConductance(inputs.cooling, inputs.pumpFactor);
+        return {
+            ambient: CONFIG.THERMAL.AMBIENT,
+            dutyCycle: inputs.dutyCycle,
+            heatLoad: this.getHeatLoad(inputs.dutyCycle, inputs.faultHeat),
+            faultHeat: inputs.faultHeat,
+            coolingPumpFactor: inputs.pumpFactor,
+            steadyState: this.getSteadyState(inputs),
+            timeConstant: CONFIG.THERMAL.THERMAL_MASS / conductance
+        };
+    }
+}
+
+// Make thermal model globally available (browser) / exportable (Node)
+if (typeof window !== 'undefined') {
+    window.ThermalModel = ThermalModel;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThermalModel;
+}
@@ -0,0 +1,135 @@
+/**
+ * Virtual Factory AI Assistant - Action Manager tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ActionManager } = require('../cli/engine');
+
+// The manager logs each job as it ends
+console.log = () => {};
+
+// A manager whose 'step' actions settle once `plant.settled` is set, and records every event
+function manager(conflict = 'queue') {
+    const events = [];
+    const plant = { settled: false, failing: false };
+    const actions = new ActionManager((type, job) => events.push([type, job.id]));
+    actions.define('step', {
+        group: 'pressure',
+        conflict,
+        timeout: 60,
+        start: () => ({ success: true, message: 'stepped' }),
+        progress: () => plant.failing ? { failed: true, message: 'no effect' } : { progress: 0.5, done: plant.settled }
+    });
+    actions.define('pause', {
+        start: () => ({ success: true, message: 'paused' }),
+        cancels: ['pressure']
+    });
+    actions.define('broken', {
+        start: () => ({ success: false, message: 'not now' })
+    });
+    return { actions, events, plant };
+}
+
+test('an action without progress() completes as soon as it starts', () => {
+    const { actions, events } = manager();
+    const result = actions.request('pause', 0);
+    assert.equal(result.success, true);
+    assert.equal(actions.getJob(result.job.id).status, 'completed');
+    assert.deepEqual(events, [['actionStarted', 'A-1'], ['actionCompleted', 'A-1']]);
+});
+
+test('a job runs until its effect shows', () => {
+    const { actions, plant } = manager();
+    const { job } = actions.request('step', 0);
+    actions.update(6000);
+    assert.deepEqual([actions.getJob(job.id).status, actions.getJob(job.id).progress], ['running', 0.5]);
+    plant.settled = true;
+    actions.update(12000);
+    assert.deepEqual([actions.getJob(job.id).status, actions.getJob(job.id).progress], ['completed', 1]);
+    assert.deepEqual(actions.getSnapshot(), []);
+});
+
+test('a job fails when progress() says so, or when it times out', () => {
+    const { actions, plant } = manager();
+    const first = actions.request('step', 0).job;
+    actions.update(60000);
+    assert.match(actions.getJob(first.id).message, /^Timed out after 60s/);
+
+    const second = actions.request('step', 60000).job;
+    plant.failing = true;
+    actions.update(66000);
+    assert.deepEqual([actions.getJob(second.id).status, actions.getJob(second.id).message], ['failed', 'no effect']);
+});
+
+test('a refused start fails the job and reports why', () => {
+    const { actions } = manager();
+    const result = actions.request('broken', 0);
+    assert.equal(result.success, false);
+    assert.equal(result.message, 'not now');
+    assert.equal(actions.getJob(result.job.id).status, 'failed');
+});
+
+test('queue: the second job waits for the first, then starts', () => {
+    const { actions, plant } = manager('queue');
+    const first = actions.request('step', 0).job;
+    const second = actions.request('step', 1000);
+    assert.equal(second.job.status, 'queued');
+    assert.equal(second.message, `Queued behind ${first.id} (step)`);
+
+    plant.settled = true;
+    actions.update(6000);
+    assert.equal(actions.getJob(first.id).status, 'completed');
+    assert.equal(actions.getJob(second.job.id).status, 'running');
+});
+
+test('replace: the new job takes over and the old one is cancelled', () => {
+    const { actions } = manager('replace');
+    const first = actions.request('step', 0).job;
+    const second = actions.request('step', 1000).job;
+    assert.deepEqual([actions.getJob(first.id).status, actions.getJob(first.id).message], ['cancelled', `Replaced by ${second.id}`]);
+    assert.equal(actions.getJob(second.id).status, 'running');
+});
+
+test('reject: the new job fails while one is in flight', () => {
+    const { actions } = manager('reject');
+    const first = actions.request('step', 0).job;
+    const second = actions.request('step', 1000);
+    assert.equal(second.success, false);
+    assert.equal(second.message, `step already in progress (${first.id})`);
+});
+
+test('cancels: an action cancels the groups it names, queued jobs included', () => {
+    const { actions } = manager('queue');
+    const running = actions.request('step', 0).job;
+    const queued = actions.request('step', 0).job;
+    actions.request('pause', 1000);
+    assert.equal(actions.getJob(running.id).status, 'cancelled');
+    assert.equal(actions.getJob(queued.id).status, 'cancelled');
+    assert.deepEqual(actions.getSnapshot(), []);
+});
+
+test('cancel() explains unknown and finished jobs', () => {
+    const { actions } = manager();
+    const { job } = actions.request('pause', 0);
+    assert.equal(actions.cancel(job.id, 1000).message, `${job.id} already completed`);
+    assert.equal(actions.cancel('A-99', 1000).message, 'No action job A-99');
+});
+
+test('a definition can refuse to be cancelled once running', () => {
+    const actions = new ActionManager();
+    actions.define('maintenance', {
+        start: () => ({ success: true, message: 'scheduled' }),
+        progress: () => ({ progress: 0.2 }),
+        cancel: () => ({ success: false, message: 'crew has to finish' })
+    });
+    const { job } = actions.request('maintenance', 0);
+    assert.deepEqual(actions.cancel(job.id, 1000).message, 'crew has to finish');
+    assert.equal(actions.getJob(job.id).status, 'running');
+});
+
+test('bad definitions are rejected up front', () => {
+    const actions = new ActionManager();
+    assert.throws(() => actions.define('nothing', {}), /needs a start function/);
+    assert.throws(() => actions.define('odd', { start: () => ({}), group: 'g', conflict: 'merge' }), /conflict must be one of/);
+});
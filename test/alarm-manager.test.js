@@ -0,0 +1,155 @@
+/**
+ * Virtual Factory AI Assistant - Alarm Manager tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlarmManager } = require('../cli/engine');
+
+console.log = () => {};
+
+const POINTS = {
+    PRESSURE_HIGH: {
+        WHEN: [['pressure', '>', 160]],
+        PRIORITY: 'high',
+        DESCRIPTION: 'Pressure above 160 PSI'
+    },
+    BATTERY_LOW: {
+        WHEN: [['backupBatteryLevel', '<', 20]],
+        PRIORITY: 'medium',
+        DESCRIPTION: 'Backup battery below 20%'
+    }
+};
+
+const NORMAL = { pressure: 140, backupBatteryLevel: 80 };
+
+test('a point raises an alarm when its conditions hold and clears when they stop', () => {
+    const events = [];
+    const alarms = new AlarmManager(POINTS, (type, alarm) => events.push(`${type} ${alarm.id}`));
+
+    alarms.update({ ...NORMAL, pressure: 165 }, 1000);
+    const [alarm] = alarms.getActive();
+    assert.equal(alarm.point, 'PRESSURE_HIGH');
+    assert.equal(alarm.active, true);
+    assert.equal(alarm.acknowledged, false);
+    assert.deepEqual(alarm.conditions, [{ field: 'pressure', value: 165, operator: '>', limit: 160 }]);
+
+    alarms.update(NORMAL, 2000);
+    assert.equal(alarms.getActive()[0].active, false, 'stays open until acknowledged');
+    assert.deepEqual(events, ['alarmRaised AL-1', 'alarmCleared AL-1']);
+});
+
+test('an alarm closes once it is both cleared and acknowledged', () => {
+    const alarms = new AlarmManager(POINTS);
+    alarms.update({ ...NORMAL, pressure: 165 }, 1000);
+
+    assert.equal(alarms.acknowledge('AL-1', 1500).success, true);
+    assert.equal(alarms.getActive().length, 1, 'still active');
+
+    alarms.update(NORMAL, 2000);
+    assert.equal(alarms.getActive().length, 0);
+    const [closed] = alarms.getHistory();
+    assert.equal(closed.acknowledgedBy, 'operator');
+    assert.equal(closed.closedAt, 2000);
+});
+
+test('an unacknowledged alarm that comes back is the same alarm raised again', () => {
+    const alarms = new AlarmManager(POINTS);
+    alarms.update({ ...NORMAL, pressure: 165 }, 1000);
+    alarms.update(NORMAL, 2000);
+    alarms.update({ ...NORMAL, pressure: 165 }, 3000);
+
+    const active = alarms.getActive();
+    assert.equal(active.length, 1);
+    assert.equal(active[0].id, 'AL-1');
+    assert.equal(active[0].raiseCount, 2);
+});
+
+test('acknowledge refuses unknown, closed and already acknowledged alarms', () => {
+    const alarms = new AlarmManager(POINTS);
+    assert.equal(alarms.acknowledge('AL-9', 0).message, 'No alarm AL-9');
+    assert.equal(alarms.acknowledge('all', 0).message, 'No unacknowledged alarms');
+
+    alarms.update({ ...NORMAL, pressure: 165 }, 1000);
+    alarms.acknowledge('AL-1', 1000, 'ai');
+    assert.equal(alarms.acknowledge('AL-1', 1000).message, 'AL-1 already acknowledged by ai');
+
+    alarms.update(NORMAL, 2000);
+    assert.equal(alarms.acknowledge('AL-1', 2000).message, 'AL-1 already closed');
+});
+
+test('acknowledging all covers every unacknowledged alarm, most urgent first', () => {
+    const alarms = new AlarmManager(POINTS);
+    alarms.update({ pressure: 165, backupBatteryLevel: 10 }, 1000);
+    assert.deepEqual(alarms.getActive().map(alarm => alarm.point), ['PRESSURE_HIGH', 'BATTERY_LOW']);
+
+    assert.equal(alarms.acknowledge('all', 1500).message, '2 alarms acknowledged');
+    assert.equal(alarms.getKpis(1500).unacknowledged, 0);
+});
+
+test('a shelved alarm is hidden until the shelve expires', () => {
+    const alarms = new AlarmManager(POINTS);
+    alarms.update({ ...NORMAL, pressure: 165 }, 0);
+
+    assert.equal(alarms.shelve('AL-1', 0, 'operator', 60).success, true);
+    assert.equal(alarms.getActive().length, 0);
+    assert.equal(alarms.getShelved().length, 1);
+
+    alarms.update({ ...NORMAL, pressure: 165 }, 59000);
+    assert.equal(alarms.getActive().length, 0);
+    alarms.update({ ...NORMAL, pressure: 165 }, 60000);
+    assert.equal(alarms.getActive().length, 1, 'back on display while still active');
+});
+
+test('a shelved alarm that cleared meanwhile closes when unshelved', () => {
+    const alarms = new AlarmManager(POINTS);
+    alarms.update({ ...NORMAL, pressure: 165 }, 0);
+    alarms.shelve('AL-1', 0);
+    alarms.update(NORMAL, 1000);
+
+    assert.equal(alarms.unshelve('AL-1', 2000).success, true);
+    assert.equal(alarms.getActive().length, 0);
+    assert.equal(alarms.getHistory().length, 1);
+    assert.equal(alarms.unshelve('AL-1', 2000).message, 'No shelved alarm AL-1');
+});
+
+test('shelve durations outside 1..SHELVE_MAX are refused', () => {
+    const alarms = new AlarmManager(POINTS);
+    alarms.update({ ...NORMAL, pressure: 165 }, 0);
+
+    assert.equal(alarms.shelve('AL-1', 0, 'operator', 0).success, false);
+    assert.equal(alarms.shelve('AL-1', 0, 'operator', 1e6).success, false);
+    assert.equal(alarms.shelve('AL-9', 0).message, 'No open alarm AL-9');
+});
+
+test('no new alarms are raised while suppressed', () => {
+    const alarms = new AlarmManager(POINTS);
+    alarms.update({ ...NORMAL, pressure: 165 }, 0, true);
+    assert.equal(alarms.getActive().length, 0);
+    assert.equal(alarms.getSnapshot(0).suppressed, true);
+
+    alarms.update({ ...NORMAL, pressure: 165 }, 1000, false);
+    assert.equal(alarms.getActive().length, 1);
+});
+
+test('a point raised COUNT times within the window is chattering', () => {
+    const alarms = new AlarmManager(POINTS);
+    for (let second = 0; second < 6; second += 2) {
+        alarms.update({ ...NORMAL, pressure: 165 }, second * 1000);
+        alarms.update(NORMAL, (second + 1) * 1000);
+    }
+
+    assert.equal(alarms.getAlarm('AL-1').chattering, true);
+    assert.deepEqual(alarms.getKpis(6000).chattering, ['PRESSURE_HIGH']);
+});
+
+test('invalid points are rejected with every problem listed', () => {
+    assert.throws(() => new AlarmManager({
+        BAD: { WHEN: [['pressure', '=~', 1]], PRIORITY: 'urgent', DESCRIPTION: '' }
+    }), (error) => {
+        assert.match(error.message, /operator must be one of/);
+        assert.match(error.message, /PRIORITY must be one of/);
+        assert.match(error.message, /DESCRIPTION is required/);
+        return true;
+    });
+});
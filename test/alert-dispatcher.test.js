@@ -0,0 +1,73 @@
+/**
+ * Virtual Factory AI Assistant - Alert Dispatcher tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, AlertDispatcher } = require('../cli/engine');
+
+console.log = () => {};
+
+const alert = (key, severity, overrides = {}) => ({
+    key, severity, worsening: true, text: `${key} ${severity}`, triggerResponse: true, ...overrides
+});
+
+test('a single alert goes out as it is', () => {
+    const sent = [];
+    const alerts = new AlertDispatcher((message) => sent.push(message));
+    alerts.enqueue(alert('pressure', 'warning'));
+
+    assert.deepEqual(alerts.flush(0), { text: 'pressure warning', triggerResponse: true, role: 'user' });
+    assert.equal(sent.length, 1);
+    assert.equal(alerts.flush(0), null, 'nothing left to send');
+});
+
+test('alerts go out most urgent first, worsening before recovering', () => {
+    const alerts = new AlertDispatcher();
+    alerts.enqueue(alert('info', 'info'));
+    alerts.enqueue(alert('power', 'normal', { worsening: false }));
+    alerts.enqueue(alert('temperature', 'warning', { worsening: false }));
+    alerts.enqueue(alert('pressure', 'warning'));
+    alerts.enqueue(alert('line', 'critical'));
+
+    const { text } = alerts.flush(0);
+    assert.match(text, /^🚨 4 ALERTS, most urgent first:/);
+    const order = text.split('\n').slice(1, 5).map(line => line.split(' ')[1]);
+    assert.deepEqual(order, ['line', 'pressure', 'temperature', 'power']);
+    assert.match(text, /\(1 more to follow\)$/);
+    assert.equal(alerts.getQueue()[0].key, 'info');
+});
+
+test('no more than one message every MIN_INTERVAL', () => {
+    const alerts = new AlertDispatcher();
+    alerts.enqueue(alert('pressure', 'warning'));
+    alerts.flush(0);
+
+    alerts.enqueue(alert('temperature', 'warning'));
+    assert.equal(alerts.flush(CONFIG.AI.ALERTS.MIN_INTERVAL - 1), null);
+    assert.equal(alerts.getQueue().length, 1);
+    assert.equal(alerts.flush(CONFIG.AI.ALERTS.MIN_INTERVAL).text, 'temperature warning');
+});
+
+test('a key changing again while queued keeps every status it passed through', () => {
+    const alerts = new AlertDispatcher();
+    alerts.enqueue(alert('pressure', 'warning', { from: 'NOMINAL', to: 'WARNING', triggerResponse: false }));
+    alerts.enqueue(alert('pressure', 'critical', { from: 'WARNING', to: 'CRITICAL', text: 'pressure critical' }));
+    alerts.enqueue(alert('pressure', 'normal', { from: 'CRITICAL', to: 'NOMINAL', text: 'pressure back', triggerResponse: false }));
+
+    const [queued] = alerts.getQueue();
+    assert.equal(alerts.getQueue().length, 1);
+    assert.equal(queued.from, 'NOMINAL');
+    assert.deepEqual(queued.via, ['WARNING', 'CRITICAL']);
+
+    const message = alerts.flush(0);
+    assert.equal(message.text, 'pressure back (NOMINAL → WARNING → CRITICAL → NOMINAL since the last update)');
+    assert.equal(message.triggerResponse, true, 'any alert that wanted a response still gets one');
+});
+
+test('clear drops everything queued', () => {
+    const alerts = new AlertDispatcher();
+    alerts.enqueue(alert('pressure', 'warning'));
+    alerts.clear();
+    assert.equal(alerts.flush(0), null);
+});
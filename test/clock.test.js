@@ -0,0 +1,69 @@
+/**
+ * Virtual Factory AI Assistant - Simulation Clock tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VirtualClock } = require('../cli/engine');
+
+test('time only moves when advanced', () => {
+    const clock = new VirtualClock(1000);
+    assert.equal(clock.now(), 1000);
+    clock.advance(500);
+    assert.equal(clock.now(), 1500);
+});
+
+test('timers fire in time order, ties in creation order, at their own time', () => {
+    const clock = new VirtualClock(0);
+    const fired = [];
+    clock.setTimeout(() => fired.push(['b', clock.now()]), 200);
+    clock.setTimeout(() => fired.push(['a', clock.now()]), 100);
+    clock.setTimeout(() => fired.push(['c', clock.now()]), 200);
+
+    clock.advance(150);
+    assert.deepEqual(fired, [['a', 100]]);
+    clock.advance(50);
+    assert.deepEqual(fired, [['a', 100], ['b', 200], ['c', 200]]);
+});
+
+test('intervals repeat until cleared', () => {
+    const clock = new VirtualClock(0);
+    let count = 0;
+    const id = clock.setInterval(() => count++, 100);
+
+    clock.advance(350);
+    assert.equal(count, 3);
+    clock.clearInterval(id);
+    clock.advance(1000);
+    assert.equal(count, 3);
+});
+
+test('a cleared timeout never fires', () => {
+    const clock = new VirtualClock(0);
+    let fired = false;
+    const id = clock.setTimeout(() => { fired = true; }, 100);
+    clock.clearTimeout(id);
+    clock.advance(1000);
+    assert.equal(fired, false);
+});
+
+test('a timer set by a firing timer fires within the same advance when due', () => {
+    const clock = new VirtualClock(0);
+    const fired = [];
+    clock.setTimeout(() => {
+        fired.push(clock.now());
+        clock.setTimeout(() => fired.push(clock.now()), 50);
+    }, 100);
+
+    clock.advance(200);
+    assert.deepEqual(fired, [100, 150]);
+});
+
+test('advanceToNext() jumps to the next timer and reports when none are left', () => {
+    const clock = new VirtualClock(0);
+    clock.setTimeout(() => {}, 5000);
+
+    assert.equal(clock.advanceToNext(), true);
+    assert.equal(clock.now(), 5000);
+    assert.equal(clock.advanceToNext(), false);
+});
@@ -0,0 +1,98 @@
+/**
+ * Virtual Factory AI Assistant - AI function registry tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, VirtualClock, FactorySimulation, AIIntegration } = require('../cli/engine');
+
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+const FUNCTION = CONFIG.AI.FUNCTION_NAME;
+
+test('valid arguments come back with defaults filled in', () => {
+    const { args, errors } = AIIntegration.validateArguments('get_sensor_history', { sensor: 'pressure' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(args, { sensor: 'pressure', window: CONFIG.AI.QUERIES.HISTORY_WINDOW });
+});
+
+test('numbers and booleans sent as strings are converted', () => {
+    const { args, errors } = AIIntegration.validateArguments(FUNCTION, {
+        action: CONFIG.ACTIONS.SHELVE_ALARM, alarm_id: 'AL-2', shelve_duration: '60', confirmed: 'false'
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(args.shelve_duration, 60);
+    assert.equal(args.confirmed, false);
+});
+
+test('every problem with the arguments is listed', () => {
+    const { errors } = AIIntegration.validateArguments(FUNCTION, {
+        job_id: '3', alarm_id: 'AL-x', shelve_duration: CONFIG.ALARMS.SHELVE_MAX + 1, confirmed: 'maybe'
+    });
+    assert.deepEqual(errors, [
+        'action: required',
+        'confirmed: must be a boolean',
+        'job_id: doesn\'t look like A-3',
+        'alarm_id: doesn\'t look like AL-2 or all',
+        `shelve_duration: must be at most ${CONFIG.ALARMS.SHELVE_MAX}`
+    ]);
+});
+
+test('unknown actions and operator-only actions are outside the enum', () => {
+    assert.match(AIIntegration.validateArguments(FUNCTION, { action: 'open_valve' }).errors[0], /^action: must be one of/);
+    CONFIG.AI.OPERATOR_ONLY.forEach(action => {
+        assert.equal(AIIntegration.validateArguments(FUNCTION, { action }).errors.length, 1, action);
+    });
+
+    const [schema] = AIIntegration.getFunctionSchemas().filter(definition => definition.name === FUNCTION);
+    CONFIG.AI.OPERATOR_ONLY.forEach(action => assert.ok(!schema.parameters.properties.action.enum.includes(action)));
+});
+
+test('arguments that are not declared are ignored', () => {
+    const { args, errors } = AIIntegration.validateArguments('explain_stability', { verbose: true });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(args, {});
+});
+
+// An AIIntegration on a started simulation, with a provider that records the function outputs
+function integration() {
+    const clock = new VirtualClock(0);
+    const simulation = new FactorySimulation({ seed: 1234, clock });
+    simulation.start();
+    clock.advance(CONFIG.SIMULATION.STARTUP_STABLE_DURATION + CONFIG.SIMULATION.TICK_INTERVAL);
+
+    const ai = new AIIntegration(simulation);
+    const outputs = [];
+    ai.provider = { sendFunctionOutput: (callId, output) => outputs.push(output) };
+    const call = (name, args) => {
+        ai.handleFunctionCall({ name, arguments: args, callId: `call-${outputs.length + 1}` });
+        return outputs[outputs.length - 1];
+    };
+    return { simulation, call };
+}
+
+test('an invalid call gets invalid_arguments and runs nothing', () => {
+    const { simulation, call } = integration();
+    const before = simulation.state;
+
+    const output = call(FUNCTION, { action: CONFIG.ACTIONS.EMERGENCY_STOP });
+    assert.equal(output.status, 'invalid_arguments');
+    assert.equal(simulation.state, before);
+
+    assert.equal(call('open_valve', {}).status, 'unknown_function');
+});
+
+test('an interlock override needs the operator to confirm it, whatever the action', () => {
+    const { call } = integration();
+    const args = { action: CONFIG.ACTIONS.INCREASE_COOLING, override_phrase: 'OVERRIDE LINE_STOPPED' };
+
+    const first = call(FUNCTION, args);
+    assert.equal(first.status, 'confirmation_required');
+    assert.equal(first.risk, 'high');
+    assert.match(first.message, /Overriding an interlock is the operator's call/);
+
+    const second = call(FUNCTION, { ...args, confirmation_phrase: first.challenge });
+    assert.notEqual(second.status, 'confirmation_required');
+});
@@ -0,0 +1,112 @@
+/**
+ * Virtual Factory AI Assistant - Safety Interlock tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, Interlocks } = require('../cli/engine');
+
+const RULES = {
+    BATTERY_LOW: {
+        ACTIONS: ['switch_backup_power'],
+        WHEN: [['backupBatteryLevel', '<', 15]],
+        DESCRIPTION: 'Backup battery too low',
+        OVERRIDABLE: true
+    },
+    LINE_STOPPED: {
+        ACTIONS: ['increase_pressure', 'increase_cooling'],
+        WHEN: [['state', 'in', ['PAUSED', 'E_STOP']]],
+        DESCRIPTION: 'Line is stopped',
+        OVERRIDABLE: true
+    },
+    CREW_ON_LINE: {
+        ACTIONS: ['increase_pressure'],
+        WHEN: [['state', '==', 'MAINTENANCE'], ['pressure', '!=', null]],
+        DESCRIPTION: 'Maintenance crew working on the line'
+    }
+};
+
+const context = (overrides = {}) => ({ state: 'NORMAL', backupBatteryLevel: 80, pressure: 142, ...overrides });
+
+test('an action no rule trips on is allowed', () => {
+    const interlocks = new Interlocks(RULES);
+    assert.deepEqual(interlocks.evaluate('switch_backup_power', context()), { allowed: true, refusals: [], overridden: [] });
+    assert.deepEqual(interlocks.check('pause_line', context({ state: 'PAUSED' })), []);
+});
+
+test('a refusal names the rule, the value and the limit', () => {
+    const interlocks = new Interlocks(RULES);
+    const result = interlocks.evaluate('switch_backup_power', context({ backupBatteryLevel: 9.96 }));
+
+    assert.equal(result.allowed, false);
+    assert.deepEqual(result.refusals, [{
+        rule: 'BATTERY_LOW',
+        description: 'Backup battery too low',
+        conditions: [{ field: 'backupBatteryLevel', value: 9.96, operator: '<', limit: 15 }],
+        overridable: true
+    }]);
+    assert.equal(Interlocks.describe(result.refusals), 'BATTERY_LOW: Backup battery too low (backupBatteryLevel 10 < 15)');
+});
+
+test('a rule only trips when all its conditions hold', () => {
+    const interlocks = new Interlocks(RULES);
+    assert.deepEqual(interlocks.check('increase_pressure', context({ state: 'MAINTENANCE', pressure: null })), []);
+    assert.deepEqual(interlocks.check('increase_pressure', context({ state: 'MAINTENANCE' })).map(refusal => refusal.rule), ['CREW_ON_LINE']);
+});
+
+test('comparisons against a missing reading never trip', () => {
+    const interlocks = new Interlocks(RULES);
+    assert.deepEqual(interlocks.check('switch_backup_power', context({ backupBatteryLevel: null })), []);
+});
+
+test('the exact override phrase lets an overridable refusal through, and records it', () => {
+    const interlocks = new Interlocks(RULES);
+    const stopped = context({ state: 'PAUSED' });
+    const { overridePhrase } = interlocks.evaluate('increase_cooling', stopped);
+    assert.equal(overridePhrase, 'OVERRIDE LINE_STOPPED');
+
+    assert.equal(interlocks.evaluate('increase_cooling', stopped, 'OVERRIDE BATTERY_LOW').allowed, false);
+    const result = interlocks.evaluate('increase_cooling', stopped, ' override line_stopped ');
+    assert.equal(result.allowed, true);
+    assert.deepEqual(result.overridden.map(refusal => refusal.rule), ['LINE_STOPPED']);
+});
+
+test('a refusal that includes a non-overridable rule has no override phrase', () => {
+    const interlocks = new Interlocks({
+        ...RULES,
+        LINE_STOPPED: { ...RULES.LINE_STOPPED, WHEN: [['state', 'in', ['PAUSED', 'MAINTENANCE']]] }
+    });
+    const result = interlocks.evaluate('increase_pressure', context({ state: 'MAINTENANCE' }), 'OVERRIDE LINE_STOPPED CREW_ON_LINE');
+    assert.equal(result.allowed, false);
+    assert.equal(result.overridePhrase, null);
+    assert.deepEqual(result.refusals.map(refusal => refusal.rule), ['LINE_STOPPED', 'CREW_ON_LINE']);
+});
+
+test('switching the layer off allows everything', () => {
+    const interlocks = new Interlocks(RULES);
+    CONFIG.INTERLOCKS.ENABLED = false;
+    try {
+        assert.equal(interlocks.evaluate('switch_backup_power', context({ backupBatteryLevel: 0 })).allowed, true);
+    } finally {
+        CONFIG.INTERLOCKS.ENABLED = true;
+    }
+});
+
+test('malformed rules are rejected with every problem listed', () => {
+    assert.throws(() => new Interlocks({
+        BAD: { ACTIONS: ['launch_rocket'], WHEN: [['pressure', '~', 1], ['state', 'in', 'PAUSED']] },
+        EMPTY: { ACTIONS: [], WHEN: [], DESCRIPTION: 'nothing' }
+    }), (error) => {
+        assert.match(error.message, /BAD: unknown action "launch_rocket"/);
+        assert.match(error.message, /BAD: condition 1 operator must be one of/);
+        assert.match(error.message, /BAD: condition 2 "in" needs an array/);
+        assert.match(error.message, /BAD: DESCRIPTION is required/);
+        assert.match(error.message, /EMPTY: ACTIONS must be a non-empty array/);
+        assert.match(error.message, /EMPTY: WHEN must be a non-empty array/);
+        return true;
+    });
+});
+
+test('the shipped rules are valid', () => {
+    assert.doesNotThrow(() => new Interlocks(CONFIG.INTERLOCKS.RULES));
+});
@@ -0,0 +1,48 @@
+/**
+ * Virtual Factory AI Assistant - Seeded Random tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SeededRandom } = require('../cli/engine');
+
+const draw = (random, count) => Array.from({ length: count }, () => random.next());
+
+test('the same seed gives the same sequence', () => {
+    assert.deepEqual(draw(new SeededRandom(42), 100), draw(new SeededRandom(42), 100));
+});
+
+test('different seeds give different sequences', () => {
+    assert.notDeepEqual(draw(new SeededRandom(42), 10), draw(new SeededRandom(43), 10));
+});
+
+test('numeric strings are read as numbers and other strings are hashed', () => {
+    assert.equal(new SeededRandom('42').seed, 42);
+    assert.equal(new SeededRandom('night-shift').seed, SeededRandom.hashString('night-shift'));
+    assert.deepEqual(draw(new SeededRandom('night-shift'), 10), draw(new SeededRandom('night-shift'), 10));
+});
+
+test('a missing seed picks a fresh one that can be replayed', () => {
+    const random = new SeededRandom();
+    assert.ok(Number.isInteger(random.seed) && random.seed >= 0);
+    assert.deepEqual(draw(new SeededRandom(random.seed), 10), draw(random, 10));
+});
+
+test('next() stays in [0, 1) and range() in [min, max)', () => {
+    const random = new SeededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+        const value = random.next();
+        assert.ok(value >= 0 && value < 1);
+        const ranged = random.range(-5, 5);
+        assert.ok(ranged >= -5 && ranged < 5);
+    }
+});
+
+test('a fork depends on the seed and label, not on how much the parent has drawn', () => {
+    const fresh = new SeededRandom(42);
+    const used = new SeededRandom(42);
+    draw(used, 50);
+
+    assert.deepEqual(draw(fresh.fork('scene'), 10), draw(used.fork('scene'), 10));
+    assert.notDeepEqual(draw(fresh.fork('scene'), 10), draw(fresh.fork('charts'), 10));
+});
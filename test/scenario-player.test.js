@@ -0,0 +1,63 @@
+/**
+ * Virtual Factory AI Assistant - Scenario Player tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ScenarioPlayer } = require('../cli/engine');
+
+const JSON_SCRIPT = `{
+  "name": "Seal leak",
+  "events": [
+    { "at": 0, "type": "ramp", "sensor": "pressure", "rate": -0.15, "duration": 90, "until": "increase_pressure" },
+    { "at": 30, "type": "noise", "sensor": "pressure", "amplitude": 1.5, "profile": "gaussian" }
+  ],
+  "expectedResponses": [
+    { "action": "increase_pressure", "after": 20, "within": 100 }
+  ]
+}`;
+
+const YAML_SCRIPT = `
+name: Seal leak
+events:
+  - { at: 0, type: ramp, sensor: pressure, rate: -0.15, duration: 90, until: increase_pressure }
+  - at: 30
+    type: noise
+    sensor: pressure
+    amplitude: 1.5
+    profile: gaussian
+expectedResponses:
+  - { action: increase_pressure, after: 20, within: 100 }
+`;
+
+test('YAML scripts parse to the same script as JSON', () => {
+    const fromJson = ScenarioPlayer.parse(JSON_SCRIPT, 'json');
+    assert.deepEqual(ScenarioPlayer.parse(YAML_SCRIPT, 'yaml'), fromJson);
+    assert.deepEqual(ScenarioPlayer.parse(YAML_SCRIPT, 'yml'), fromJson);
+});
+
+test('validate() fills in defaults', () => {
+    const script = ScenarioPlayer.validate(ScenarioPlayer.parse(YAML_SCRIPT, 'yaml'));
+    assert.equal(script.description, '');
+    assert.equal(script.events[0].profile, 'uniform');
+    assert.equal(script.events[1].profile, 'gaussian');
+});
+
+test('validate() lists every problem at once', () => {
+    const script = {
+        name: 'Broken',
+        events: [
+            { at: -1, type: 'ramp', sensor: 'pressure' },
+            { at: 0, type: 'wobble', sensor: 'humidity' }
+        ],
+        expectedResponses: [{ action: 'reboot', within: 10 }]
+    };
+    assert.throws(() => ScenarioPlayer.validate(script), (error) => {
+        assert.match(error.message, /events\[0\]: "at" must be a number/);
+        assert.match(error.message, /events\[0\]: ramp needs a numeric "rate"/);
+        assert.match(error.message, /events\[1\]: "type" must be one of/);
+        assert.match(error.message, /events\[1\]: "sensor" must be one of/);
+        assert.match(error.message, /expectedResponses\[0\]: unknown action "reboot"/);
+        return true;
+    });
+});
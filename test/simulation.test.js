@@ -0,0 +1,66 @@
+/**
+ * Virtual Factory AI Assistant - Simulation determinism tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, VirtualClock, FactorySimulation } = require('../cli/engine');
+
+// The engine logs as it runs
+console.log = () => {};
+
+// Every telemetry record of a headless run
+function run(seed, seconds = 600) {
+    const clock = new VirtualClock(Date.parse('2024-01-01T00:00:00Z'));
+    const simulation = new FactorySimulation({ seed, clock });
+    const records = [];
+    simulation.on('telemetry', (telemetry) => records.push(JSON.stringify(telemetry)));
+    simulation.start();
+    clock.advance(seconds * 1000);
+    simulation.stop();
+    return records;
+}
+
+test('a seeded run replays exactly', () => {
+    const first = run(1234);
+    assert.ok(first.length > 0);
+    assert.deepEqual(run(1234), first);
+});
+
+test('different seeds give different runs', () => {
+    assert.notDeepEqual(run(1234), run(4321));
+});
+
+// A seeded simulation past startup, stepped by hand
+function started() {
+    const clock = new VirtualClock(0);
+    const simulation = new FactorySimulation({ seed: 1234, clock });
+    simulation.start();
+    clock.advance(CONFIG.SIMULATION.STARTUP_STABLE_DURATION + CONFIG.SIMULATION.TICK_INTERVAL);
+    return { clock, simulation };
+}
+
+test('the operator can E-stop the line, and only resume_line restarts it', () => {
+    const { clock, simulation } = started();
+
+    assert.equal(simulation.executeAction(CONFIG.ACTIONS.EMERGENCY_STOP).success, true);
+    assert.equal(simulation.state, CONFIG.STATES.E_STOP);
+    assert.equal(simulation.executeAction(CONFIG.ACTIONS.PAUSE_LINE).success, false);
+    clock.advance(60 * 1000);
+    assert.equal(simulation.state, CONFIG.STATES.E_STOP);
+
+    assert.equal(simulation.executeAction(CONFIG.ACTIONS.RESUME_LINE).success, true);
+    assert.ok(simulation.stateMachine.isRunning());
+});
+
+test('the AI cannot run operator-only actions', () => {
+    const { simulation } = started();
+    const before = simulation.state;
+
+    CONFIG.AI.OPERATOR_ONLY.forEach(action => {
+        const result = simulation.executeAction(action, { source: 'ai' });
+        assert.equal(result.success, false);
+        assert.match(result.message, /operator only/);
+    });
+    assert.equal(simulation.state, before);
+});
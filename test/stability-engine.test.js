@@ -0,0 +1,80 @@
+/**
+ * Virtual Factory AI Assistant - Stability Engine tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, StabilityEngine } = require('../cli/engine');
+
+const { PENALTY_WARNING, PENALTY_CRITICAL, PENALTY_TREND } = CONFIG.STABILITY;
+const NORMAL = { power: 45, pressure: 142, temperature: 65 };
+const OK = { power: 'normal', pressure: 'normal', temperature: 'normal' };
+
+const context = (overrides = {}) => ({
+    readings: { ...NORMAL, ...overrides.readings },
+    previous: overrides.previous || null,
+    statuses: { ...OK, ...overrides.statuses },
+    dt: overrides.dt || 6
+});
+
+test('every strategy scores a healthy line 100 with nothing to explain', () => {
+    Object.keys(StabilityEngine.strategies).forEach(strategy => {
+        const engine = new StabilityEngine(strategy);
+        assert.equal(engine.update(context()), 100, strategy);
+        assert.deepEqual(engine.getSnapshot().factors, [], strategy);
+    });
+});
+
+test('legacy charges one flat penalty per kind of problem, naming the sensors', () => {
+    const engine = new StabilityEngine('legacy');
+    const score = engine.update(context({
+        readings: { pressure: 130 },
+        previous: { ...NORMAL, pressure: 133 },
+        statuses: { pressure: 'warning', temperature: 'warning', power: 'critical' }
+    }));
+
+    assert.equal(score, 100 - PENALTY_WARNING - PENALTY_CRITICAL - PENALTY_TREND);
+    assert.deepEqual(engine.getSnapshot().factors.map(factor => [factor.factor, factor.sensors]), [
+        ['warning', ['pressure', 'temperature']],
+        ['critical', ['power']],
+        ['trend', ['pressure']]
+    ]);
+});
+
+test('weighted charges each sensor its own penalty', () => {
+    const engine = new StabilityEngine('weighted');
+    const score = engine.update(context({ statuses: { pressure: 'warning', temperature: 'warning' } }));
+    const expected = PENALTY_WARNING * (StabilityEngine.getWeight('pressure') + StabilityEngine.getWeight('temperature'));
+    assert.equal(score, 100 - expected);
+});
+
+test('proportional charges a full critical penalty at the critical threshold', () => {
+    const engine = new StabilityEngine('proportional');
+    const score = engine.update(context({ readings: { pressure: CONFIG.SENSORS.PRESSURE.CRITICAL_LOW } }));
+    assert.equal(score, 100 - PENALTY_CRITICAL * StabilityEngine.getWeight('pressure'));
+});
+
+test('time_decay charges more the longer a sensor stays in alarm, and forgets once it is back', () => {
+    const engine = new StabilityEngine('time_decay');
+    const warning = context({ statuses: { temperature: 'warning' } });
+    const first = engine.update(warning);
+    engine.update(warning);
+    assert.ok(engine.update(warning) < first);
+
+    const inAlarm = engine.getSnapshot().alarmTime.temperature;
+    engine.update(context());
+    assert.ok(engine.getSnapshot().alarmTime.temperature < inAlarm);
+});
+
+test('the score never goes below 0', () => {
+    const engine = new StabilityEngine('legacy');
+    StabilityEngine.registerStrategy('test_everything', () => [{ factor: 'test', sensors: [], penalty: 500, detail: '' }]);
+    engine.setStrategy('test_everything');
+    assert.equal(engine.update(context()), 0);
+    delete StabilityEngine.strategies.test_everything;
+});
+
+test('unknown and malformed strategies are rejected', () => {
+    assert.throws(() => new StabilityEngine('nope'), /Unknown stability strategy "nope"/);
+    assert.throws(() => StabilityEngine.registerStrategy('broken', {}), /must be a function/);
+});
@@ -0,0 +1,112 @@
+/**
+ * Virtual Factory AI Assistant - Line State Machine tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, LineStateMachine } = require('../cli/engine');
+
+// The state machine logs each transition
+console.log = () => {};
+
+const { THRESHOLD_NORMAL, THRESHOLD_DEGRADED } = CONFIG.STABILITY;
+const { HYSTERESIS, MIN_DWELL } = CONFIG.STATE_MACHINE;
+const CLEAR = { criticalSensors: [], maintenanceRemaining: 0 };
+
+// A machine already past startup, in `state` since `now`
+function machineIn(state, now = 0) {
+    const changes = [];
+    const machine = new LineStateMachine(now, (change) => changes.push(change));
+    machine.transition(state, 'test setup', now);
+    changes.length = 0;
+    return { machine, changes };
+}
+
+test('the line starts in STARTING and leaves it once startup is over', () => {
+    const machine = new LineStateMachine(0);
+    machine.evaluate(100, CONFIG.SIMULATION.STARTUP_STABLE_DURATION - 1);
+    assert.equal(machine.state, 'STARTING');
+    machine.evaluate(100, CONFIG.SIMULATION.STARTUP_STABLE_DURATION);
+    assert.equal(machine.state, 'NORMAL');
+});
+
+test('transitions outside the table are refused', () => {
+    const { machine, changes } = machineIn('E_STOP');
+    const result = machine.transition('PAUSED', 'operator paused the line', 1000);
+    assert.deepEqual(result, { success: false, message: 'not allowed from E_STOP' });
+    assert.equal(machine.state, 'E_STOP');
+    assert.deepEqual(changes, []);
+});
+
+test('every state can be E-stopped except E_STOP itself', () => {
+    Object.keys(LineStateMachine.TRANSITIONS).filter(state => state !== 'E_STOP').forEach(state => {
+        const { machine } = machineIn(state);
+        assert.equal(machine.transition('E_STOP', 'emergency stop', 1000).success, true, state);
+    });
+});
+
+test('a stopped line is held while maintenance runs or a sensor is critical', () => {
+    LineStateMachine.STOPPED.forEach(state => {
+        const { machine } = machineIn(state);
+        assert.equal(machine.check('NORMAL', { criticalSensors: [], maintenanceRemaining: 41.2 }), 'Maintenance in progress (42s left)');
+        assert.equal(machine.check('NORMAL', { criticalSensors: ['pressure'], maintenanceRemaining: 0 }), 'Sensors still critical');
+        assert.equal(machine.transition('DEGRADED', 'resume', 1000, { criticalSensors: ['pressure'], maintenanceRemaining: 0 }).success, false);
+        assert.equal(machine.state, state);
+        assert.equal(machine.transition('NORMAL', 'resume', 1000, CLEAR).success, true);
+    });
+});
+
+test('guards only hold stopped lines', () => {
+    const { machine } = machineIn('CRITICAL');
+    assert.equal(machine.check('NORMAL', { criticalSensors: ['pressure'], maintenanceRemaining: 60 }), null);
+});
+
+test('a transition fires stateChanged with from, to, reason and time; staying put fires nothing', () => {
+    const { machine, changes } = machineIn('NORMAL');
+    assert.equal(machine.transition('NORMAL', 'again', 500).message, 'Already NORMAL');
+    machine.transition('PAUSED', 'operator paused the line', 1000);
+    assert.deepEqual(changes, [{ from: 'NORMAL', to: 'PAUSED', reason: 'operator paused the line', timestamp: 1000 }]);
+    assert.deepEqual(machine.getSnapshot(4000), {
+        state: 'PAUSED', since: 1000, dwellTime: 3, lastTransition: changes[0]
+    });
+});
+
+test('a falling score takes effect at the threshold straight away', () => {
+    const { machine } = machineIn('NORMAL');
+    machine.evaluate(THRESHOLD_NORMAL - 1, 1);
+    assert.equal(machine.state, 'DEGRADED');
+    machine.evaluate(THRESHOLD_DEGRADED - 1, 2);
+    assert.equal(machine.state, 'CRITICAL');
+});
+
+test('recovery needs the hysteresis band and the minimum dwell time', () => {
+    const { machine } = machineIn('DEGRADED');
+    const dwell = MIN_DWELL.DEGRADED * 1000;
+
+    // Back over the threshold, but not by the hysteresis band
+    machine.evaluate(THRESHOLD_NORMAL + HYSTERESIS - 1, dwell);
+    assert.equal(machine.state, 'DEGRADED');
+
+    // Clear of the band, but too soon
+    const fresh = machineIn('DEGRADED').machine;
+    fresh.evaluate(THRESHOLD_NORMAL + HYSTERESIS, dwell - 1);
+    assert.equal(fresh.state, 'DEGRADED');
+
+    machine.evaluate(THRESHOLD_NORMAL + HYSTERESIS, dwell);
+    assert.equal(machine.state, 'NORMAL');
+});
+
+test('a score hovering on a threshold does not flap the state', () => {
+    const { machine, changes } = machineIn('NORMAL');
+    for (let tick = 1; tick <= 20; tick++) {
+        machine.evaluate(tick % 2 ? THRESHOLD_NORMAL - 1 : THRESHOLD_NORMAL + 1, tick * 6000);
+    }
+    assert.deepEqual(changes.map(change => change.to), ['DEGRADED']);
+});
+
+test('stability never moves a stopped line', () => {
+    const { machine } = machineIn('PAUSED');
+    machine.evaluate(0, 60000);
+    machine.evaluate(100, 120000);
+    assert.equal(machine.state, 'PAUSED');
+});